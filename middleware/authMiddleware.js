@@ -1,29 +1,290 @@
 const userService = require('../services/userService');
+const eventService = require('../services/eventService');
+const { AuthenticationError, AuthorizationError } = require('../utils/errorHandler');
+
+// HttpOnly cookies that carry the browser session: a short-lived access JWT and the refresh token
+const SESSION_COOKIE = 'ceh_session';
+const REFRESH_COOKIE = 'ceh_refresh';
+// Holds the 2FA challenge when the password step happened outside the login page (single sign-on)
+const TWO_FACTOR_COOKIE = 'ceh_2fa_challenge';
+const TWO_FACTOR_MAX_AGE = 5 * 60 * 1000; // Matches the challenge lifetime
+const SESSION_MAX_AGE = 15 * 60 * 1000; // Matches the access token lifetime
+const REFRESH_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // Matches the refresh token lifetime
+// Integrations authenticate with a personal API key in this header
+const API_KEY_HEADER = 'x-api-key';
+
+const cookieOptions = () => ({
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production'
+});
+
+// Read the JWT from the Authorization header, falling back to the session cookie
+const extractToken = (req) => {
+    const authHeader = req.headers['authorization'];
+    const headerToken = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+    return headerToken || (req.cookies && req.cookies[SESSION_COOKIE]) || null;
+};
+
+// Read the refresh token from the request body, falling back to the refresh cookie
+const extractRefreshToken = (req) => {
+    return (req.body && req.body.refreshToken) || (req.cookies && req.cookies[REFRESH_COOKIE]) || null;
+};
+
+// Client details recorded on the session
+const requestMeta = (req) => ({
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+});
+
+// Who is acting and from where, for the audit log
+const auditContext = (req) => ({
+    actor: req.user && req.user.role !== 'guest'
+        ? {
+            id: req.user.id || null,
+            email: req.user.email || null,
+            role: req.user.role,
+            apiKeyId: req.user.apiKey ? req.user.apiKey.id : null
+        }
+        : { id: null, email: null, role: 'guest' },
+    ip: req.ip
+});
+
+// Establish a browser session by storing both tokens in HttpOnly cookies
+const setSessionCookies = (res, { token, refreshToken }) => {
+    res.cookie(SESSION_COOKIE, token, { ...cookieOptions(), maxAge: SESSION_MAX_AGE });
+    res.cookie(REFRESH_COOKIE, refreshToken, { ...cookieOptions(), maxAge: REFRESH_MAX_AGE });
+};
+
+// End the browser session
+const clearSessionCookies = (res) => {
+    res.clearCookie(SESSION_COOKIE, cookieOptions());
+    res.clearCookie(REFRESH_COOKIE, cookieOptions());
+};
+
+// Park a 2FA challenge in the browser until the code is entered on the login page
+const setTwoFactorChallengeCookie = (res, challengeToken) => {
+    res.cookie(TWO_FACTOR_COOKIE, challengeToken, { ...cookieOptions(), maxAge: TWO_FACTOR_MAX_AGE });
+};
+
+const clearTwoFactorChallengeCookie = (res) => {
+    res.clearCookie(TWO_FACTOR_COOKIE, cookieOptions());
+};
+
+// Silently renew an expired browser session from its refresh cookie
+const refreshBrowserSession = async (req, res) => {
+    const refreshToken = req.cookies && req.cookies[REFRESH_COOKIE];
+    if (!refreshToken) {
+        return null;
+    }
+
+    try {
+        const session = await userService.refreshSession(refreshToken, requestMeta(req));
+        setSessionCookies(res, session);
+        return await userService.verifyToken(session.token);
+    } catch (error) {
+        return null;
+    }
+};
 
 // Middleware to check if user is authenticated
 const isAuthenticated = async (req, res, next) => {
-    // Check for token in Authorization header
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
-    
+    const apiKey = req.headers[API_KEY_HEADER];
+
+    // API key requests act as a guest until a route grants one of the key's scopes (see requireScope)
+    if (apiKey) {
+        try {
+            req.apiKeyUser = await userService.verifyApiKey(apiKey, requestMeta(req));
+        } catch (error) {
+            // A bad key is an error rather than a guest visit, so scripts notice straight away
+            return next(error);
+        }
+
+        req.user = { role: 'guest' };
+        res.locals.user = req.user;
+        return next();
+    }
+
+    const token = extractToken(req);
+    let decoded = null;
+
     if (token) {
         try {
             // Verify token
-            const decoded = await userService.verifyToken(token);
-            req.user = decoded;
-            res.locals.user = decoded;
+            decoded = await userService.verifyToken(token);
         } catch (error) {
             // Token is invalid, but we don't want to block access since app is publicly accessible
-            req.user = { role: 'guest' };
-            res.locals.user = { role: 'guest' };
+            decoded = null;
         }
-    } else {
-        // No token, treat as guest
-        req.user = { role: 'guest' };
-        res.locals.user = { role: 'guest' };
     }
-    
+
+    // Browser requests without a valid access token can fall back to the refresh cookie
+    if (!decoded && !req.headers['authorization']) {
+        decoded = await refreshBrowserSession(req, res);
+    }
+
+    // No valid session, treat as guest
+    req.user = decoded || { role: 'guest' };
+    res.locals.user = req.user;
+
+    next();
+};
+
+// API clients get JSON errors, browser pages get a redirect or the error view
+const isApiRequest = (req) => {
+    return req.originalUrl.startsWith('/api/') || Boolean(req.apiKeyUser) || !req.accepts('html');
+};
+
+// Reject a request with an authentication/authorization error
+const denyAccess = (req, res, next, error) => {
+    if (isApiRequest(req)) {
+        return next(error);
+    }
+
+    if (error instanceof AuthenticationError) {
+        return res.redirect(`/auth/login?redirect=${encodeURIComponent(req.originalUrl)}`);
+    }
+
+    res.status(error.statusCode || 500).render('error', {
+        message: error.message,
+        error: {}
+    });
+};
+
+const isGuest = (user) => !user || !user.role || user.role === 'guest';
+
+// Error for a request that isn't signed in, or whose API key doesn't cover the route
+const notLoggedInError = (req) => {
+    if (req.apiKeyUser) {
+        return new AuthorizationError('API keys cannot be used for this action');
+    }
+
+    return new AuthenticationError('Please log in to continue');
+};
+
+// Middleware factory to let API keys with the given scope act as their owner on this route.
+// Place it before requireRole and the ownership checks; other requests pass through unchanged.
+const requireScope = (scope) => {
+    return (req, res, next) => {
+        if (req.apiKeyUser) {
+            if (!req.apiKeyUser.scopes.includes(scope)) {
+                return next(new AuthorizationError(`This API key does not have the ${scope} scope`));
+            }
+
+            req.user = req.apiKeyUser;
+            res.locals.user = req.user;
+        }
+
+        next();
+    };
+};
+
+// Middleware to require any logged-in user
+const requireLogin = (req, res, next) => {
+    if (isGuest(req.user)) {
+        return denyAccess(req, res, next, notLoggedInError(req));
+    }
+
     next();
 };
 
-module.exports = { isAuthenticated };
\ No newline at end of file
+// Middleware factory to restrict a route to the given roles (admins always pass)
+const requireRole = (...roles) => {
+    return (req, res, next) => {
+        if (isGuest(req.user)) {
+            return denyAccess(req, res, next, notLoggedInError(req));
+        }
+
+        if (req.user.role !== 'admin' && !roles.includes(req.user.role)) {
+            return denyAccess(req, res, next, new AuthorizationError('You do not have permission to perform this action'));
+        }
+
+        // An admin can require 2FA; until it is set up, privileged pages are off limits
+        if (req.user.twoFactorRequired && !req.user.twoFactorEnabled) {
+            if (!isApiRequest(req)) {
+                return res.redirect('/settings?twoFactor=required');
+            }
+            return next(new AuthorizationError('Two-factor authentication is required for this account. Set it up in Settings.'));
+        }
+
+        next();
+    };
+};
+
+// Middleware to require a logged-in account that has confirmed its email address
+const requireVerifiedEmail = (req, res, next) => {
+    if (isGuest(req.user)) {
+        return denyAccess(req, res, next, notLoggedInError(req));
+    }
+
+    if (req.user.emailVerified === false) {
+        return denyAccess(req, res, next, new AuthorizationError('Please verify your email address before continuing. Check your inbox or request a new link from your profile.'));
+    }
+
+    next();
+};
+
+// Middleware to ensure the current user created the event in req.params.eventId
+const requireEventOwnership = async (req, res, next) => {
+    if (isGuest(req.user)) {
+        return denyAccess(req, res, next, notLoggedInError(req));
+    }
+
+    try {
+        const event = await eventService.getEventById(req.params.eventId);
+
+        if (req.user.role !== 'admin' && event.createdBy !== req.user.email) {
+            return denyAccess(req, res, next, new AuthorizationError('You can only manage events you created'));
+        }
+
+        req.event = event;
+        next();
+    } catch (error) {
+        denyAccess(req, res, next, error);
+    }
+};
+
+// Middleware to ensure the current user owns the registration in req.params.registrationId
+// (or, for the payment pages, the registrationId query or form field)
+const requireRegistrationOwnership = async (req, res, next) => {
+    if (isGuest(req.user)) {
+        return denyAccess(req, res, next, notLoggedInError(req));
+    }
+
+    try {
+        const registrationId = req.params.registrationId || (req.body && req.body.registrationId) || req.query.registrationId;
+        const registration = await eventService.getRegistrationById(registrationId);
+
+        if (req.user.role !== 'admin' && registration.studentEmail !== req.user.email) {
+            return denyAccess(req, res, next, new AuthorizationError('You can only manage your own registrations'));
+        }
+
+        req.registration = registration;
+        next();
+    } catch (error) {
+        denyAccess(req, res, next, error);
+    }
+};
+
+module.exports = {
+    SESSION_COOKIE,
+    REFRESH_COOKIE,
+    TWO_FACTOR_COOKIE,
+    cookieOptions,
+    extractToken,
+    extractRefreshToken,
+    requestMeta,
+    auditContext,
+    setSessionCookies,
+    clearSessionCookies,
+    setTwoFactorChallengeCookie,
+    clearTwoFactorChallengeCookie,
+    isAuthenticated,
+    requireScope,
+    requireLogin,
+    requireRole,
+    requireVerifiedEmail,
+    requireEventOwnership,
+    requireRegistrationOwnership
+};
@@ -0,0 +1,614 @@
+const express = require('express');
+const userService = require('../services/userService');
+const organizerApplicationService = require('../services/organizerApplicationService');
+const twoFactorService = require('../services/twoFactorService');
+const auditService = require('../services/auditService');
+const privacyService = require('../services/privacyService');
+const categoryService = require('../services/categoryService');
+const venueService = require('../services/venueService');
+const { catchAsync } = require('../utils/errorHandler');
+const { requireRole, auditContext } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Every admin API route requires an admin
+router.use(requireRole('admin'));
+
+// Admins can't lock themselves out by demoting, suspending or deleting their own account
+const isSelf = (req) => req.params.userId === String(req.user.id);
+
+// List users with optional search, role and status filters
+router.get('/users', catchAsync(async (req, res) => {
+    try {
+        const { search, role, status } = req.query;
+
+        const users = await userService.getAllUsers({ search, role, status });
+
+        res.status(200).json({ users });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            message: 'Internal server error'
+        });
+    }
+}));
+
+// Change a user's role
+router.patch('/users/:userId/role', catchAsync(async (req, res) => {
+    try {
+        const { role } = req.body;
+
+        // Validate input
+        if (!role) {
+            return res.status(400).json({
+                message: 'Role is required'
+            });
+        }
+
+        if (isSelf(req)) {
+            return res.status(400).json({
+                message: 'You cannot change your own role'
+            });
+        }
+
+        await userService.updateUserRole(req.params.userId, role, auditContext(req));
+
+        res.status(200).json({
+            message: 'User role updated successfully'
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            message: 'Internal server error'
+        });
+    }
+}));
+
+// Suspend a user
+router.post('/users/:userId/suspend', catchAsync(async (req, res) => {
+    try {
+        if (isSelf(req)) {
+            return res.status(400).json({
+                message: 'You cannot suspend your own account'
+            });
+        }
+
+        await userService.setUserStatus(req.params.userId, 'suspended', auditContext(req));
+
+        res.status(200).json({
+            message: 'User suspended successfully'
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            message: 'Internal server error'
+        });
+    }
+}));
+
+// Reactivate a suspended user
+router.post('/users/:userId/reactivate', catchAsync(async (req, res) => {
+    try {
+        await userService.setUserStatus(req.params.userId, 'active', auditContext(req));
+
+        res.status(200).json({
+            message: 'User reactivated successfully'
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            message: 'Internal server error'
+        });
+    }
+}));
+
+// Require (or stop requiring) two-factor authentication for a user
+router.post('/users/:userId/two-factor/require', catchAsync(async (req, res) => {
+    try {
+        const required = req.body.required !== false && req.body.required !== 'false';
+
+        await twoFactorService.setRequired(req.params.userId, required);
+
+        await auditService.record(auditContext(req), {
+            action: required ? 'user.two_factor_require' : 'user.two_factor_unrequire',
+            target: { type: 'user', id: req.params.userId },
+            after: { twoFactorRequired: required }
+        });
+
+        res.status(200).json({
+            message: required
+                ? 'Two-factor authentication is now required for this user'
+                : 'Two-factor authentication is no longer required for this user'
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            message: 'Internal server error'
+        });
+    }
+}));
+
+// Remove a user's two-factor setup, e.g. after they lose their device
+router.delete('/users/:userId/two-factor', catchAsync(async (req, res) => {
+    try {
+        if (isSelf(req)) {
+            return res.status(400).json({
+                message: 'You cannot reset your own two-factor authentication'
+            });
+        }
+
+        await twoFactorService.reset(req.params.userId);
+
+        await auditService.record(auditContext(req), {
+            action: 'user.two_factor_reset',
+            target: { type: 'user', id: req.params.userId }
+        });
+
+        res.status(200).json({
+            message: 'Two-factor authentication reset. The user can set it up again from Settings.'
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            message: 'Internal server error'
+        });
+    }
+}));
+
+// Delete a user; their events are archived unless reassignTo names a new owner
+router.delete('/users/:userId', catchAsync(async (req, res) => {
+    try {
+        if (isSelf(req)) {
+            return res.status(400).json({
+                message: 'You cannot delete your own account'
+            });
+        }
+
+        const reassignTo = (req.body && req.body.reassignTo) || req.query.reassignTo;
+
+        const result = await userService.deleteUser(req.params.userId, { reassignTo }, auditContext(req));
+
+        res.status(200).json({
+            message: 'User deleted successfully',
+            eventsReassigned: result.eventsReassigned,
+            eventsArchived: result.eventsArchived
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            message: 'Internal server error'
+        });
+    }
+}));
+
+// List organizer applications, optionally filtered by status
+router.get('/organizer-applications', catchAsync(async (req, res) => {
+    try {
+        const applications = await organizerApplicationService.getApplications({ status: req.query.status });
+
+        res.status(200).json({ applications });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            message: 'Internal server error'
+        });
+    }
+}));
+
+// Approve an organizer application, promoting the applicant to organizer
+router.post('/organizer-applications/:applicationId/approve', catchAsync(async (req, res) => {
+    try {
+        const application = await organizerApplicationService.approveApplication(
+            req.params.applicationId,
+            req.user,
+            req.body && req.body.note,
+            auditContext(req)
+        );
+
+        res.status(200).json({
+            message: 'Application approved. The applicant is now an organizer.',
+            application
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            message: 'Internal server error'
+        });
+    }
+}));
+
+// Reject an organizer application
+router.post('/organizer-applications/:applicationId/reject', catchAsync(async (req, res) => {
+    try {
+        const application = await organizerApplicationService.rejectApplication(
+            req.params.applicationId,
+            req.user,
+            req.body && req.body.note,
+            auditContext(req)
+        );
+
+        res.status(200).json({
+            message: 'Application rejected',
+            application
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            message: 'Internal server error'
+        });
+    }
+}));
+
+// List data erasure requests, optionally filtered by status
+router.get('/erasure-requests', catchAsync(async (req, res) => {
+    try {
+        const requests = await privacyService.getErasureRequests({ status: req.query.status });
+
+        res.status(200).json({ requests });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            message: 'Internal server error'
+        });
+    }
+}));
+
+// Approve a data erasure request; the scheduled erasure job carries it out
+router.post('/erasure-requests/:requestId/approve', catchAsync(async (req, res) => {
+    try {
+        const request = await privacyService.reviewErasure(
+            req.params.requestId,
+            true,
+            req.user,
+            req.body && req.body.note,
+            auditContext(req)
+        );
+
+        res.status(200).json({
+            message: 'Erasure approved. The account will be anonymized and deleted within 15 minutes.',
+            request
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            message: 'Internal server error'
+        });
+    }
+}));
+
+// Reject a data erasure request
+router.post('/erasure-requests/:requestId/reject', catchAsync(async (req, res) => {
+    try {
+        const request = await privacyService.reviewErasure(
+            req.params.requestId,
+            false,
+            req.user,
+            req.body && req.body.note,
+            auditContext(req)
+        );
+
+        res.status(200).json({
+            message: 'Erasure request rejected',
+            request
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            message: 'Internal server error'
+        });
+    }
+}));
+
+// List event categories
+router.get('/categories', catchAsync(async (req, res) => {
+    try {
+        const categories = await categoryService.getCategories();
+
+        res.status(200).json({ categories });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            message: 'Internal server error'
+        });
+    }
+}));
+
+// Add an event category
+router.post('/categories', catchAsync(async (req, res) => {
+    try {
+        const category = await categoryService.createCategory(req.body && req.body.name, auditContext(req));
+
+        res.status(201).json({
+            message: 'Category created',
+            category
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            message: 'Internal server error'
+        });
+    }
+}));
+
+// Rename an event category
+router.patch('/categories/:categoryId', catchAsync(async (req, res) => {
+    try {
+        const category = await categoryService.renameCategory(req.params.categoryId, req.body && req.body.name, auditContext(req));
+
+        res.status(200).json({
+            message: 'Category renamed',
+            category
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            message: 'Internal server error'
+        });
+    }
+}));
+
+// Delete an event category; its events become uncategorized
+router.delete('/categories/:categoryId', catchAsync(async (req, res) => {
+    try {
+        const result = await categoryService.deleteCategory(req.params.categoryId, auditContext(req));
+
+        res.status(200).json({
+            message: 'Category deleted',
+            ...result
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            message: 'Internal server error'
+        });
+    }
+}));
+
+// List venues with their rooms
+router.get('/venues', catchAsync(async (req, res) => {
+    try {
+        const venues = await venueService.getVenues();
+
+        res.status(200).json({ venues });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            message: 'Internal server error'
+        });
+    }
+}));
+
+// Add a venue
+router.post('/venues', catchAsync(async (req, res) => {
+    try {
+        const venue = await venueService.createVenue(req.body || {}, auditContext(req));
+
+        res.status(201).json({
+            message: 'Venue created',
+            venue
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            message: 'Internal server error'
+        });
+    }
+}));
+
+// Change a venue's name or address
+router.patch('/venues/:venueId', catchAsync(async (req, res) => {
+    try {
+        const venue = await venueService.updateVenue(req.params.venueId, req.body || {}, auditContext(req));
+
+        res.status(200).json({
+            message: 'Venue updated',
+            venue
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            message: 'Internal server error'
+        });
+    }
+}));
+
+// Delete a venue; refused while its rooms are booked for upcoming events
+router.delete('/venues/:venueId', catchAsync(async (req, res) => {
+    try {
+        await venueService.deleteVenue(req.params.venueId, auditContext(req));
+
+        res.status(200).json({
+            message: 'Venue deleted'
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            message: 'Internal server error'
+        });
+    }
+}));
+
+// Add a room to a venue
+router.post('/venues/:venueId/rooms', catchAsync(async (req, res) => {
+    try {
+        const room = await venueService.addRoom(req.params.venueId, req.body || {}, auditContext(req));
+
+        res.status(201).json({
+            message: 'Room added',
+            room
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            message: 'Internal server error'
+        });
+    }
+}));
+
+// Change a room's name, capacity or accessibility features
+router.patch('/venues/:venueId/rooms/:roomId', catchAsync(async (req, res) => {
+    try {
+        const room = await venueService.updateRoom(req.params.venueId, req.params.roomId, req.body || {}, auditContext(req));
+
+        res.status(200).json({
+            message: 'Room updated',
+            room
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            message: 'Internal server error'
+        });
+    }
+}));
+
+// Remove a room; refused while it is booked for upcoming events
+router.delete('/venues/:venueId/rooms/:roomId', catchAsync(async (req, res) => {
+    try {
+        await venueService.removeRoom(req.params.venueId, req.params.roomId, auditContext(req));
+
+        res.status(200).json({
+            message: 'Room removed'
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            message: 'Internal server error'
+        });
+    }
+}));
+
+// Bookings of a venue's rooms between two dates (from and to, YYYY-MM-DD), with overlaps flagged
+router.get('/venues/:venueId/bookings', catchAsync(async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(from || '') || !/^\d{4}-\d{2}-\d{2}$/.test(to || '') || from > to) {
+            return res.status(400).json({
+                message: 'from and to must be dates in YYYY-MM-DD format, from not after to'
+            });
+        }
+
+        const { venue, bookings } = await venueService.getBookings(req.params.venueId, from, to);
+
+        res.status(200).json({
+            venue,
+            bookings: bookings.map(booking => ({
+                eventId: booking.event._id,
+                title: booking.event.title,
+                roomId: booking.event.roomId,
+                date: booking.date,
+                start: booking.start,
+                end: booking.end,
+                status: booking.event.status,
+                conflict: booking.conflict
+            }))
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            message: 'Internal server error'
+        });
+    }
+}));
+
+module.exports = router;
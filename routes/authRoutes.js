@@ -1,6 +1,15 @@
 const express = require('express');
 const userService = require('../services/userService');
 const { catchAsync } = require('../utils/errorHandler');
+const {
+    extractToken,
+    extractRefreshToken,
+    requestMeta,
+    setSessionCookies,
+    clearSessionCookies,
+    clearTwoFactorChallengeCookie,
+    TWO_FACTOR_COOKIE
+} = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
@@ -17,13 +26,65 @@ router.post('/login', catchAsync(async (req, res) => {
         }
         
         // Attempt to login
-        const result = await userService.login(email, password);
+        const result = await userService.login(email, password, requestMeta(req));
+        
+        // Accounts with 2FA get a challenge instead of a session; see /login/2fa
+        if (result.twoFactorRequired) {
+            return res.status(200).json(result);
+        }
+        
+        // Establish the browser session
+        setSessionCookies(res, result);
         
         res.status(200).json(result);
     } catch (error) {
         if (error.statusCode) {
+            // Throttling and lockout errors tell the client how long to wait
+            if (error.retryAfter) {
+                res.set('Retry-After', String(error.retryAfter));
+            }
             return res.status(error.statusCode).json({ 
-                message: error.message 
+                message: error.message,
+                code: error.code,
+                retryAfter: error.retryAfter
+            });
+        }
+        res.status(500).json({ 
+            message: 'Internal server error' 
+        });
+    }
+}));
+
+// Second login step for accounts with two-factor authentication
+router.post('/login/2fa', catchAsync(async (req, res) => {
+    try {
+        const { code } = req.body;
+        // Single sign-on leaves the challenge in a cookie rather than handing it to the page
+        const challengeToken = req.body.challengeToken || (req.cookies && req.cookies[TWO_FACTOR_COOKIE]);
+        
+        // Validate input
+        if (!challengeToken || !code) {
+            return res.status(400).json({ 
+                message: 'Login challenge and authentication code are required' 
+            });
+        }
+        
+        const result = await userService.completeTwoFactorLogin(challengeToken, code, requestMeta(req));
+        
+        // Establish the browser session
+        clearTwoFactorChallengeCookie(res);
+        setSessionCookies(res, result);
+        
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.statusCode) {
+            if (error.retryAfter) {
+                res.set('Retry-After', String(error.retryAfter));
+            }
+            return res.status(error.statusCode).json({ 
+                message: error.message,
+                code: error.code,
+                retryAfter: error.retryAfter
             });
         }
         res.status(500).json({ 
@@ -59,20 +120,31 @@ router.post('/register', catchAsync(async (req, res) => {
             });
         }
         
+        // Organizer status has to be approved by an admin, so every new account starts as a student
+        const wantsOrganizer = role === 'organizer';
+        
         // Prepare user data
         const userData = {
             name,
             email,
             password,
-            role: role || 'student',
-            studentId: role === 'student' ? studentId : undefined
+            role: 'student',
+            studentId: studentId || undefined
         };
         
         // Attempt to register
         const user = await userService.register(userData);
         
+        // Sign the new user in straight away
+        const tokens = await userService.createSession(user, requestMeta(req));
+        setSessionCookies(res, tokens);
+        
         res.status(201).json({ 
-            message: 'User registered successfully',
+            message: wantsOrganizer
+                ? 'User registered successfully. Please verify your email, then submit an organizer application for admin approval.'
+                : 'User registered successfully. Please check your email to verify your account.',
+            organizerApplicationRequired: wantsOrganizer,
+            ...tokens,
             user 
         });
     } catch (error) {
@@ -87,10 +159,135 @@ router.post('/register', catchAsync(async (req, res) => {
     }
 }));
 
+// Forgot password route
+router.post('/forgot-password', catchAsync(async (req, res) => {
+    try {
+        const { email } = req.body;
+        
+        // Validate input
+        if (!email) {
+            return res.status(400).json({ 
+                message: 'Email is required' 
+            });
+        }
+        
+        await userService.requestPasswordReset(email);
+        
+        // Same response whether or not the account exists
+        res.status(200).json({ 
+            message: 'If an account exists for that email, a password reset link has been sent' 
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ 
+                message: error.message 
+            });
+        }
+        res.status(500).json({ 
+            message: 'Internal server error' 
+        });
+    }
+}));
+
+// Reset password route
+router.post('/reset-password', catchAsync(async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        
+        // Validate input
+        if (!token || !password) {
+            return res.status(400).json({ 
+                message: 'Reset token and new password are required' 
+            });
+        }
+        
+        await userService.resetPassword(token, password);
+        
+        // Any existing browser session was issued before the reset
+        clearSessionCookies(res);
+        
+        res.status(200).json({ 
+            message: 'Password reset successfully. Please log in with your new password.' 
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ 
+                message: error.message 
+            });
+        }
+        res.status(500).json({ 
+            message: 'Internal server error' 
+        });
+    }
+}));
+
+// Verify email route
+router.post('/verify-email', catchAsync(async (req, res) => {
+    try {
+        const { token } = req.body;
+        
+        // Validate input
+        if (!token) {
+            return res.status(400).json({ 
+                message: 'Verification token is required' 
+            });
+        }
+        
+        await userService.verifyEmail(token);
+        
+        res.status(200).json({ 
+            message: 'Email verified successfully' 
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ 
+                message: error.message 
+            });
+        }
+        res.status(500).json({ 
+            message: 'Internal server error' 
+        });
+    }
+}));
+
+// Resend verification email route
+router.post('/resend-verification', catchAsync(async (req, res) => {
+    try {
+        // Fall back to the logged-in account when no email is given
+        const email = req.body.email || (req.user && req.user.email);
+        
+        // Validate input
+        if (!email) {
+            return res.status(400).json({ 
+                message: 'Email is required' 
+            });
+        }
+        
+        await userService.resendVerification(email);
+        
+        res.status(200).json({ 
+            message: 'If an unverified account exists for that email, a new verification link has been sent' 
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ 
+                message: error.message 
+            });
+        }
+        res.status(500).json({ 
+            message: 'Internal server error' 
+        });
+    }
+}));
+
 // Middleware to verify JWT token
 const authenticateToken = catchAsync(async (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+    // The global isAuthenticated middleware may already have verified or refreshed the session
+    if (req.user && req.user.role !== 'guest') {
+        return next();
+    }
+    
+    const token = extractToken(req);
     
     if (!token) {
         return res.status(401).json({ 
@@ -109,6 +306,88 @@ const authenticateToken = catchAsync(async (req, res, next) => {
     }
 });
 
+// Refresh route
+router.post('/refresh', catchAsync(async (req, res) => {
+    try {
+        const refreshToken = extractRefreshToken(req);
+        
+        // Validate input
+        if (!refreshToken) {
+            return res.status(401).json({ 
+                message: 'Refresh token required' 
+            });
+        }
+        
+        const result = await userService.refreshSession(refreshToken, requestMeta(req));
+        
+        setSessionCookies(res, result);
+        
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.statusCode) {
+            clearSessionCookies(res);
+            return res.status(error.statusCode).json({ 
+                message: error.message 
+            });
+        }
+        res.status(500).json({ 
+            message: 'Internal server error' 
+        });
+    }
+}));
+
+// Logout route - revokes the current session
+router.post('/logout', catchAsync(async (req, res) => {
+    try {
+        if (req.user && req.user.sid) {
+            await userService.revokeSession(req.user.sid);
+        } else {
+            const refreshToken = extractRefreshToken(req);
+            if (refreshToken) {
+                await userService.revokeSessionByRefreshToken(refreshToken);
+            }
+        }
+        
+        clearSessionCookies(res);
+        
+        res.status(200).json({ 
+            message: 'Logged out successfully' 
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ 
+                message: error.message 
+            });
+        }
+        res.status(500).json({ 
+            message: 'Internal server error' 
+        });
+    }
+}));
+
+// Logout everywhere route - revokes every session of the current user
+router.post('/logout-all', authenticateToken, catchAsync(async (req, res) => {
+    try {
+        const count = await userService.revokeAllSessions(req.user.id);
+        
+        clearSessionCookies(res);
+        
+        res.status(200).json({ 
+            message: 'Logged out of all devices',
+            sessionsRevoked: count
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ 
+                message: error.message 
+            });
+        }
+        res.status(500).json({ 
+            message: 'Internal server error' 
+        });
+    }
+}));
+
 // Get current user profile
 router.get('/profile', authenticateToken, catchAsync(async (req, res) => {
     try {
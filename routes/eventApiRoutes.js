@@ -0,0 +1,236 @@
+const express = require('express');
+const eventService = require('../services/eventService');
+const seriesService = require('../services/seriesService');
+const venueService = require('../services/venueService');
+const sessionService = require('../services/sessionService');
+const { catchAsync } = require('../utils/errorHandler');
+const {
+    requireScope,
+    requireRole,
+    requireVerifiedEmail,
+    requireEventOwnership,
+    auditContext
+} = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Fields an integration may set on an event
+const EVENT_FIELDS = ['title', 'description', 'date', 'time', 'endTime', 'timezone', 'location', 'roomId', 'organizer', 'capacity', 'category', 'tags', 'registrationOpensAt', 'registrationClosesAt', 'cancellationDeadline', 'registrationQuestions'];
+// A booked room (roomId) stands in for the location
+const REQUIRED_EVENT_FIELDS = ['title', 'date', 'time'];
+
+// Copy the editable fields that were sent, ignoring everything else
+const pickEventFields = (body) => {
+    const fields = {};
+    EVENT_FIELDS.forEach(field => {
+        if (body[field] !== undefined) {
+            fields[field] = typeof body[field] === 'string' ? body[field].trim() : body[field];
+        }
+    });
+    return fields;
+};
+
+const sendError = (res, error) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            message: error.message
+        });
+    }
+    res.status(500).json({
+        message: 'Internal server error'
+    });
+};
+
+// List the caller's events (admins see all of them)
+router.get('/', requireScope('events:read'), requireRole('organizer'), catchAsync(async (req, res) => {
+    try {
+        const events = await eventService.getEventsByCreator(req.user.role === 'admin' ? null : req.user.email);
+
+        res.status(200).json({ events });
+    } catch (error) {
+        sendError(res, error);
+    }
+}));
+
+// Venues and their rooms, for choosing a roomId
+router.get('/venues', requireScope('events:read'), requireRole('organizer'), catchAsync(async (req, res) => {
+    try {
+        const venues = await venueService.getVenues();
+
+        res.status(200).json({ venues });
+    } catch (error) {
+        sendError(res, error);
+    }
+}));
+
+// Create an event owned by the caller
+router.post('/', requireScope('events:write'), requireRole('organizer'), requireVerifiedEmail, catchAsync(async (req, res) => {
+    try {
+        const fields = pickEventFields(req.body);
+
+        const missing = REQUIRED_EVENT_FIELDS.filter(field => !fields[field]);
+        if (!fields.location && !fields.roomId) {
+            missing.push('location or roomId');
+        }
+        if (missing.length > 0) {
+            return res.status(400).json({
+                message: `Missing required fields: ${missing.join(', ')}`
+            });
+        }
+
+        const eventData = {
+            ...fields,
+            status: req.body.status,
+            organizer: fields.organizer || req.user.email,
+            createdBy: req.user.email,
+            images: [],
+            videos: []
+        };
+        // Only admins can book a room that is already taken
+        const options = { allowDoubleBooking: req.user.role === 'admin' && req.body.allowDoubleBooking === true };
+
+        // A recurrence ({ rrule, exceptions }) creates a series with one event per date
+        if (req.body.recurrence) {
+            const { series, events } = await seriesService.createSeries(eventData, req.body.recurrence, auditContext(req), options);
+
+            return res.status(201).json({
+                message: `Event series created with ${events.length} occurrences`,
+                series,
+                events
+            });
+        }
+
+        const event = await eventService.createEvent(eventData, auditContext(req), options);
+
+        res.status(201).json({
+            message: 'Event created successfully',
+            event
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}));
+
+// Update one of the caller's events
+router.put('/:eventId', requireScope('events:write'), requireRole('organizer'), requireEventOwnership, catchAsync(async (req, res) => {
+    try {
+        const fields = pickEventFields(req.body);
+
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({
+                message: `Send at least one of: ${EVENT_FIELDS.join(', ')}`
+            });
+        }
+
+        // Registrants are emailed about date, time or location changes unless notifyRegistrants is false;
+        // admins can set allowDoubleBooking to book a room that is already taken
+        const options = {
+            notify: req.body.notifyRegistrants !== false,
+            allowDoubleBooking: req.user.role === 'admin' && req.body.allowDoubleBooking === true
+        };
+
+        // scope "following" applies the edit to this and every later occurrence of its series
+        if (req.body.scope === 'following') {
+            const { updated } = await seriesService.updateFollowing(req.params.eventId, fields, auditContext(req), options);
+            const event = await eventService.getEventById(req.params.eventId);
+
+            return res.status(200).json({
+                message: `${updated} occurrences updated successfully`,
+                updated,
+                event
+            });
+        }
+
+        await eventService.updateEvent(req.params.eventId, fields, auditContext(req), options);
+        const event = await eventService.getEventById(req.params.eventId);
+
+        res.status(200).json({
+            message: 'Event updated successfully',
+            event
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}));
+
+// Publish, cancel or complete one of the caller's events
+router.post('/:eventId/status', requireScope('events:write'), requireRole('organizer'), requireEventOwnership, catchAsync(async (req, res) => {
+    try {
+        const event = await eventService.changeEventStatus(req.params.eventId, req.body.status, auditContext(req), {
+            reason: req.body.reason
+        });
+
+        res.status(200).json({
+            message: `Event ${event.status}`,
+            event
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}));
+
+// Registrations for one of the caller's events; ?session=<sessionId> lists that session's attendees
+router.get('/:eventId/registrations', requireScope('registrations:read'), requireRole('organizer'), requireEventOwnership, catchAsync(async (req, res) => {
+    try {
+        if (req.query.session) {
+            await sessionService.getSession(req.params.eventId, req.query.session);
+        }
+        const registrations = await eventService.getEventRegistrations(req.params.eventId, { sessionId: req.query.session });
+
+        res.status(200).json({ registrations });
+    } catch (error) {
+        sendError(res, error);
+    }
+}));
+
+// The agenda of one of the caller's events
+router.get('/:eventId/sessions', requireScope('events:read'), requireRole('organizer'), requireEventOwnership, catchAsync(async (req, res) => {
+    try {
+        const sessions = await sessionService.getSessions(req.params.eventId);
+
+        res.status(200).json({ sessions });
+    } catch (error) {
+        sendError(res, error);
+    }
+}));
+
+// Add a session: { title, description, date, time, endTime, roomId or location, speakers, capacity }
+router.post('/:eventId/sessions', requireScope('events:write'), requireRole('organizer'), requireEventOwnership, catchAsync(async (req, res) => {
+    try {
+        const session = await sessionService.createSession(req.event, req.body, auditContext(req));
+
+        res.status(201).json({
+            message: 'Session added successfully',
+            session
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}));
+
+router.put('/:eventId/sessions/:sessionId', requireScope('events:write'), requireRole('organizer'), requireEventOwnership, catchAsync(async (req, res) => {
+    try {
+        const session = await sessionService.updateSession(req.event, req.params.sessionId, req.body, auditContext(req));
+
+        res.status(200).json({
+            message: 'Session updated successfully',
+            session
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}));
+
+router.delete('/:eventId/sessions/:sessionId', requireScope('events:write'), requireRole('organizer'), requireEventOwnership, catchAsync(async (req, res) => {
+    try {
+        await sessionService.deleteSession(req.event, req.params.sessionId, auditContext(req));
+
+        res.status(200).json({
+            message: 'Session removed successfully'
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}));
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require('express');
+const oidcService = require('../services/oidcService');
+const userService = require('../services/userService');
+const { catchAsync } = require('../utils/errorHandler');
+const {
+    cookieOptions,
+    requestMeta,
+    setSessionCookies,
+    setTwoFactorChallengeCookie
+} = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Ties the provider's callback to the browser that started the login
+const STATE_COOKIE = 'ceh_oidc_state';
+const STATE_MAX_AGE = 10 * 60 * 1000; // Matches the login state lifetime
+
+// Only allow returning to a page on this site. Browsers read "/\host" as "//host", so the value
+// is resolved against a placeholder origin and rejected if it lands anywhere else.
+const RETURN_TO_BASE = 'http://return-to.invalid';
+const safeReturnTo = (value) => {
+    if (typeof value !== 'string' || !value.startsWith('/') || /[\\\u0000-\u001f\u007f]/.test(value)) {
+        return null;
+    }
+
+    try {
+        const url = new URL(value, RETURN_TO_BASE);
+        return url.origin === RETURN_TO_BASE ? `${url.pathname}${url.search}${url.hash}` : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Where to land after signing in when no page was requested
+const homeFor = (user) => {
+    if (user.role === 'admin') {
+        return '/admin';
+    }
+    if (user.role === 'organizer') {
+        return '/organizer';
+    }
+    return '/dashboard';
+};
+
+const renderError = (res, error) => {
+    res.status(error.statusCode || 500).render('error', {
+        message: error.statusCode ? error.message : 'Single sign-on failed. Please try again.',
+        error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+};
+
+// Send the browser to the identity provider
+router.get('/login', catchAsync(async (req, res) => {
+    try {
+        const { state, url } = await oidcService.createAuthorizationRequest(safeReturnTo(req.query.redirect));
+
+        res.cookie(STATE_COOKIE, state, { ...cookieOptions(), maxAge: STATE_MAX_AGE });
+        res.redirect(url);
+    } catch (error) {
+        renderError(res, error);
+    }
+}));
+
+// The identity provider sends the browser back here with an authorization code
+router.get('/callback', catchAsync(async (req, res) => {
+    try {
+        const expectedState = req.cookies && req.cookies[STATE_COOKIE];
+        res.clearCookie(STATE_COOKIE, cookieOptions());
+
+        const { profile, returnTo } = await oidcService.handleCallback({
+            code: req.query.code,
+            state: req.query.state,
+            error: req.query.error,
+            errorDescription: req.query.error_description
+        }, expectedState);
+
+        const result = await userService.loginWithOidc(profile, requestMeta(req));
+
+        // Accounts with 2FA finish on the login page
+        if (result.twoFactorRequired) {
+            setTwoFactorChallengeCookie(res, result.challengeToken);
+            const query = new URLSearchParams({ twoFactor: '1' });
+            if (returnTo) {
+                query.set('redirect', returnTo);
+            }
+            return res.redirect(`/auth/login?${query.toString()}`);
+        }
+
+        setSessionCookies(res, result);
+        res.redirect(returnTo || homeFor(result.user));
+    } catch (error) {
+        renderError(res, error);
+    }
+}));
+
+module.exports = router;
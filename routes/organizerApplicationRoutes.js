@@ -0,0 +1,56 @@
+const express = require('express');
+const organizerApplicationService = require('../services/organizerApplicationService');
+const { catchAsync } = require('../utils/errorHandler');
+const { requireRole, requireVerifiedEmail } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Only students apply for the organizer role
+router.use(requireRole('student'));
+
+// Get the current user's latest application
+router.get('/mine', catchAsync(async (req, res) => {
+    try {
+        const application = await organizerApplicationService.getLatestApplicationForUser(req.user.id);
+
+        res.status(200).json({ application });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            message: 'Internal server error'
+        });
+    }
+}));
+
+// Submit an application
+router.post('/', requireVerifiedEmail, catchAsync(async (req, res) => {
+    try {
+        const { clubName, department, reason } = req.body;
+
+        const application = await organizerApplicationService.submitApplication(req.user.id, {
+            clubName,
+            department,
+            reason
+        });
+
+        res.status(201).json({
+            message: 'Application submitted. You will receive an email once an administrator has reviewed it.',
+            application
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            message: 'Internal server error'
+        });
+    }
+}));
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const bodyParser = require('body-parser');
+const cookieParser = require('cookie-parser');
 const { MongoClient, ObjectId } = require('mongodb');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
@@ -16,15 +17,42 @@ require('dotenv').config();
 const database = require('./utils/database');
 const cache = require('./utils/cache');
 const emailService = require('./utils/email');
-const { handleErrors, handle404, catchAsync } = require('./utils/errorHandler');
+const { AppError, handleErrors, handle404, catchAsync } = require('./utils/errorHandler');
+const { CAMPUS_TIMEZONE, today, toInstant, formatEventDate, formatEventTime, formatDateTime, dateTimeInputValue } = require('./utils/datetime');
+const { shiftDate } = require('./utils/recurrence');
+const { QUESTION_TYPES, formatAnswer } = require('./utils/registrationForm');
 const eventService = require('./services/eventService');
 const userService = require('./services/userService');
+const organizerApplicationService = require('./services/organizerApplicationService');
+const twoFactorService = require('./services/twoFactorService');
+const oidcService = require('./services/oidcService');
+const apiKeyService = require('./services/apiKeyService');
+const auditService = require('./services/auditService');
+const privacyService = require('./services/privacyService');
+const categoryService = require('./services/categoryService');
+const seriesService = require('./services/seriesService');
+const venueService = require('./services/venueService');
+const sessionService = require('./services/sessionService');
+const templateService = require('./services/templateService');
 
 // Import middleware
-const { isAuthenticated } = require('./middleware/authMiddleware');
+const {
+  isAuthenticated,
+  requireScope,
+  requireLogin,
+  requireRole,
+  requireVerifiedEmail,
+  requireEventOwnership,
+  requireRegistrationOwnership,
+  auditContext
+} = require('./middleware/authMiddleware');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const organizerApplicationRoutes = require('./routes/organizerApplicationRoutes');
+const oidcRoutes = require('./routes/oidcRoutes');
+const eventApiRoutes = require('./routes/eventApiRoutes');
 
 const app = express();
 const port = process.env.PORT || 3002;
@@ -57,9 +85,21 @@ const upload = multer({
 
 // Middleware
 app.set('view engine', 'ejs');
+
+// Event dates and times are shown in the campus timezone whatever the server's timezone is
+app.locals.campusTimezone = CAMPUS_TIMEZONE;
+app.locals.timezones = [...new Set([CAMPUS_TIMEZONE, 'UTC', ...Intl.supportedValuesOf('timeZone')])];
+app.locals.formatEventDate = formatEventDate;
+app.locals.formatEventTime = formatEventTime;
+app.locals.formatDateTime = formatDateTime;
+app.locals.formatAnswer = formatAnswer;
+app.locals.dateTimeInputValue = dateTimeInputValue;
+app.locals.registrationWindow = (event) => eventService.registrationWindow(event);
+app.locals.campusToday = today;
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(express.static('public'));
 app.use(bodyParser.json());
+app.use(cookieParser());
 
 // Add browser caching headers for static assets
 app.use('/css', express.static(path.join(__dirname, 'public/css'), {
@@ -137,6 +177,17 @@ async function initializeServices() {
     
     await eventService.initialize();
     await userService.initialize();
+    await organizerApplicationService.initialize();
+    await twoFactorService.initialize();
+    await oidcService.initialize();
+    await apiKeyService.initialize();
+    await auditService.initialize();
+    await privacyService.initialize();
+    await categoryService.initialize();
+    await seriesService.initialize();
+    await venueService.initialize();
+    await sessionService.initialize();
+    await templateService.initialize();
     console.log('All services initialized successfully');
   } catch (error) {
     console.error('Error initializing services:', error);
@@ -159,7 +210,7 @@ app.get('/', catchAsync(async (req, res) => {
     // Get events with caching
     const events = await eventService.getAllEvents();
     
-    res.render('index', { events: events, user: { role: 'guest' } });
+    res.render('index', { events: events, user: req.user });
   } catch (error) {
     console.error(error);
     res.status(500).render('error', { 
@@ -174,7 +225,7 @@ app.get('/dashboard', catchAsync(async (req, res) => {
     // Get events with caching
     const events = await eventService.getAllEvents();
     
-    res.render('dashboard', { events: events, user: { role: 'guest' } });
+    res.render('dashboard', { events: events, user: req.user });
   } catch (error) {
     console.error(error);
     res.status(500).render('error', { 
@@ -184,55 +235,222 @@ app.get('/dashboard', catchAsync(async (req, res) => {
   }
 }));
 
+// Statuses visitors can browse on the events page; drafts are only shown to their organizer
+const LISTED_EVENT_STATUSES = ['published', 'completed', 'cancelled'];
+
+// Filters on the events page. They are all kept in the query string so a filtered list can be shared as a link.
+const eventListFilters = (query) => {
+  const filters = {};
+  const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  
+  ['search', 'organizer', 'category', 'tag'].forEach(field => {
+    if (typeof query[field] === 'string' && query[field].trim()) {
+      filters[field] = query[field].trim();
+    }
+  });
+  
+  if (filters.tag) {
+    filters.tag = filters.tag.toLowerCase();
+  }
+  
+  if (isDate(query.dateFrom)) {
+    filters.dateFrom = query.dateFrom;
+  }
+  
+  if (isDate(query.dateTo)) {
+    filters.dateTo = query.dateTo;
+  }
+  
+  if (['free', 'paid'].includes(query.fee)) {
+    filters.fee = query.fee;
+  }
+  
+  if (query.spots === '1') {
+    filters.spots = '1';
+  }
+  
+  // Upcoming (published) events by default; drafts are never listed here
+  filters.status = LISTED_EVENT_STATUSES.includes(query.status) ? query.status : 'published';
+  
+  return filters;
+};
+
 app.get('/events', catchAsync(async (req, res) => {
   try {
-    // Get query parameters for filtering
-    const filters = {};
+    const filters = eventListFilters(req.query);
+    
+    // Get events and the sidebar counts with caching
+    const [events, facets, categories] = await Promise.all([
+      eventService.getAllEvents(filters),
+      eventService.getEventFacets(filters),
+      categoryService.getCategories()
+    ]);
+    
+    res.render('events', { events: events, user: req.user, status: filters.status, filters, facets, categories });
+  } catch (error) {
+    console.error(error);
+    res.status(500).render('error', { 
+      message: 'Error fetching events',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+}));
+
+// Registration needs a verified account; the feedback page is publicly accessible
+app.get('/register/:eventId', requireVerifiedEmail, catchAsync(async (req, res) => {
+  try {
+    const eventId = req.params.eventId;
+    const event = await eventService.getEventById(eventId);
+    
+    if (!eventService.isVisibleTo(event, req.user)) {
+      throw new AppError('Event not found', 404);
+    }
+    
+    // Before registration opens, after it closes and once the event has started the form isn't shown
+    eventService.assertRegistrationOpen(event);
+    
+    // Occurrences of a series can be registered for one at a time or all together
+    const series = event.seriesId ? await seriesService.getSeries(event.seriesId) : null;
+    // Students pick the agenda sessions they want to attend
+    const sessions = await sessionService.getSessions(eventId);
+    
+    res.render('event-register', { eventId, event, user: req.user, series, sessions });
+  } catch (error) {
+    res.status(error.statusCode || 500).render('error', { 
+      message: error.statusCode ? error.message : 'Error loading registration page',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+}));
+
+// Feedback opens once the event has been completed
+app.get('/feedback/:eventId', catchAsync(async (req, res) => {
+  try {
+    const eventId = req.params.eventId;
+    const event = await eventService.getEventById(eventId);
     
-    if (req.query.search) {
-      filters.search = req.query.search;
+    if (!eventService.isVisibleTo(event, req.user)) {
+      throw new AppError('Event not found', 404);
     }
     
-    if (req.query.organizer) {
-      filters.organizer = req.query.organizer;
+    if (event.status !== 'completed') {
+      throw new AppError('Feedback opens once the event has taken place', 400);
     }
     
-    // Get events with caching
-    const events = await eventService.getAllEvents(filters);
+    res.render('feedback', { eventId, user: req.user });
+  } catch (error) {
+    res.status(error.statusCode || 500).render('error', { 
+      message: error.statusCode ? error.message : 'Error loading feedback page',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+}));
+
+// The create event form with the organizer's templates; prefill holds the values of a template
+// or an event being duplicated, and source names where they came from
+const renderOrganizerPage = async (req, res, prefill = null) => {
+  const [categories, venues, templates] = await Promise.all([
+    categoryService.getCategories(),
+    venueService.getVenues(),
+    templateService.getTemplates(req.user.role === 'admin' ? null : req.user.email)
+  ]);
+  
+  res.render('organizer', { user: req.user, categories, venues, templates, prefill, accessibilityFeatures: venueService.getAccessibilityFeatures() });
+};
+
+// Organizer pages; students have to apply for organizer access first
+app.get('/organizer', (req, res, next) => {
+  if (req.user.role === 'student') {
+    return res.redirect('/organizer/apply');
+  }
+  next();
+}, requireRole('organizer'), requireVerifiedEmail, catchAsync(async (req, res) => {
+  try {
+    // ?template=<templateId> fills in the form from one of the organizer's templates
+    const template = req.query.template ? await templateService.getTemplate(req.query.template, req.user) : null;
     
-    res.render('events', { events: events, user: { role: 'guest' } });
+    await renderOrganizerPage(req, res, template ? { ...templateService.eventDefaults(template), source: `the template "${template.name}"` } : null);
   } catch (error) {
     console.error(error);
-    res.status(500).render('error', { 
-      message: 'Error fetching events',
+    res.status(error.statusCode || 500).render('error', { 
+      message: error.statusCode ? error.message : 'Error loading organizer page',
       error: process.env.NODE_ENV === 'development' ? error : {}
     });
   }
 }));
 
-// Registration and feedback pages (publicly accessible)
-app.get('/register/:eventId', (req, res) => {
-  const eventId = req.params.eventId;
-  res.render('event-register', { eventId, user: { role: 'guest' } });
-});
+// Duplicate an event: the create form filled in with its details, for a new date and time
+app.get('/organizer/duplicate-event/:eventId', requireRole('organizer'), requireVerifiedEmail, requireEventOwnership, catchAsync(async (req, res) => {
+  try {
+    await renderOrganizerPage(req, res, { ...templateService.eventDefaults(req.event), source: `"${req.event.title}"` });
+  } catch (error) {
+    console.error(error);
+    res.status(error.statusCode || 500).render('error', { 
+      message: error.statusCode ? error.message : 'Error duplicating event',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+}));
 
-app.get('/feedback/:eventId', (req, res) => {
-  const eventId = req.params.eventId;
-  res.render('feedback', { eventId, user: { role: 'guest' } });
-});
+// Save an event as a reusable template - event owner or admin only
+app.post('/organizer/event/:eventId/save-template', requireRole('organizer'), requireVerifiedEmail, requireEventOwnership, catchAsync(async (req, res) => {
+  try {
+    await templateService.createTemplate(req.event, req.body.name, req.user.email, auditContext(req));
+    
+    res.redirect('/organizer#templates');
+  } catch (error) {
+    console.error(error);
+    res.status(error.statusCode || 500).render('error', { 
+      message: error.statusCode ? error.message : 'Error saving template',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+}));
 
-// Organizer pages (publicly accessible with actual data)
-app.get('/organizer', (req, res) => {
-  res.render('organizer', { user: { role: 'guest' } });
-});
+// Delete a template - its creator or an admin only
+app.post('/organizer/templates/:templateId/delete', requireRole('organizer'), catchAsync(async (req, res) => {
+  try {
+    await templateService.deleteTemplate(req.params.templateId, req.user, auditContext(req));
+    
+    res.redirect('/organizer#templates');
+  } catch (error) {
+    console.error(error);
+    res.status(error.statusCode || 500).render('error', { 
+      message: error.statusCode ? error.message : 'Error deleting template',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+}));
 
-// Admin page (publicly accessible with actual data)
-app.get('/admin', async (req, res) => {
+// Organizer application page for students
+app.get('/organizer/apply', requireRole('student'), catchAsync(async (req, res) => {
+  try {
+    if (req.user.role !== 'student') {
+      return res.redirect('/organizer');
+    }
+
+    const application = await organizerApplicationService.getLatestApplicationForUser(req.user.id);
+
+    res.render('organizer-apply', { user: req.user, application });
+  } catch (error) {
+    console.error(error);
+    res.status(500).render('error', { 
+      message: 'Error fetching your organizer application',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+}));
+
+// Admin page
+app.get('/admin', requireRole('admin'), async (req, res) => {
   try {
     // Get statistics
     const eventsCount = await database.getCollection('events').countDocuments();
     const registrationsCount = await database.getCollection('registrations').countDocuments();
     const feedbackCount = await database.getCollection('feedback').countDocuments();
+    const usersCount = await database.getCollection('users').countDocuments();
+    const pendingApplicationsCount = await organizerApplicationService.countPendingApplications();
+    const pendingErasureRequestsCount = await privacyService.countPendingRequests();
     
     // Get recent events
     const events = await database.getCollection('events').find({}).sort({ createdAt: -1 }).limit(10).toArray();
@@ -347,7 +565,7 @@ app.get('/admin', async (req, res) => {
         type: 'event',
         title: `New event: ${event.title}`,
         timestamp: event.createdAt,
-        details: `${event.location} on ${new Date(event.date).toLocaleDateString()}`
+        details: `${event.location} on ${formatEventDate(event)}`
       })),
       ...recentRegistrations.map(reg => ({
         type: 'registration',
@@ -364,11 +582,14 @@ app.get('/admin', async (req, res) => {
     ].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)).slice(0, 5);
     
     res.render('admin', { 
-      user: { role: 'guest', name: 'Drago Samuel' },
+      user: req.user,
       stats: {
         events: eventsCount,
         registrations: registrationsCount,
-        feedback: feedbackCount
+        feedback: feedbackCount,
+        users: usersCount,
+        pendingApplications: pendingApplicationsCount,
+        pendingErasureRequests: pendingErasureRequestsCount
       },
       events: eventsWithFee,
       registrations: registrationsWithEvents,
@@ -387,14 +608,199 @@ app.get('/admin', async (req, res) => {
   }
 });
 
-// Student pages (publicly accessible with actual data)
-app.get('/student/registrations', async (req, res) => {
+// Admin organizer application review page; pending applications are shown by default
+app.get('/admin/organizer-applications', requireRole('admin'), catchAsync(async (req, res) => {
+  try {
+    const filters = {
+      status: req.query.status === undefined ? 'pending' : req.query.status
+    };
+
+    const applications = await organizerApplicationService.getApplications(filters);
+
+    res.render('admin-organizer-applications', { user: req.user, applications, filters });
+  } catch (error) {
+    console.error(error);
+    res.status(error.statusCode || 500).render('error', { 
+      message: error.statusCode ? error.message : 'Error fetching organizer applications',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+}));
+
+// Admin review page for data erasure requests; pending requests are shown by default
+app.get('/admin/erasure-requests', requireRole('admin'), catchAsync(async (req, res) => {
+  try {
+    const filters = {
+      status: req.query.status === undefined ? 'pending' : req.query.status
+    };
+
+    const requests = await privacyService.getErasureRequests(filters);
+
+    res.render('admin-erasure-requests', { user: req.user, requests, filters });
+  } catch (error) {
+    console.error(error);
+    res.status(error.statusCode || 500).render('error', { 
+      message: error.statusCode ? error.message : 'Error fetching erasure requests',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+}));
+
+// Admin page for managing event categories
+app.get('/admin/categories', requireRole('admin'), catchAsync(async (req, res) => {
+  try {
+    const categories = await categoryService.getCategories();
+
+    res.render('admin-categories', { user: req.user, categories });
+  } catch (error) {
+    console.error(error);
+    res.status(error.statusCode || 500).render('error', { 
+      message: error.statusCode ? error.message : 'Error fetching categories',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+}));
+
+// Admin venue and room management
+app.get('/admin/venues', requireRole('admin'), catchAsync(async (req, res) => {
+  try {
+    const venues = await venueService.getVenues();
+
+    res.render('admin-venues', { user: req.user, venues, accessibilityFeatures: venueService.getAccessibilityFeatures() });
+  } catch (error) {
+    console.error(error);
+    res.status(error.statusCode || 500).render('error', { 
+      message: error.statusCode ? error.message : 'Error fetching venues',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+}));
+
+// Availability calendar of a venue: one week (Monday to Sunday) of bookings per room
+app.get('/admin/venues/:venueId/calendar', requireRole('admin'), catchAsync(async (req, res) => {
+  try {
+    const requested = new Date(`${/^\d{4}-\d{2}-\d{2}$/.test(req.query.week || '') ? req.query.week : today()}T00:00:00Z`);
+    const reference = isNaN(requested) ? new Date(`${today()}T00:00:00Z`) : requested;
+    const monday = new Date(Date.UTC(reference.getUTCFullYear(), reference.getUTCMonth(), reference.getUTCDate() - ((reference.getUTCDay() + 6) % 7)));
+    const days = Array.from({ length: 7 }, (_, index) => new Date(monday.getTime() + index * 86400000).toISOString().slice(0, 10));
+    const shiftWeek = (weeks) => new Date(monday.getTime() + weeks * 7 * 86400000).toISOString().slice(0, 10);
+
+    const { venue, bookings } = await venueService.getBookings(req.params.venueId, days[0], days[6]);
+
+    res.render('admin-venue-calendar', {
+      user: req.user,
+      venue,
+      bookings,
+      days,
+      previousWeek: shiftWeek(-1),
+      nextWeek: shiftWeek(1),
+      accessibilityFeatures: venueService.getAccessibilityFeatures()
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(error.statusCode || 500).render('error', { 
+      message: error.statusCode ? error.message : 'Error loading venue calendar',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+}));
+
+// Audit log filters shared by the viewer and its CSV export
+const auditFilters = (query) => ({
+  actor: query.actor || '',
+  action: query.action || '',
+  targetType: query.targetType || '',
+  targetId: query.targetId || '',
+  from: query.from || '',
+  to: query.to || ''
+});
+
+// Admin audit log viewer
+app.get('/admin/audit', requireRole('admin'), catchAsync(async (req, res) => {
+  try {
+    const filters = auditFilters(req.query);
+
+    const [log, filterOptions] = await Promise.all([
+      auditService.getEntries({ ...filters, page: req.query.page }),
+      auditService.getFilterOptions()
+    ]);
+
+    res.render('admin-audit', { user: req.user, log, filters, filterOptions });
+  } catch (error) {
+    console.error(error);
+    res.status(500).render('error', { 
+      message: 'Error fetching audit log',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+}));
+
+// Export the filtered audit log as CSV
+app.get('/admin/audit/export', requireRole('admin'), catchAsync(async (req, res) => {
+  try {
+    const entries = await auditService.getEntriesForExport(auditFilters(req.query));
+
+    const fields = ['Timestamp', 'Actor', 'Actor Role', 'API Key', 'Action', 'Target Type', 'Target ID', 'Target', 'Changes', 'Details', 'IP'];
+
+    const exportData = entries.map(entry => ({
+      'Timestamp': new Date(entry.createdAt).toISOString(),
+      'Actor': entry.actor.email || entry.actor.role,
+      'Actor Role': entry.actor.role,
+      'API Key': entry.actor.apiKeyId || '',
+      'Action': entry.action,
+      'Target Type': entry.target.type,
+      'Target ID': entry.target.id || '',
+      'Target': entry.target.label || '',
+      'Changes': Object.keys(entry.changes || {}).length > 0 ? JSON.stringify(entry.changes) : '',
+      'Details': entry.details ? JSON.stringify(entry.details) : '',
+      'IP': entry.ip || ''
+    }));
+
+    const json2csvParser = new Parser({ fields });
+    const csv = json2csvParser.parse(exportData);
+
+    res.header('Content-Type', 'text/csv');
+    res.attachment(`audit_log_${new Date().toISOString().slice(0, 10)}.csv`);
+    res.status(200).send(csv);
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    res.status(500).render('error', { 
+      message: 'Error exporting audit log',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+}));
+
+// Admin user management page
+app.get('/admin/users', requireRole('admin'), catchAsync(async (req, res) => {
+  try {
+    const filters = {
+      search: req.query.search || '',
+      role: req.query.role || '',
+      status: req.query.status || ''
+    };
+
+    const users = await userService.getAllUsers(filters);
+
+    res.render('admin-users', { user: req.user, users, filters });
+  } catch (error) {
+    console.error(error);
+    res.status(500).render('error', { 
+      message: 'Error fetching users',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+}));
+
+// Student pages
+app.get('/student/registrations', requireRole('student'), async (req, res) => {
   try {
     // Check if cancellation was successful
     const cancelled = req.query.cancelled === 'true';
     
-    // Get all registrations
-    const registrations = await database.getCollection('registrations').find({}).toArray();
+    // Get the student's registrations (admins see all of them)
+    const query = req.user.role === 'admin' ? {} : { studentEmail: req.user.email };
+    const registrations = await database.getCollection('registrations').find(query).toArray();
     
     // Get event details for each registration
     const eventIds = registrations.map(reg => reg.eventId);
@@ -407,16 +813,26 @@ app.get('/student/registrations', async (req, res) => {
       eventsMap[event._id.toString()] = event;
     });
     
-    // Combine registration and event data
-    const registrationDetails = registrations.map(reg => ({
+    const sessions = await sessionService.getSessionsForEvents(eventIds);
+    
+    // Combine registration and event data, with each waitlisted registration's place in line
+    // and the agenda sessions it picked
+    const registrationDetails = await Promise.all(registrations.map(async reg => ({
       ...reg,
-      event: eventsMap[reg.eventId] || null
-    }));
+      event: eventsMap[reg.eventId] || null,
+      sessions: sessions.filter(session => (reg.sessionIds || []).includes(session._id.toString())),
+      cancellationClosed: req.user.role !== 'admin' && eventService.cancellationClosed(reg, eventsMap[reg.eventId]),
+      waitlistPosition: reg.status === 'waitlisted' ? await eventService.getWaitlistPosition(reg) : null
+    })));
     
     res.render('student-registrations', { 
-      user: { role: 'guest' }, 
+      user: req.user, 
       registrations: registrationDetails,
-      cancelled: cancelled
+      cancelled: cancelled,
+      waitlisted: req.query.waitlisted === 'true',
+      confirmed: req.query.confirmed === 'true',
+      seriesRegistered: parseInt(req.query.seriesRegistered) || 0,
+      seriesSkipped: parseInt(req.query.seriesSkipped) || 0
     });
   } catch (error) {
     console.error(error);
@@ -427,32 +843,41 @@ app.get('/student/registrations', async (req, res) => {
   }
 });
 
-// Organizer events page (publicly accessible with actual data)
-app.get('/organizer/my-events', async (req, res) => {
+// Organizer events page
+app.get('/organizer/my-events', requireRole('organizer'), async (req, res) => {
     try {
-        // Get all events
-        const events = await database.getCollection('events').find({}).toArray();
+        // Get the organizer's events (admins see all of them)
+        const query = req.user.role === 'admin' ? {} : { createdBy: req.user.email };
+        const events = await database.getCollection('events').find(query).toArray();
         
         // Get registration counts for each event
         const eventIds = events.map(event => event._id);
         const registrationCounts = await database.getCollection('registrations').aggregate([
             { $match: { eventId: { $in: eventIds.map(id => id.toString()) } } },
-            { $group: { _id: "$eventId", count: { $sum: 1 } } }
+            { $group: {
+                _id: "$eventId",
+                count: { $sum: { $cond: [{ $eq: ["$status", "waitlisted"] }, 0, 1] } },
+                waitlisted: { $sum: { $cond: [{ $eq: ["$status", "waitlisted"] }, 1, 0] } }
+            } }
         ]).toArray();
         
         const registrationCountMap = {};
         registrationCounts.forEach(reg => {
-            registrationCountMap[reg._id] = reg.count;
+            registrationCountMap[reg._id] = reg;
         });
         
-        // Add registration counts
-        const eventsWithCounts = events.map(event => ({
-            ...event,
-            registrationCount: registrationCountMap[event._id.toString()] || 0
-        }));
+        // Add registration and waitlist counts
+        const eventsWithCounts = events.map(event => {
+            const counts = registrationCountMap[event._id.toString()] || {};
+            return {
+                ...event,
+                registrationCount: counts.count || 0,
+                waitlistCount: counts.waitlisted || 0
+            };
+        });
         
         res.render('organizer-events', { 
-            user: { role: 'guest' }, 
+            user: req.user, 
             events: eventsWithCounts 
         });
     } catch (error) {
@@ -464,37 +889,316 @@ app.get('/organizer/my-events', async (req, res) => {
     }
 });
 
+// Load the full account of the logged-in user for pages that show profile details
+async function getCurrentUser(req) {
+  if (!req.user || req.user.role === 'guest') {
+    return req.user;
+  }
+
+  try {
+    const user = await userService.getUserById(req.user.id);
+    return { ...user, preferences: userService.getPreferences(user) };
+  } catch (error) {
+    // Account no longer exists, fall back to the token contents
+    return req.user;
+  }
+}
+
 // Profile page (publicly accessible)
-app.get('/profile', (req, res) => {
-  res.render('profile', { user: { role: 'guest' } });
-});
+app.get('/profile', catchAsync(async (req, res) => {
+  const user = await getCurrentUser(req);
+  res.render('profile', { user });
+}));
 
 // Settings page (publicly accessible)
-app.get('/settings', (req, res) => {
-  res.render('settings', { user: { role: 'guest' } });
-});
+app.get('/settings', catchAsync(async (req, res) => {
+  const user = await getCurrentUser(req);
+  const twoFactor = user && user._id ? await twoFactorService.getStatus(user._id.toString()) : null;
+  const apiKeys = user && user._id && apiKeyService.canUseApiKeys(user.role)
+    ? await apiKeyService.listKeys(user._id.toString())
+    : null;
+  const erasureRequest = user && user._id ? await privacyService.getOpenRequestForUser(user._id.toString()) : null;
+  res.render('settings', {
+    user,
+    preferences: userService.getPreferences(user),
+    twoFactor,
+    twoFactorSetupRequired: req.query.twoFactor === 'required',
+    apiKeys,
+    apiKeyScopes: apiKeyService.getScopes(),
+    erasureRequest
+  });
+}));
+
+// Update name and email from the settings page
+app.post('/settings/profile', requireLogin, catchAsync(async (req, res) => {
+  try {
+    const { name, email } = req.body;
+
+    const user = await userService.updateProfile(req.user.id, { name, email });
+
+    res.status(200).json({
+      message: user.emailChanged
+        ? 'Profile updated. Your email address will change once you use the confirmation link we sent to the new address.'
+        : 'Profile updated successfully',
+      emailChanged: user.emailChanged
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Error updating profile' });
+  }
+}));
+
+// Save notification and theme preferences
+app.post('/settings/preferences', requireLogin, catchAsync(async (req, res) => {
+  try {
+    const { emailNotifications, pushNotifications, theme } = req.body;
+
+    const preferences = await userService.updatePreferences(req.user.id, {
+      emailNotifications,
+      pushNotifications,
+      theme
+    });
+
+    res.status(200).json({ message: 'Preferences saved successfully', preferences });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Error saving preferences' });
+  }
+}));
+
+// Start two-factor enrolment: returns the secret and its QR code
+app.post('/settings/2fa/setup', requireLogin, catchAsync(async (req, res) => {
+  try {
+    const enrolment = await twoFactorService.beginEnrolment(req.user.id);
+
+    res.status(200).json(enrolment);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Error starting two-factor setup' });
+  }
+}));
+
+// Confirm enrolment with a code from the authenticator app; recovery codes are returned only this once
+app.post('/settings/2fa/enable', requireLogin, catchAsync(async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactorService.confirmEnrolment(req.user.id, req.body.code);
+
+    res.status(200).json({
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Error enabling two-factor authentication' });
+  }
+}));
+
+// Replace the recovery codes
+app.post('/settings/2fa/recovery-codes', requireLogin, catchAsync(async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id, req.body.code);
+
+    res.status(200).json({
+      message: 'New recovery codes generated. Your old codes no longer work.',
+      recoveryCodes
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Error generating recovery codes' });
+  }
+}));
+
+// Turn two-factor authentication off
+app.post('/settings/2fa/disable', requireLogin, catchAsync(async (req, res) => {
+  try {
+    await twoFactorService.disable(req.user.id, req.body.code);
+
+    res.status(200).json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Error disabling two-factor authentication' });
+  }
+}));
+
+// Create a personal API key; the key itself is returned only this once
+app.post('/settings/api-keys', requireRole('organizer'), catchAsync(async (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+
+    const { key, apiKey } = await apiKeyService.createKey(req.user, { name, scopes }, auditContext(req));
+
+    res.status(201).json({
+      message: 'API key created. Copy it now, it will not be shown again.',
+      key,
+      apiKey
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Error creating API key' });
+  }
+}));
+
+// Revoke one of the current user's API keys
+app.post('/settings/api-keys/:keyId/revoke', requireLogin, catchAsync(async (req, res) => {
+  try {
+    await apiKeyService.revokeKey(req.user.id, req.params.keyId, auditContext(req));
+
+    res.status(200).json({ message: 'API key revoked' });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Error revoking API key' });
+  }
+}));
+
+// Download everything stored about the current user, as a ZIP archive or a single JSON file
+app.get('/settings/data-export', requireLogin, requireVerifiedEmail, catchAsync(async (req, res) => {
+  try {
+    const data = await privacyService.exportUserData(req.user.id);
+    const filename = `campus-event-hub-data-${new Date().toISOString().slice(0, 10)}`;
+
+    if (req.query.format === 'json') {
+      res.attachment(`${filename}.json`);
+      return res.status(200).json(data);
+    }
+
+    res.attachment(`${filename}.zip`);
+    await privacyService.writeExportArchive(data, res);
+  } catch (error) {
+    console.error('Error exporting personal data:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(error.statusCode || 500).render('error', { 
+      message: 'Error exporting your data',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+}));
+
+// Ask for the account and personal data to be erased
+app.post('/settings/erasure-request', requireLogin, requireVerifiedEmail, catchAsync(async (req, res) => {
+  try {
+    await privacyService.requestErasure(req.user, req.body.reason, auditContext(req));
+
+    res.status(201).json({ message: 'Erasure request submitted. An administrator will review it.' });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Error submitting erasure request' });
+  }
+}));
+
+// Withdraw a pending erasure request
+app.post('/settings/erasure-request/cancel', requireLogin, requireVerifiedEmail, catchAsync(async (req, res) => {
+  try {
+    await privacyService.cancelErasure(req.user.id, auditContext(req));
+
+    res.status(200).json({ message: 'Erasure request cancelled' });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Error cancelling erasure request' });
+  }
+}));
+
+// Change password after confirming the current one
+app.post('/settings/password', requireLogin, catchAsync(async (req, res) => {
+  try {
+    const { currentPassword, newPassword, confirmPassword } = req.body;
+
+    if (confirmPassword !== undefined && newPassword !== confirmPassword) {
+      return res.status(400).json({ message: 'New passwords do not match' });
+    }
+
+    await userService.changePassword(req.user.id, currentPassword, newPassword, req.user.sid);
+
+    res.status(200).json({ message: 'Password changed successfully. Your other sessions have been signed out.' });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Error changing password' });
+  }
+}));
+
+// How a registration appears in lists and exports
+const REGISTRATION_STATUS_LABELS = {
+  waitlisted: 'Waitlisted',
+  offered: 'Place offered',
+  confirmed: 'Confirmed'
+};
+const registrationStatusLabel = (registration) => REGISTRATION_STATUS_LABELS[registration.status] || 'Confirmed';
+// Titles of the agenda sessions a registration picked
+const registrationSessionTitles = (registration, sessions) => sessions
+  .filter(session => (registration.sessionIds || []).includes(session._id.toString()))
+  .map(session => session.title)
+  .join('; ');
+// One column per registration question, keyed by its label
+const registrationAnswerColumns = (registration, event) => Object.fromEntries((event.registrationQuestions || [])
+  .map(question => [question.label, formatAnswer(question, registration.answers)]));
+
+// An event's sessions and registrations for the registrations page and exports.
+// sessionId (from ?session=) narrows the registrations to that session's attendees.
+const loadEventRegistrations = async (eventId, sessionId) => {
+  const sessions = await sessionService.getSessions(eventId);
+  const session = sessionId ? await sessionService.getSession(eventId, sessionId) : null;
+  const registrations = await eventService.getEventRegistrations(eventId, { sessionId: session ? session._id.toString() : null });
+  
+  return { sessions, session, registrations };
+};
 
 // Add this new route to view registered students for a specific event
-app.get('/organizer/event/:eventId/registrations', catchAsync(async (req, res) => {
+app.get('/organizer/event/:eventId/registrations', requireRole('organizer'), requireEventOwnership, catchAsync(async (req, res) => {
     try {
         const eventId = req.params.eventId;
         
         // Get event details
         const event = await eventService.getEventById(eventId);
         
-        // Get registrations for this event
-        const registrations = await eventService.getEventRegistrations(eventId);
+        // Get registrations for this event, or for one of its sessions
+        const { sessions, session, registrations } = await loadEventRegistrations(eventId, req.query.session);
         
         res.render('event-registrations', { 
-            user: { role: 'guest' }, 
+            user: req.user, 
             event: event,
-            registrations: registrations
+            registrations: registrations,
+            sessions,
+            session
         });
     } catch (error) {
         console.error(error);
-        if (error.message === 'Event not found') {
-            return res.status(404).render('error', { 
-                message: 'Event not found',
+        if (error.statusCode) {
+            return res.status(error.statusCode).render('error', { 
+                message: error.message,
                 error: process.env.NODE_ENV === 'development' ? error : {}
             });
         }
@@ -506,30 +1210,39 @@ app.get('/organizer/event/:eventId/registrations', catchAsync(async (req, res) =
 }));
 
 // Add this new route to export registered students for a specific event
-app.get('/organizer/event/:eventId/registrations/export', catchAsync(async (req, res) => {
+app.get('/organizer/event/:eventId/registrations/export', requireScope('registrations:read'), requireRole('organizer'), requireEventOwnership, catchAsync(async (req, res) => {
     try {
         const eventId = req.params.eventId;
         
         // Get event details
         const event = await eventService.getEventById(eventId);
         
-        // Get registrations for this event
-        const registrations = await eventService.getEventRegistrations(eventId);
+        // Get registrations for this event, or for one of its sessions
+        const { sessions, session, registrations } = await loadEventRegistrations(eventId, req.query.session);
         
-        // Define CSV fields
+        // Define CSV fields; events with an agenda also list each registration's sessions
         const fields = [
             'Student Name',
             'Email',
             'Student ID',
-            'Registration Date'
+            'Registration Date',
+            'Status'
         ];
+        if (sessions.length > 0 && !session) {
+            fields.push('Sessions');
+        }
+        // and the answers to the event's registration questions
+        fields.push(...(event.registrationQuestions || []).map(question => question.label));
         
         // Prepare data for CSV export
         const exportData = registrations.map(reg => ({
             'Student Name': reg.studentName || '',
             'Email': reg.studentEmail || '',
             'Student ID': reg.studentId || '',
-            'Registration Date': reg.registeredAt ? new Date(reg.registeredAt).toLocaleDateString() : ''
+            'Registration Date': reg.registeredAt ? new Date(reg.registeredAt).toLocaleDateString() : '',
+            'Status': registrationStatusLabel(reg),
+            'Sessions': registrationSessionTitles(reg, sessions),
+            ...registrationAnswerColumns(reg, event)
         }));
         
         // Generate CSV
@@ -538,13 +1251,13 @@ app.get('/organizer/event/:eventId/registrations/export', catchAsync(async (req,
         
         // Set headers for file download
         res.header('Content-Type', 'text/csv');
-        res.attachment(`event_${eventId}_registrations.csv`);
+        res.attachment(session ? `event_${eventId}_session_${session._id}_registrations.csv` : `event_${eventId}_registrations.csv`);
         res.status(200).send(csv);
     } catch (error) {
         console.error('Error exporting event registrations:', error);
-        if (error.message === 'Event not found') {
-            return res.status(404).render('error', { 
-                message: 'Event not found',
+        if (error.statusCode) {
+            return res.status(error.statusCode).render('error', { 
+                message: error.message,
                 error: process.env.NODE_ENV === 'development' ? error : {}
             });
         }
@@ -556,29 +1269,32 @@ app.get('/organizer/event/:eventId/registrations/export', catchAsync(async (req,
 }));
 
 // Export registered students for a specific event to Excel
-app.get('/organizer/event/:eventId/registrations/export/excel', catchAsync(async (req, res) => {
+app.get('/organizer/event/:eventId/registrations/export/excel', requireScope('registrations:read'), requireRole('organizer'), requireEventOwnership, catchAsync(async (req, res) => {
     try {
         const eventId = req.params.eventId;
         
         // Get event details
         const event = await eventService.getEventById(eventId);
         
-        // Get registrations for this event
-        const registrations = await eventService.getEventRegistrations(eventId);
+        // Get registrations for this event, or for one of its sessions
+        const { sessions, session, registrations } = await loadEventRegistrations(eventId, req.query.session);
         
         // Prepare data for Excel export
         const exportData = registrations.map(reg => ({
             'Student Name': reg.studentName || '',
             'Email': reg.studentEmail || '',
             'Student ID': reg.studentId || '',
-            'Registration Date': reg.registeredAt ? new Date(reg.registeredAt).toLocaleDateString() : ''
+            'Registration Date': reg.registeredAt ? new Date(reg.registeredAt).toLocaleDateString() : '',
+            'Status': registrationStatusLabel(reg),
+            ...(sessions.length > 0 && !session ? { 'Sessions': registrationSessionTitles(reg, sessions) } : {}),
+            ...registrationAnswerColumns(reg, event)
         }));
         
-        // Add event details as first row
+        // Add event (or session) details as first row
         const eventData = [{
-            'Event Name': event.title,
-            'Date': `${event.date} at ${event.time}`,
-            'Location': event.location,
+            'Event Name': session ? `${event.title}: ${session.title}` : event.title,
+            'Date': session ? `${formatEventDate(session)} at ${formatEventTime(session)}` : `${formatEventDate(event)} at ${formatEventTime(event)}`,
+            'Location': session ? session.location || event.location : event.location,
             'Organizer': event.organizer,
             '': '', // Empty cell for spacing
             '': '', // Empty cell for spacing
@@ -598,13 +1314,13 @@ app.get('/organizer/event/:eventId/registrations/export/excel', catchAsync(async
         
         // Set headers for file download
         res.header('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-        res.attachment(`${event.title.replace(/[^a-zA-Z0-9]/g, '_')}_Registrations.xlsx`);
+        res.attachment(`${(session ? `${event.title} ${session.title}` : event.title).replace(/[^a-zA-Z0-9]/g, '_')}_Registrations.xlsx`);
         res.status(200).send(buffer);
     } catch (error) {
         console.error('Error exporting event registrations to Excel:', error);
-        if (error.message === 'Event not found') {
-            return res.status(404).render('error', { 
-                message: 'Event not found',
+        if (error.statusCode) {
+            return res.status(error.statusCode).render('error', { 
+                message: error.message,
                 error: process.env.NODE_ENV === 'development' ? error : {}
             });
         }
@@ -616,15 +1332,15 @@ app.get('/organizer/event/:eventId/registrations/export/excel', catchAsync(async
 }));
 
 // Export registered students for a specific event to PDF
-app.get('/organizer/event/:eventId/registrations/export/pdf', catchAsync(async (req, res) => {
+app.get('/organizer/event/:eventId/registrations/export/pdf', requireScope('registrations:read'), requireRole('organizer'), requireEventOwnership, catchAsync(async (req, res) => {
     try {
         const eventId = req.params.eventId;
         
         // Get event details
         const event = await eventService.getEventById(eventId);
         
-        // Get registrations for this event
-        const registrations = await eventService.getEventRegistrations(eventId);
+        // Get registrations for this event, or for one of its sessions
+        const { sessions, session, registrations } = await loadEventRegistrations(eventId, req.query.session);
         
         // Create a PDF document
         const doc = new PDFDocument({
@@ -634,7 +1350,7 @@ app.get('/organizer/event/:eventId/registrations/export/pdf', catchAsync(async (
         
         // Set response headers
         res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `attachment; filename="${event.title.replace(/[^a-zA-Z0-9]/g, '_')}_Registrations.pdf"`);
+        res.setHeader('Content-Disposition', `attachment; filename="${(session ? `${event.title} ${session.title}` : event.title).replace(/[^a-zA-Z0-9]/g, '_')}_Registrations.pdf"`);
         
         // Pipe the PDF to the response
         doc.pipe(res);
@@ -644,8 +1360,14 @@ app.get('/organizer/event/:eventId/registrations/export/pdf', catchAsync(async (
         doc.moveDown();
         
         doc.fontSize(14).text(`Event: ${event.title}`);
-        doc.fontSize(12).text(`Date: ${event.date} at ${event.time}`);
-        doc.text(`Location: ${event.location}`);
+        if (session) {
+            doc.text(`Session: ${session.title}`);
+            doc.fontSize(12).text(`Date: ${formatEventDate(session)} at ${formatEventTime(session)}`);
+            doc.text(`Location: ${session.location || event.location}`);
+        } else {
+            doc.fontSize(12).text(`Date: ${formatEventDate(event)} at ${formatEventTime(event)}`);
+            doc.text(`Location: ${event.location}`);
+        }
         doc.text(`Organizer: ${event.organizer}`);
         doc.moveDown();
         
@@ -667,7 +1389,7 @@ app.get('/organizer/event/:eventId/registrations/export/pdf', catchAsync(async (
             doc.text('Student Name', 50, tableTop);
             doc.text('Email', 200, tableTop);
             doc.text('Student ID', 350, tableTop);
-            doc.text('Registration Date', 450, tableTop);
+            doc.text('Registered / Status', 450, tableTop);
             
             // Data rows
             doc.font('Helvetica');
@@ -676,8 +1398,24 @@ app.get('/organizer/event/:eventId/registrations/export/pdf', catchAsync(async (
                 doc.text(reg.studentName || '', 50, y);
                 doc.text(reg.studentEmail || '', 200, y);
                 doc.text(reg.studentId || '', 350, y);
-                doc.text(reg.registeredAt ? new Date(reg.registeredAt).toLocaleDateString() : '', 450, y);
+                doc.text(`${reg.registeredAt ? new Date(reg.registeredAt).toLocaleDateString() : ''} ${reg.status === 'waitlisted' || reg.status === 'offered' ? registrationStatusLabel(reg) : ''}`.trim(), 450, y);
             });
+            
+            // Answers to the registration questions don't fit the table, so they follow it per registrant
+            const questions = event.registrationQuestions || [];
+            if (questions.length > 0) {
+                doc.text('', 50, tableTop + rowHeight * (registrations.length + 1));
+                doc.moveDown();
+                doc.fontSize(14).font('Helvetica-Bold').text('Registration answers');
+                registrations.forEach(reg => {
+                    doc.moveDown(0.5);
+                    doc.fontSize(12).font('Helvetica-Bold').text(reg.studentName || reg.studentEmail || '');
+                    doc.font('Helvetica');
+                    questions.forEach(question => {
+                        doc.text(`${question.label}: ${formatAnswer(question, reg.answers) || '-'}`);
+                    });
+                });
+            }
         } else {
             doc.fontSize(12).text('No registrations found for this event.');
         }
@@ -686,9 +1424,9 @@ app.get('/organizer/event/:eventId/registrations/export/pdf', catchAsync(async (
         doc.end();
     } catch (error) {
         console.error('Error exporting event registrations to PDF:', error);
-        if (error.message === 'Event not found') {
-            return res.status(404).render('error', { 
-                message: 'Event not found',
+        if (error.statusCode) {
+            return res.status(error.statusCode).render('error', { 
+                message: error.message,
                 error: process.env.NODE_ENV === 'development' ? error : {}
             });
         }
@@ -702,19 +1440,70 @@ app.get('/organizer/event/:eventId/registrations/export/pdf', catchAsync(async (
 // Auth routes
 app.use('/api/auth', authRoutes);
 
+// Admin API routes
+app.use('/api/admin', adminRoutes);
+
+// Organizer application routes
+app.use('/api/organizer-applications', organizerApplicationRoutes);
+
+// Event API for integrations using personal API keys
+app.use('/api/events', eventApiRoutes);
+
+// Single sign-on routes
+app.use('/auth/oidc', oidcRoutes);
+
+// Single sign-on button shown on the login and registration pages
+const ssoOptions = () => ({
+  enabled: oidcService.isEnabled(),
+  providerName: oidcService.getProviderName()
+});
+
 app.get('/auth/login', (req, res) => {
-  res.render('auth/login', { user: { role: 'guest' } });
+  res.render('auth/login', { user: req.user, sso: ssoOptions() });
 });
 
 app.get('/auth/register', (req, res) => {
-  res.render('auth/register', { user: { role: 'guest' } });
+  res.render('auth/register', { user: req.user, sso: ssoOptions() });
 });
 
-// Spreadsheet export - publicly accessible but shows empty data
-app.get('/student/registrations/export', async (req, res) => {
+app.get('/auth/forgot-password', (req, res) => {
+  res.render('auth/forgot-password', { user: req.user });
+});
+
+app.get('/auth/reset-password', (req, res) => {
+  res.render('auth/reset-password', { user: req.user, token: req.query.token || '' });
+});
+
+app.get('/auth/verify-email', catchAsync(async (req, res) => {
+  try {
+    if (!req.query.token) {
+      throw new AppError('Verification link is missing its token', 400);
+    }
+
+    const { emailChanged, email } = await userService.verifyEmail(req.query.token);
+
+    // Reload the account so the header no longer asks for verification
+    const user = await getCurrentUser(req);
+    res.render('auth/verify-email', {
+      user,
+      verified: true,
+      message: emailChanged ? `Your email address has been changed to ${email}.` : 'Your email address has been verified.'
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).render('auth/verify-email', {
+      user: req.user,
+      verified: false,
+      message: error.statusCode ? error.message : 'Error verifying email address'
+    });
+  }
+}));
+
+// Spreadsheet export of the student's own registrations
+app.get('/student/registrations/export', requireRole('student'), async (req, res) => {
   try {
-    // Get all registrations
-    const registrations = await database.getCollection('registrations').find({}).toArray();
+    // Get the student's registrations (admins export all of them)
+    const query = req.user.role === 'admin' ? {} : { studentEmail: req.user.email };
+    const registrations = await database.getCollection('registrations').find(query).toArray();
     
     // Get event details for each registration
     const eventIds = registrations.map(reg => reg.eventId);
@@ -742,7 +1531,7 @@ app.get('/student/registrations/export', async (req, res) => {
       const event = eventsMap[reg.eventId] || null;
       return {
         'Event Name': event ? event.title : 'Unknown Event',
-        'Date': event ? `${event.date} at ${event.time}` : 'N/A',
+        'Date': event ? `${formatEventDate(event)} at ${formatEventTime(event)}` : 'N/A',
         'Location': event ? event.location : 'N/A',
         'Organiser': event ? event.organizer : 'N/A',
         'Registered On': reg.registeredAt ? new Date(reg.registeredAt).toLocaleDateString() : '',
@@ -767,19 +1556,25 @@ app.get('/student/registrations/export', async (req, res) => {
   }
 });
 
-// Edit event page - publicly accessible
-app.get('/organizer/edit-event/:eventId', catchAsync(async (req, res) => {
+// Edit event page - event owner or admin only
+app.get('/organizer/edit-event/:eventId', requireRole('organizer'), requireEventOwnership, catchAsync(async (req, res) => {
   try {
     const eventId = req.params.eventId;
     
     // Get event details
-    const event = await eventService.getEventById(eventId);
-    
-    res.render('edit-event', { user: { role: 'guest' }, event });
+    const [event, categories, venues] = await Promise.all([
+      eventService.getEventById(eventId),
+      categoryService.getCategories(),
+      venueService.getVenues()
+    ]);
+    const series = event.seriesId ? await seriesService.getSeries(event.seriesId) : null;
+    const sessions = await sessionService.getSessions(eventId);
+    
+    res.render('edit-event', { user: req.user, event, categories, series, venues, sessions, questionTypes: QUESTION_TYPES, accessibilityFeatures: venueService.getAccessibilityFeatures() });
   } catch (error) {
     console.error(error);
     if (error.message === 'Event not found') {
-      return res.status(404).render('edit-event', { user: { role: 'guest' } });
+      return res.status(404).render('edit-event', { user: req.user });
     }
     res.status(500).render('error', { 
       message: 'Error fetching event',
@@ -788,51 +1583,92 @@ app.get('/organizer/edit-event/:eventId', catchAsync(async (req, res) => {
   }
 }));
 
-// Update event - publicly accessible
-app.post('/organizer/update-event/:eventId', catchAsync(async (req, res) => {
+// Update event - event owner or admin only
+app.post('/organizer/update-event/:eventId', requireRole('organizer'), requireEventOwnership, catchAsync(async (req, res) => {
   try {
     const eventId = req.params.eventId;
-    const { title, description, date, time, location } = req.body;
-    
-    // Update event using service
-    await eventService.updateEvent(eventId, {
+    const { title, description, date, time, endTime, timezone, location, roomId, capacity, category, tags, registrationOpensAt, registrationClosesAt, cancellationDeadline, notifyRegistrants, scope } = req.body;
+    const fields = {
       title,
       description,
       date,
       time,
+      endTime,
+      timezone,
       location,
+      roomId,
+      capacity,
+      category,
+      tags,
+      registrationOpensAt,
+      registrationClosesAt,
+      cancellationDeadline,
       updatedAt: new Date()
+    };
+    // The question builder sends the registration questions as JSON
+    if (req.body.registrationQuestions !== undefined) {
+      fields.registrationQuestions = req.body.registrationQuestions;
+    }
+    // Only admins can book a room that is already taken
+    const options = {
+      notify: Boolean(notifyRegistrants),
+      allowDoubleBooking: req.user.role === 'admin' && Boolean(req.body.allowDoubleBooking)
+    };
+    
+    // Update event using service; raising the capacity offers the new places to the waitlist,
+    // and registrants are emailed about date, time or location changes unless the organizer opted out.
+    // For a series occurrence the edit can also apply to every later occurrence.
+    if (scope === 'following') {
+      await seriesService.updateFollowing(eventId, fields, auditContext(req), options);
+    } else {
+      await eventService.updateEvent(eventId, fields, auditContext(req), options);
+    }
+    
+    res.redirect('/organizer/my-events');
+  } catch (error) {
+    console.error(error);
+    res.status(error.statusCode || 500).render('error', { 
+      message: error.statusCode ? error.message : 'Error updating event',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+}));
+
+// Publish, cancel or complete an event - event owner or admin only
+app.post('/organizer/event/:eventId/status', requireRole('organizer'), requireEventOwnership, catchAsync(async (req, res) => {
+  try {
+    await eventService.changeEventStatus(req.params.eventId, req.body.status, auditContext(req), {
+      reason: req.body.reason
     });
     
     res.redirect('/organizer/my-events');
   } catch (error) {
     console.error(error);
-    res.status(500).render('error', { 
-      message: 'Error updating event',
+    res.status(error.statusCode || 500).render('error', { 
+      message: error.statusCode ? error.message : 'Error changing event status',
       error: process.env.NODE_ENV === 'development' ? error : {}
     });
   }
 }));
 
-// Delete event - publicly accessible
-app.post('/organizer/delete-event/:eventId', catchAsync(async (req, res) => {
+// Delete event - event owner or admin only
+app.post('/organizer/delete-event/:eventId', requireRole('organizer'), requireEventOwnership, catchAsync(async (req, res) => {
   try {
     const eventId = req.params.eventId;
     
-    // Delete event using service
-    await eventService.deleteEvent(eventId);
-    
-    // Delete associated registrations
-    await database.getCollection('registrations').deleteMany({ eventId: eventId });
+    // Published events are cancelled instead, so their registrations are kept and notified
+    if (req.event.status !== 'draft' && req.user.role !== 'admin') {
+      throw new AppError('Only draft events can be deleted. Cancel the event instead.', 400);
+    }
     
-    // Delete associated feedback
-    await database.getCollection('feedback').deleteMany({ eventId: eventId });
+    // Delete event with its registrations and feedback using service
+    await eventService.deleteEvent(eventId, auditContext(req));
     
     res.redirect('/organizer/my-events');
   } catch (error) {
     console.error(error);
-    res.status(500).render('error', { 
-      message: 'Error deleting event',
+    res.status(error.statusCode || 500).render('error', { 
+      message: error.statusCode ? error.message : 'Error deleting event',
       error: process.env.NODE_ENV === 'development' ? error : {}
     });
   }
@@ -846,7 +1682,7 @@ app.get('/api/event-details/:eventId', catchAsync(async (req, res) => {
         // Get event details
         const event = await eventService.getEventById(eventId);
         
-        if (!event) {
+        if (!event || !eventService.isVisibleTo(event, req.user)) {
             return res.status(404).json({ error: 'Event not found' });
         }
         
@@ -854,12 +1690,19 @@ app.get('/api/event-details/:eventId', catchAsync(async (req, res) => {
             id: event._id,
             title: event.title,
             description: event.description,
-            date: event.date,
-            time: event.time,
+            date: formatEventDate(event),
+            time: formatEventTime(event),
+            timezone: CAMPUS_TIMEZONE,
+            startsAt: event.startsAt,
+            endsAt: event.endsAt,
             location: event.location,
-            organizer: event.organizer
+            organizer: event.organizer,
+            status: event.status
         });
     } catch (error) {
+        if (error.statusCode === 404) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
         console.error(error);
         res.status(500).json({ error: 'Error fetching event details' });
     }
@@ -873,18 +1716,51 @@ app.get('/events/:eventId', catchAsync(async (req, res) => {
         // Get event details
         const event = await eventService.getEventById(eventId);
         
-        if (!event) {
+        if (!event || !eventService.isVisibleTo(event, req.user)) {
             return res.status(404).render('error', { 
                 message: 'Event not found',
                 error: {}
             });
         }
         
+        const category = event.category ? await categoryService.getCategoryBySlug(event.category) : null;
+        // The room may have been removed since (only past bookings allow that)
+        const room = event.roomId ? await venueService.getRoom(event.roomId).catch(error => {
+            if (error instanceof AppError) return null;
+            throw error;
+        }) : null;
+        
+        // Other upcoming dates of a recurring event
+        let series = null;
+        let occurrences = [];
+        if (event.seriesId) {
+            series = await seriesService.getSeries(event.seriesId);
+            occurrences = await seriesService.getOccurrences(event.seriesId, {
+                fromDate: today(),
+                statuses: ['published']
+            });
+        }
+        
+        // The agenda, for multi-session events
+        const sessions = await sessionService.getSessions(eventId);
+        
         res.render('event-details', { 
             user: req.user,
-            event: event
+            event: event,
+            category,
+            room,
+            accessibilityFeatures: venueService.getAccessibilityFeatures(),
+            series,
+            occurrences,
+            sessions
         });
     } catch (error) {
+        if (error.statusCode === 404) {
+            return res.status(404).render('error', { 
+                message: 'Event not found',
+                error: {}
+            });
+        }
         console.error(error);
         res.status(500).render('error', { 
             message: 'Error fetching event details',
@@ -893,23 +1769,20 @@ app.get('/events/:eventId', catchAsync(async (req, res) => {
     }
 }));
 
-// Registration - publicly accessible
-app.post('/register', catchAsync(async (req, res) => {
+// Registration - verified accounts only; the registrant is always the logged-in user
+app.post('/register', requireVerifiedEmail, catchAsync(async (req, res) => {
   try {
-    const { name, email, studentId, eventId, userType, paymentMethod } = req.body;
+    const { eventId, userType, paymentMethod, scope, sessionIds } = req.body;
+    const { name, email, studentId } = req.user;
     
-    // Get event details to check if event date has passed
+    // Get event details to check if the event has started
     const event = await eventService.getEventById(eventId);
     
-    // Check if event date has passed
-    const eventDate = new Date(event.date);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0); // Reset time part for comparison
-    
-    if (eventDate < today) {
+    // Check if the event has already started
+    if (eventService.hasStarted(event)) {
       return res.status(400).render('error', { 
         message: 'Cannot register for past events',
-        error: { message: `The event "${event.title}" date has already passed. Registration is no longer available for this event.` }
+        error: { message: `The event "${event.title}" has already started. Registration is no longer available for this event.` }
       });
     }
     
@@ -925,7 +1798,7 @@ app.post('/register', catchAsync(async (req, res) => {
     if (userType === 'student' && !studentId) {
       return res.status(400).render('error', { 
         message: 'Student ID is required',
-        error: { message: 'Student ID is required for campus students.' }
+        error: { message: 'Campus student registration needs a student ID on your account. Please contact an administrator.' }
       });
     }
     
@@ -946,11 +1819,24 @@ app.post('/register', catchAsync(async (req, res) => {
       userType: userType,
       paymentMethod: userType === 'non-student' ? paymentMethod : null,
       paymentStatus: userType === 'student' ? 'free' : 'pending',
+      // Answers to the event's registration questions, as answers[<question id>] fields
+      answers: req.body.answers || {},
       registeredAt: new Date()
     };
     
-    // Register for event using service
-    const registration = await eventService.registerForEvent(registrationData);
+    // Registering for the whole series creates one registration per upcoming occurrence;
+    // non-students pay for each of them from their registrations page
+    if (scope === 'series') {
+      const { registrations, skipped } = await seriesService.registerForSeries(eventId, registrationData);
+      return res.redirect(`/student/registrations?seriesRegistered=${registrations.length}&seriesSkipped=${skipped.length}`);
+    }
+    
+    // Register for event and the chosen sessions using service; a full event puts the registration on its waitlist
+    const registration = await eventService.registerForEvent({ ...registrationData, sessionIds });
+    
+    if (registration.status === 'waitlisted') {
+      return res.redirect('/student/registrations?waitlisted=true');
+    }
     
     // If non-student, redirect to payment page
     if (userType === 'non-student') {
@@ -968,6 +1854,12 @@ app.post('/register', catchAsync(async (req, res) => {
         error: { message: 'You have already registered for this event. Each student can only register once for each event.' }
       });
     }
+    if (error.statusCode) {
+      return res.status(error.statusCode).render('error', { 
+        message: error.message,
+        error: {}
+      });
+    }
     res.status(500).render('error', { 
       message: 'Error registering for event',
       error: process.env.NODE_ENV === 'development' ? error : {}
@@ -989,8 +1881,14 @@ app.post('/feedback', catchAsync(async (req, res) => {
       comment: comment
     });
     
-    res.redirect('/events');
+    res.redirect('/events?status=completed');
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).render('error', { 
+        message: error.message,
+        error: {}
+      });
+    }
     console.error(error);
     res.status(500).render('error', { 
       message: 'Error submitting feedback',
@@ -999,40 +1897,82 @@ app.post('/feedback', catchAsync(async (req, res) => {
   }
 }));
 
-// Create event - publicly accessible
-app.post('/organizer/create-event', upload.fields([{ name: 'images', maxCount: 5 }, { name: 'videos', maxCount: 3 }]), catchAsync(async (req, res) => {
+// Recurrence rule from the create event form's "Repeat" fields, or null for a one-off event
+const recurrenceFromForm = (body) => {
+  if (!['DAILY', 'WEEKLY', 'MONTHLY'].includes(body.repeat)) {
+    return null;
+  }
+  
+  const parts = [`FREQ=${body.repeat}`];
+  if (body.repeatInterval) parts.push(`INTERVAL=${body.repeatInterval}`);
+  if (body.repeat === 'WEEKLY' && body.repeatDays) parts.push(`BYDAY=${[].concat(body.repeatDays).join(',')}`);
+  if (body.repeatEnds === 'until') {
+    parts.push(`UNTIL=${String(body.repeatUntil || '').replace(/-/g, '')}`);
+  } else {
+    parts.push(`COUNT=${body.repeatCount || ''}`);
+  }
+  
+  return { rrule: parts.join(';'), exceptions: body.repeatExceptions };
+};
+
+// Create event - organizers and admins only
+app.post('/organizer/create-event', requireRole('organizer'), requireVerifiedEmail, upload.fields([{ name: 'images', maxCount: 5 }, { name: 'videos', maxCount: 3 }]), catchAsync(async (req, res) => {
   try {
-    const { title, description, date, time, location, organizer } = req.body;
+    const { title, description, date, time, endTime, timezone, location, roomId, organizer, capacity, category, tags, registrationOpensAt, registrationClosesAt, cancellationDeadline, status } = req.body;
+    const recurrence = recurrenceFromForm(req.body);
+    // Only admins can book a room that is already taken
+    const options = { allowDoubleBooking: req.user.role === 'admin' && Boolean(req.body.allowDoubleBooking) };
+    
+    // Media kept from a template or duplicated event come back as their /uploads/ paths
+    const keptFiles = (value) => [].concat(value || []).filter(file => /^\/uploads\/[\w.-]+$/.test(file));
     
     // Process uploaded files
-    const images = req.files['images'] ? req.files['images'].map(file => '/uploads/' + file.filename) : [];
-    const videos = req.files['videos'] ? req.files['videos'].map(file => '/uploads/' + file.filename) : [];
+    const images = keptFiles(req.body.existingImages).concat(req.files['images'] ? req.files['images'].map(file => '/uploads/' + file.filename) : []);
+    const videos = keptFiles(req.body.existingVideos).concat(req.files['videos'] ? req.files['videos'].map(file => '/uploads/' + file.filename) : []);
     
-    // Create event using service
-    await eventService.createEvent({
+    const eventData = {
       title,
       description,
       date,
       time,
+      endTime,
+      timezone,
       location,
-      organizer: organizer || 'guest@example.com',
-      createdBy: 'guest@example.com',
+      roomId,
+      capacity,
+      category,
+      tags,
+      registrationOpensAt,
+      registrationClosesAt,
+      cancellationDeadline,
+      // Copied from a template or duplicated event; new events add questions on the edit page
+      registrationQuestions: req.body.registrationQuestions,
+      status: status === 'draft' ? 'draft' : 'published',
+      organizer: organizer || req.user.email,
+      createdBy: req.user.email,
       images: images,
       videos: videos
-    });
+    };
+    
+    // Create event using service; a repeating event creates one event per date of the series
+    if (recurrence) {
+      await seriesService.createSeries(eventData, recurrence, auditContext(req), options);
+    } else {
+      await eventService.createEvent(eventData, auditContext(req), options);
+    }
     
     res.redirect('/organizer');
   } catch (error) {
     console.error(error);
-    res.status(500).render('error', { 
-      message: 'Error creating event',
+    res.status(error.statusCode || 500).render('error', { 
+      message: error.statusCode ? error.message : 'Error creating event',
       error: process.env.NODE_ENV === 'development' ? error : {}
     });
   }
 }));
 
-// Add this new route to cancel event registration
-app.post('/student/cancel-registration/:registrationId', catchAsync(async (req, res) => {
+// Cancel event registration - registration owner or admin only
+app.post('/student/cancel-registration/:registrationId', requireRegistrationOwnership, catchAsync(async (req, res) => {
     try {
         const registrationId = req.params.registrationId;
         
@@ -1044,21 +1984,24 @@ app.post('/student/cancel-registration/:registrationId', catchAsync(async (req,
             });
         }
         
-        // Delete the registration
-        const result = await database.getCollection('registrations').deleteOne({ 
-            _id: new ObjectId(registrationId) 
-        });
+        // Delete the registration; admins can still cancel after the event's cancellation deadline
+        await eventService.cancelRegistration(registrationId, auditContext(req), { allowAfterDeadline: req.user.role === 'admin' });
         
-        if (result.deletedCount === 0) {
+        // Redirect back to student registrations page with success message
+        res.redirect('/student/registrations?cancelled=true');
+    } catch (error) {
+        if (error.statusCode === 404) {
             return res.status(404).render('error', { 
                 message: 'Registration not found',
-                error: process.env.NODE_ENV === 'development' ? new Error('Registration not found') : {}
+                error: process.env.NODE_ENV === 'development' ? error : {}
+            });
+        }
+        if (error.statusCode) {
+            return res.status(error.statusCode).render('error', { 
+                message: error.message,
+                error: {}
             });
         }
-        
-        // Redirect back to student registrations page with success message
-        res.redirect('/student/registrations?cancelled=true');
-    } catch (error) {
         console.error('Error cancelling registration:', error);
         res.status(500).render('error', { 
             message: 'Error cancelling registration',
@@ -1067,8 +2010,34 @@ app.post('/student/cancel-registration/:registrationId', catchAsync(async (req,
     }
 }));
 
-// Payment processing routes
-app.get('/payment', catchAsync(async (req, res) => {
+// Accept a place offered from the waitlist - registration owner or admin only
+app.post('/student/registrations/:registrationId/confirm', requireRegistrationOwnership, catchAsync(async (req, res) => {
+    try {
+        const registration = await eventService.confirmWaitlistOffer(req.params.registrationId, auditContext(req));
+        
+        // Non-students still have to pay for the place
+        if (registration.userType === 'non-student' && registration.paymentStatus !== 'completed') {
+            return res.redirect(`/payment?eventId=${registration.eventId}&registrationId=${registration._id}`);
+        }
+        
+        res.redirect('/student/registrations?confirmed=true');
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).render('error', { 
+                message: error.message,
+                error: process.env.NODE_ENV === 'development' ? error : {}
+            });
+        }
+        console.error('Error confirming waitlist offer:', error);
+        res.status(500).render('error', { 
+            message: 'Error confirming your place',
+            error: process.env.NODE_ENV === 'development' ? error : {}
+        });
+    }
+}));
+
+// Payment processing routes - only the registrant (or an admin) can see or pay for a registration
+app.get('/payment', requireLogin, requireRegistrationOwnership, catchAsync(async (req, res) => {
     try {
         const { eventId, registrationId } = req.query;
         
@@ -1108,6 +2077,14 @@ app.get('/payment', catchAsync(async (req, res) => {
             });
         }
         
+        // Waitlisted students pay once they have confirmed a place
+        if (registration.status === 'waitlisted' || registration.status === 'offered') {
+            return res.status(400).render('error', { 
+                message: 'Place not confirmed',
+                error: { message: 'You can pay once you have a confirmed place at this event. Check your registrations page.' }
+            });
+        }
+        
         // Check if payment is already completed
         if (registration.paymentStatus === 'completed') {
             return res.status(400).render('error', { 
@@ -1130,7 +2107,7 @@ app.get('/payment', catchAsync(async (req, res) => {
     }
 }));
 
-app.post('/payment/process', catchAsync(async (req, res) => {
+app.post('/payment/process', requireLogin, requireRegistrationOwnership, catchAsync(async (req, res) => {
     try {
         const { eventId, registrationId, paymentMethod } = req.body;
         
@@ -1170,6 +2147,14 @@ app.post('/payment/process', catchAsync(async (req, res) => {
             });
         }
         
+        // Waitlisted students pay once they have confirmed a place
+        if (registration.status === 'waitlisted' || registration.status === 'offered') {
+            return res.status(400).render('error', { 
+                message: 'Place not confirmed',
+                error: { message: 'You can pay once you have a confirmed place at this event. Check your registrations page.' }
+            });
+        }
+        
         // Check if payment is already completed
         if (registration.paymentStatus === 'completed') {
             return res.status(400).render('error', { 
@@ -1181,6 +2166,14 @@ app.post('/payment/process', catchAsync(async (req, res) => {
         // Update registration with payment status
         await eventService.updateRegistrationPaymentStatus(registrationId, 'completed', paymentMethod);
         
+        await auditService.record(auditContext(req), {
+            action: 'payment.complete',
+            target: { type: 'registration', id: registrationId, label: registration.studentEmail },
+            before: { paymentStatus: registration.paymentStatus || null, paymentMethod: registration.paymentMethod || null },
+            after: { paymentStatus: 'completed', paymentMethod },
+            details: { eventId }
+        });
+        
         // Redirect to payment success page
         res.redirect(`/payment/success?eventId=${eventId}&registrationId=${registrationId}`);
     } catch (error) {
@@ -1192,7 +2185,7 @@ app.post('/payment/process', catchAsync(async (req, res) => {
     }
 }));
 
-app.get('/payment/success', catchAsync(async (req, res) => {
+app.get('/payment/success', requireLogin, requireRegistrationOwnership, catchAsync(async (req, res) => {
     try {
         const { eventId, registrationId } = req.query;
         
@@ -1260,24 +2253,17 @@ app.use(handle404);
 // Error handling middleware
 app.use(handleErrors);
 
-// Schedule event reminders (runs every day at 9:00 AM)
+// Start of the day that is a number of days from today, in the campus timezone
+const startOfCampusDay = (daysFromToday) => toInstant(shiftDate(today(), daysFromToday), '00:00');
+
+// Schedule event reminders (runs every day at 9:00 AM campus time)
 cron.schedule('0 9 * * *', async () => {
   console.log('Checking for upcoming events to send reminders...');
   try {
-    // Get all events happening in the next 2 days
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    
-    const dayAfterTomorrow = new Date();
-    dayAfterTomorrow.setDate(dayAfterTomorrow.getDate() + 2);
-    
-    // Format dates as YYYY-MM-DD for MongoDB query
-    const tomorrowStr = tomorrow.toISOString().split('T')[0];
-    const dayAfterTomorrowStr = dayAfterTomorrow.toISOString().split('T')[0];
-    
-    // Find events happening tomorrow or the day after
+    // Find events starting tomorrow or the day after
     const events = await database.getCollection('events').find({
-      date: { $in: [tomorrowStr, dayAfterTomorrowStr] }
+      startsAt: { $gte: startOfCampusDay(1), $lt: startOfCampusDay(3) },
+      status: 'published'
     }).toArray();
     
     console.log(`Found ${events.length} upcoming events`);
@@ -1287,7 +2273,8 @@ cron.schedule('0 9 * * *', async () => {
       try {
         // Get all registered students for this event
         const registrations = await database.getCollection('registrations').find({
-          eventId: event._id.toString()
+          eventId: event._id.toString(),
+          status: { $nin: ['waitlisted', 'offered'] }
         }).toArray();
         
         console.log(`Found ${registrations.length} registrations for event ${event.title}`);
@@ -1304,22 +2291,16 @@ cron.schedule('0 9 * * *', async () => {
   } catch (error) {
     console.error('Error in event reminder scheduler:', error);
   }
-});
+}, { timezone: CAMPUS_TIMEZONE });
 
-// Schedule upcoming event notifications (runs every day at 10:00 AM)
+// Schedule upcoming event notifications (runs every day at 10:00 AM campus time)
 cron.schedule('0 10 * * *', async () => {
   console.log('Checking for upcoming events to send notifications...');
   try {
-    // Get all events happening in the next 3 days
-    const inThreeDays = new Date();
-    inThreeDays.setDate(inThreeDays.getDate() + 3);
-    
-    // Format date as YYYY-MM-DD for MongoDB query
-    const inThreeDaysStr = inThreeDays.toISOString().split('T')[0];
-    
-    // Find events happening in three days
+    // Find events starting in three days
     const events = await database.getCollection('events').find({
-      date: inThreeDaysStr
+      startsAt: { $gte: startOfCampusDay(3), $lt: startOfCampusDay(4) },
+      status: 'published'
     }).toArray();
     
     console.log(`Found ${events.length} events happening in 3 days`);
@@ -1329,7 +2310,8 @@ cron.schedule('0 10 * * *', async () => {
       try {
         // Get all registered students for this event
         const registrations = await database.getCollection('registrations').find({
-          eventId: event._id.toString()
+          eventId: event._id.toString(),
+          status: { $nin: ['waitlisted', 'offered'] }
         }).toArray();
         
         console.log(`Found ${registrations.length} registrations for event ${event.title}`);
@@ -1346,12 +2328,46 @@ cron.schedule('0 10 * * *', async () => {
   } catch (error) {
     console.error('Error in upcoming event notification scheduler:', error);
   }
+}, { timezone: CAMPUS_TIMEZONE });
+
+// Mark events that have ended as completed, opening them for feedback (runs every hour)
+cron.schedule('30 * * * *', async () => {
+  try {
+    const completed = await eventService.completePastEvents();
+    console.log(`Marked ${completed} past event(s) as completed`);
+  } catch (error) {
+    console.error('Error in event completion job:', error);
+  }
+});
+
+// Offer places to the next on the waitlist when offers go unconfirmed (runs every 5 minutes)
+cron.schedule('*/5 * * * *', async () => {
+  try {
+    const expired = await eventService.expireWaitlistOffers();
+    if (expired > 0) {
+      console.log(`Expired ${expired} unconfirmed waitlist offer(s)`);
+    }
+  } catch (error) {
+    console.error('Error in waitlist offer job:', error);
+  }
+});
+
+// Carry out approved data erasure requests (runs every 15 minutes)
+cron.schedule('*/15 * * * *', async () => {
+  try {
+    const processed = await privacyService.processApprovedErasures();
+    if (processed > 0) {
+      console.log(`Processed ${processed} data erasure request(s)`);
+    }
+  } catch (error) {
+    console.error('Error in data erasure job:', error);
+  }
 });
 
 // Initialize services and start server
 initializeServices().then(() => {
   app.listen(port, () => {
     console.log(`Campus Event Hub server running at http://localhost:${port}`);
-    console.log('Event reminder scheduler is running daily at 9:00 AM');
+    console.log(`Event reminder scheduler is running daily at 9:00 AM ${CAMPUS_TIMEZONE}`);
   });
 });
\ No newline at end of file
@@ -0,0 +1,214 @@
+const { ObjectId } = require('mongodb');
+const crypto = require('crypto');
+const database = require('../utils/database');
+const auditService = require('./auditService');
+const { AppError, DatabaseError } = require('../utils/errorHandler');
+const winston = require('winston');
+
+// Create a logger instance
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'api-key-service' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/user-service.log' })
+  ]
+});
+
+// If we're not in production, also log to the console
+if (process.env.NODE_ENV !== 'production') {
+  logger.add(new winston.transports.Console({
+    format: winston.format.simple()
+  }));
+}
+
+// What a key can be allowed to do; the owner's role still applies on top
+const API_KEY_SCOPES = {
+  'events:read': 'List your events',
+  'events:write': 'Create and update your events',
+  'registrations:read': 'Read and export registrations for your events'
+};
+// Integrations manage events, so only organizers and admins can mint keys
+const API_KEY_ROLES = ['organizer', 'admin'];
+const MAX_KEYS_PER_USER = 10;
+const MAX_NAME_LENGTH = 100;
+// Makes keys recognisable in logs and secret scanners
+const KEY_PREFIX = 'ceh_';
+// Characters of the key kept in clear so users can tell their keys apart
+const VISIBLE_KEY_LENGTH = KEY_PREFIX.length + 6;
+
+// Keys are long random strings, so a plain SHA-256 digest is enough to keep them unusable if leaked
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+// The fields of a key that are safe to show
+const toPublicKey = ({ keyHash, ...apiKey }) => apiKey;
+
+class ApiKeyService {
+  constructor() {
+    this.apiKeysCollection = null;
+  }
+
+  async initialize() {
+    try {
+      this.apiKeysCollection = database.getCollection('api_keys');
+      logger.info('ApiKeyService initialized successfully');
+    } catch (error) {
+      logger.error('Error initializing ApiKeyService:', error);
+      throw new DatabaseError('Failed to initialize ApiKeyService');
+    }
+  }
+
+  getScopes() {
+    return API_KEY_SCOPES;
+  }
+
+  canUseApiKeys(role) {
+    return API_KEY_ROLES.includes(role);
+  }
+
+  // Create a named key for a user; the plain key is returned only this once.
+  // context (from auditContext) identifies who did it for the audit log.
+  async createKey(user, { name, scopes }, context) {
+    try {
+      if (!this.canUseApiKeys(user.role)) {
+        throw new AppError('API keys are available to organizer and admin accounts', 403);
+      }
+
+      const trimmedName = typeof name === 'string' ? name.trim() : '';
+      if (!trimmedName || trimmedName.length > MAX_NAME_LENGTH) {
+        throw new AppError(`Key name is required and must be at most ${MAX_NAME_LENGTH} characters`, 400);
+      }
+
+      const requestedScopes = [...new Set(Array.isArray(scopes) ? scopes : [scopes].filter(Boolean))];
+      if (requestedScopes.length === 0) {
+        throw new AppError('Choose at least one scope', 400);
+      }
+
+      const unknownScope = requestedScopes.find(scope => !API_KEY_SCOPES[scope]);
+      if (unknownScope) {
+        throw new AppError(`Unknown scope: ${unknownScope}`, 400);
+      }
+
+      const activeKeys = await this.apiKeysCollection.countDocuments({ userId: user.id, revokedAt: null });
+      if (activeKeys >= MAX_KEYS_PER_USER) {
+        throw new AppError(`You can have at most ${MAX_KEYS_PER_USER} active API keys. Revoke one first.`, 400);
+      }
+
+      const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+      const apiKey = {
+        userId: user.id,
+        name: trimmedName,
+        scopes: requestedScopes,
+        keyHash: hashKey(key),
+        keyPrefix: key.slice(0, VISIBLE_KEY_LENGTH),
+        lastUsedAt: null,
+        lastUsedIp: null,
+        revokedAt: null,
+        createdAt: new Date()
+      };
+
+      const result = await this.apiKeysCollection.insertOne(apiKey);
+
+      await auditService.record(context, {
+        action: 'api_key.create',
+        target: { type: 'api_key', id: result.insertedId, label: trimmedName },
+        after: toPublicKey(apiKey)
+      });
+
+      logger.info('API key created', { userId: user.id, keyId: result.insertedId, scopes: requestedScopes });
+
+      return { key, apiKey: toPublicKey({ ...apiKey, _id: result.insertedId }) };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error creating API key:', error);
+      throw new DatabaseError('Failed to create API key');
+    }
+  }
+
+  // A user's active keys, newest first
+  async listKeys(userId) {
+    try {
+      const keys = await this.apiKeysCollection
+        .find({ userId, revokedAt: null }, { projection: { keyHash: 0 } })
+        .sort({ createdAt: -1 })
+        .toArray();
+
+      return keys;
+    } catch (error) {
+      logger.error('Error fetching API keys:', error);
+      throw new DatabaseError('Failed to fetch API keys');
+    }
+  }
+
+  async revokeKey(userId, keyId, context) {
+    try {
+      if (!ObjectId.isValid(keyId)) {
+        throw new AppError('Invalid API key ID', 400);
+      }
+
+      const revokedAt = new Date();
+      const result = await this.apiKeysCollection.findOneAndUpdate(
+        { _id: new ObjectId(keyId), userId, revokedAt: null },
+        { $set: { revokedAt } }
+      );
+
+      if (!result.value) {
+        throw new AppError('API key not found', 404);
+      }
+
+      await auditService.record(context, {
+        action: 'api_key.revoke',
+        target: { type: 'api_key', id: keyId, label: result.value.name },
+        before: { revokedAt: null },
+        after: { revokedAt }
+      });
+
+      logger.info('API key revoked', { userId, keyId });
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error revoking API key:', error);
+      throw new DatabaseError('Failed to revoke API key');
+    }
+  }
+
+  // Revoke every key of a user, e.g. when the account is deleted
+  async revokeAllKeys(userId) {
+    try {
+      const result = await this.apiKeysCollection.updateMany(
+        { userId, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      );
+
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error('Error revoking API keys:', error);
+      throw new DatabaseError('Failed to revoke API keys');
+    }
+  }
+
+  // Look up an active key from a request header and record its use; returns null for unknown or revoked keys
+  async findActiveKey(key, meta = {}) {
+    try {
+      if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) {
+        return null;
+      }
+
+      const result = await this.apiKeysCollection.findOneAndUpdate(
+        { keyHash: hashKey(key), revokedAt: null },
+        { $set: { lastUsedAt: new Date(), lastUsedIp: meta.ip || null } },
+        { returnDocument: 'after', projection: { keyHash: 0 } }
+      );
+
+      return result.value;
+    } catch (error) {
+      logger.error('Error checking API key:', error);
+      throw new DatabaseError('Failed to check API key');
+    }
+  }
+}
+
+module.exports = new ApiKeyService();
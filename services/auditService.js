@@ -0,0 +1,252 @@
+const database = require('../utils/database');
+const { DatabaseError } = require('../utils/errorHandler');
+const winston = require('winston');
+
+// Create a logger instance
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'audit-service' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/audit-service.log' })
+  ]
+});
+
+// If we're not in production, also log to the console
+if (process.env.NODE_ENV !== 'production') {
+  logger.add(new winston.transports.Console({
+    format: winston.format.simple()
+  }));
+}
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+// Upper bound for a CSV export so a wide date range can't exhaust memory
+const MAX_EXPORT_ROWS = 10000;
+// Never copy credentials into the log
+const SECRET_FIELDS = ['password', 'twoFactor', 'tokenVersion', 'keyHash', 'passwordHash'];
+// Bookkeeping fields that change on every write and would clutter every diff
+const IGNORED_FIELDS = ['_id', 'updatedAt'];
+// Snapshot fields that hold someone's email address
+const EMAIL_FIELDS = ['email', 'createdBy', 'organizer', 'studentEmail', 'userEmail', 'reviewedBy'];
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Copy a document without secrets so it can be stored as a snapshot
+function sanitize(document) {
+  if (!document) {
+    return null;
+  }
+
+  const copy = { ...document };
+  SECRET_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+}
+
+// Field-by-field differences between two snapshots: { field: { from, to } }
+function diff(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field) || SECRET_FIELDS.includes(field)) {
+      return;
+    }
+
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+    }
+  });
+
+  return changes;
+}
+
+class AuditService {
+  constructor() {
+    this.auditCollection = null;
+  }
+
+  async initialize() {
+    try {
+      this.auditCollection = database.getCollection('audit_log');
+      logger.info('AuditService initialized successfully');
+    } catch (error) {
+      logger.error('Error initializing AuditService:', error);
+      throw new DatabaseError('Failed to initialize AuditService');
+    }
+  }
+
+  // Append an entry. context comes from auditContext(req); without one the action is
+  // recorded as done by the system (e.g. scheduled jobs).
+  // The log is append-only: apart from pseudonymize() for data erasure, this service has no way
+  // to change or remove entries.
+  async record(context = {}, { action, target, before = null, after = null, details = null }) {
+    const entry = {
+      actor: context.actor || { id: null, email: null, role: 'system' },
+      action,
+      target: {
+        type: target.type,
+        id: target.id ? target.id.toString() : null,
+        label: target.label || null
+      },
+      changes: diff(before, after),
+      before: sanitize(before),
+      after: sanitize(after),
+      details,
+      ip: context.ip || null,
+      createdAt: new Date()
+    };
+
+    try {
+      await this.auditCollection.insertOne(entry);
+    } catch (error) {
+      // The action already happened; keep the entry in the application log rather than failing the request
+      logger.error('Error writing audit log entry:', { error: error.message, entry });
+    }
+  }
+
+  // Replace an erased person's email address and name in every entry that mentions them, and drop
+  // the IP addresses of their own actions. The entries stay, so the log still shows what was done.
+  async pseudonymize({ userId, email, name }, replacement) {
+    try {
+      const emailPattern = new RegExp(escapeRegex(email), 'gi');
+      const isName = (value) => Boolean(name) && value.trim().toLowerCase() === String(name).trim().toLowerCase();
+      const scrub = (value) => {
+        if (typeof value === 'string') {
+          return isName(value) ? replacement.name : value.replace(emailPattern, replacement.email);
+        }
+        if (Array.isArray(value)) {
+          return value.map(scrub);
+        }
+        if (value && Object.getPrototypeOf(value) === Object.prototype) {
+          return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, scrub(item)]));
+        }
+        return value;
+      };
+
+      const matchesEmail = { $regex: `^${escapeRegex(email)}$`, $options: 'i' };
+      const conditions = [{ 'actor.email': matchesEmail }, { 'target.label': matchesEmail }];
+      if (userId) {
+        conditions.push({ 'actor.id': String(userId) }, { 'target.id': String(userId) });
+      }
+      EMAIL_FIELDS.forEach(field => {
+        conditions.push({ [`before.${field}`]: matchesEmail }, { [`after.${field}`]: matchesEmail });
+      });
+
+      const entries = await this.auditCollection.find({ $or: conditions }).toArray();
+      for (const entry of entries) {
+        const ownAction = (userId && String(entry.actor.id) === String(userId)) ||
+          String(entry.actor.email || '').toLowerCase() === String(email).toLowerCase();
+
+        await this.auditCollection.updateOne({ _id: entry._id }, {
+          $set: {
+            actor: scrub(entry.actor),
+            target: scrub(entry.target),
+            changes: scrub(entry.changes),
+            before: scrub(entry.before),
+            after: scrub(entry.after),
+            details: scrub(entry.details),
+            ip: ownAction ? null : entry.ip
+          }
+        });
+      }
+
+      return entries.length;
+    } catch (error) {
+      logger.error('Error pseudonymizing audit log:', error);
+      throw new DatabaseError('Failed to pseudonymize audit log');
+    }
+  }
+
+  buildQuery(filters = {}) {
+    const query = {};
+
+    if (filters.actor) {
+      query['actor.email'] = { $regex: escapeRegex(filters.actor), $options: 'i' };
+    }
+
+    if (filters.action) {
+      query.action = filters.action;
+    }
+
+    if (filters.targetType) {
+      query['target.type'] = filters.targetType;
+    }
+
+    if (filters.targetId) {
+      query['target.id'] = filters.targetId;
+    }
+
+    const from = filters.from ? new Date(filters.from) : null;
+    const to = filters.to ? new Date(filters.to) : null;
+    if (from && !isNaN(from)) {
+      query.createdAt = { $gte: from };
+    }
+    if (to && !isNaN(to)) {
+      // A bare date means the whole of that day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(filters.to)) {
+        to.setUTCDate(to.getUTCDate() + 1);
+      }
+      query.createdAt = { ...query.createdAt, $lt: to };
+    }
+
+    return query;
+  }
+
+  // Newest entries first, one page at a time
+  async getEntries(filters = {}) {
+    try {
+      const limit = Math.min(Math.max(parseInt(filters.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+      const page = Math.max(parseInt(filters.page) || 1, 1);
+      const query = this.buildQuery(filters);
+
+      const [entries, total] = await Promise.all([
+        this.auditCollection.find(query).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+        this.auditCollection.countDocuments(query)
+      ]);
+
+      return { entries, total, page, pages: Math.max(Math.ceil(total / limit), 1) };
+    } catch (error) {
+      logger.error('Error fetching audit log:', error);
+      throw new DatabaseError('Failed to fetch audit log');
+    }
+  }
+
+  // Every matching entry (up to the export limit) for a CSV download
+  async getEntriesForExport(filters = {}) {
+    try {
+      return await this.auditCollection
+        .find(this.buildQuery(filters))
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(MAX_EXPORT_ROWS)
+        .toArray();
+    } catch (error) {
+      logger.error('Error exporting audit log:', error);
+      throw new DatabaseError('Failed to export audit log');
+    }
+  }
+
+  // Values for the viewer's filter dropdowns
+  async getFilterOptions() {
+    try {
+      const [actions, targetTypes] = await Promise.all([
+        this.auditCollection.distinct('action'),
+        this.auditCollection.distinct('target.type')
+      ]);
+
+      return { actions: actions.sort(), targetTypes: targetTypes.sort() };
+    } catch (error) {
+      logger.error('Error fetching audit log filters:', error);
+      throw new DatabaseError('Failed to fetch audit log filters');
+    }
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,188 @@
+const { ObjectId } = require('mongodb');
+const database = require('../utils/database');
+const cache = require('../utils/cache');
+const auditService = require('./auditService');
+const { AppError, DatabaseError } = require('../utils/errorHandler');
+const winston = require('winston');
+
+// Create a logger instance
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'category-service' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/event-service.log' })
+  ]
+});
+
+// If we're not in production, also log to the console
+if (process.env.NODE_ENV !== 'production') {
+  logger.add(new winston.transports.Console({
+    format: winston.format.simple()
+  }));
+}
+
+const MAX_NAME_LENGTH = 50;
+
+// URL-friendly identifier stored on events and used in /events?category=...
+const slugify = (name) => name
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[̀-ͯ]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+function validateName(name) {
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  if (!trimmedName || trimmedName.length > MAX_NAME_LENGTH) {
+    throw new AppError(`Category name is required and must be at most ${MAX_NAME_LENGTH} characters`, 400);
+  }
+
+  const slug = slugify(trimmedName);
+  if (!slug) {
+    throw new AppError('Category name must contain letters or numbers', 400);
+  }
+
+  return { name: trimmedName, slug };
+}
+
+class CategoryService {
+  constructor() {
+    this.categoriesCollection = null;
+  }
+
+  async initialize() {
+    try {
+      this.categoriesCollection = database.getCollection('categories');
+      logger.info('CategoryService initialized successfully');
+    } catch (error) {
+      logger.error('Error initializing CategoryService:', error);
+      throw new DatabaseError('Failed to initialize CategoryService');
+    }
+  }
+
+  // All categories in alphabetical order
+  async getCategories() {
+    try {
+      return await this.categoriesCollection.find({}).sort({ name: 1 }).toArray();
+    } catch (error) {
+      logger.error('Error fetching categories:', error);
+      throw new DatabaseError('Failed to fetch categories');
+    }
+  }
+
+  async getCategoryBySlug(slug) {
+    try {
+      return await this.categoriesCollection.findOne({ slug: String(slug) });
+    } catch (error) {
+      logger.error('Error fetching category:', error);
+      throw new DatabaseError('Failed to fetch category');
+    }
+  }
+
+  async createCategory(name, context) {
+    try {
+      const fields = validateName(name);
+
+      if (await this.getCategoryBySlug(fields.slug)) {
+        throw new AppError('A category with this name already exists', 409);
+      }
+
+      const category = { ...fields, createdAt: new Date(), updatedAt: new Date() };
+      const result = await this.categoriesCollection.insertOne(category);
+
+      await auditService.record(context, {
+        action: 'category.create',
+        target: { type: 'category', id: result.insertedId, label: category.name },
+        after: category
+      });
+
+      logger.info('Category created', { categoryId: result.insertedId, slug: category.slug });
+      return { ...category, _id: result.insertedId };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error creating category:', error);
+      throw new DatabaseError('Failed to create category');
+    }
+  }
+
+  // Rename a category. Its slug stays the same so events and shared links keep working.
+  async renameCategory(categoryId, name, context) {
+    try {
+      if (!ObjectId.isValid(categoryId)) {
+        throw new AppError('Invalid category ID', 400);
+      }
+
+      const { name: trimmedName } = validateName(name);
+
+      const result = await this.categoriesCollection.findOneAndUpdate(
+        { _id: new ObjectId(categoryId) },
+        { $set: { name: trimmedName, updatedAt: new Date() } },
+        { returnDocument: 'before' }
+      );
+
+      if (!result.value) {
+        throw new AppError('Category not found', 404);
+      }
+
+      await cache.delByPrefix('events_');
+
+      await auditService.record(context, {
+        action: 'category.rename',
+        target: { type: 'category', id: categoryId, label: trimmedName },
+        before: { name: result.value.name },
+        after: { name: trimmedName }
+      });
+
+      logger.info('Category renamed', { categoryId, name: trimmedName });
+      return { ...result.value, name: trimmedName };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error renaming category:', error);
+      throw new DatabaseError('Failed to rename category');
+    }
+  }
+
+  // Delete a category; its events are left uncategorized
+  async deleteCategory(categoryId, context) {
+    try {
+      if (!ObjectId.isValid(categoryId)) {
+        throw new AppError('Invalid category ID', 400);
+      }
+
+      const result = await this.categoriesCollection.findOneAndDelete({ _id: new ObjectId(categoryId) });
+
+      if (!result.value) {
+        throw new AppError('Category not found', 404);
+      }
+
+      const events = await database.getCollection('events').updateMany(
+        { category: result.value.slug },
+        { $set: { category: null, updatedAt: new Date() } }
+      );
+
+      await cache.delByPrefix('event_');
+      await cache.delByPrefix('events_');
+
+      await auditService.record(context, {
+        action: 'category.delete',
+        target: { type: 'category', id: categoryId, label: result.value.name },
+        before: result.value,
+        details: { eventsUncategorized: events.modifiedCount }
+      });
+
+      logger.info('Category deleted', { categoryId, eventsUncategorized: events.modifiedCount });
+      return { eventsUncategorized: events.modifiedCount };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error deleting category:', error);
+      throw new DatabaseError('Failed to delete category');
+    }
+  }
+}
+
+module.exports = new CategoryService();
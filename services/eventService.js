@@ -1,8 +1,15 @@
 const { ObjectId } = require('mongodb');
 const database = require('../utils/database');
 const cache = require('../utils/cache');
+const auditService = require('./auditService');
+const categoryService = require('./categoryService');
+const venueService = require('./venueService');
+const sessionService = require('./sessionService');
+const { CAMPUS_TIMEZONE, toInstant, parseDateTime, today, eventInstants, formatEventDate, formatEventTime, formatDateTime } = require('../utils/datetime');
+const { shiftDate } = require('../utils/recurrence');
+const { parseQuestions, parseAnswers } = require('../utils/registrationForm');
 const { AppError, DatabaseError } = require('../utils/errorHandler');
-const { sendRegistrationConfirmation } = require('../utils/email');
+const { sendRegistrationConfirmation, sendWaitlistConfirmation, sendWaitlistOfferEmail, sendEventUpdateNotification } = require('../utils/email');
 const winston = require('winston');
 
 // Create a logger instance
@@ -26,6 +33,121 @@ if (process.env.NODE_ENV !== 'production') {
   }));
 }
 
+const APP_URL = process.env.APP_URL || `http://localhost:${process.env.PORT || 3002}`;
+// How long a student promoted from the waitlist has to confirm before the place goes to the next person
+const WAITLIST_OFFER_HOURS = parseInt(process.env.WAITLIST_OFFER_HOURS) || 24;
+// Registrations holding a place at the event. Registrations made before the waitlist existed have no status and are confirmed.
+const SEAT_QUERY = { status: { $ne: 'waitlisted' } };
+// Changes to these fields affect whether registrants can attend, so they are emailed about them
+const MATERIAL_FIELDS = ['date', 'time', 'location'];
+
+// Where an event can go from each status. Cancelled and completed events are kept as history.
+const STATUS_TRANSITIONS = {
+  draft: ['published'],
+  published: ['cancelled', 'completed'],
+  cancelled: [],
+  completed: []
+};
+const EVENT_STATUSES = Object.keys(STATUS_TRANSITIONS);
+// Audit log action for moving an event into each status
+const STATUS_ACTIONS = {
+  published: 'event.publish',
+  cancelled: 'event.cancel',
+  completed: 'event.complete'
+};
+// Events with no capacity or fewer places taken than their capacity
+const SPOTS_LEFT_QUERY = {
+  $or: [
+    { capacity: null },
+    { $expr: { $lt: [{ $ifNull: ['$registeredCount', 0] }, '$capacity'] } }
+  ]
+};
+// An event still has a free place when it is open for registration and has places left
+const FREE_SEAT_QUERY = { status: 'published', ...SPOTS_LEFT_QUERY };
+// Fee values meaning the event is free; events created without a fee have none (matched by null)
+const FREE_FEE_VALUES = [null, 0, '0', ''];
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+// Optional registration window and cancellation deadline, with how error messages name them
+const REGISTRATION_WINDOW_FIELDS = {
+  registrationOpensAt: 'Registration opening',
+  registrationClosesAt: 'Registration closing',
+  cancellationDeadline: 'Cancellation deadline'
+};
+// Registration is shown as closing soon this long before it closes
+const CLOSING_SOON_HOURS = 48;
+// How many of the most used tags the events page offers as filters
+const TAG_FACET_LIMIT = 20;
+
+// Capacity from a form or API body: empty means unlimited, otherwise a whole number of at least 1
+function parseCapacity(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const capacity = Number(value);
+  if (!Number.isInteger(capacity) || capacity < 1) {
+    throw new AppError('Capacity must be a whole number of at least 1, or empty for unlimited', 400);
+  }
+
+  return capacity;
+}
+
+// Tags from a comma-separated string or an array: trimmed, lower case and without duplicates
+function parseTags(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  const tags = [...new Set([].concat(value)
+    .flatMap(tag => String(tag).split(','))
+    .map(tag => tag.trim().replace(/^#/, '').replace(/\s+/g, ' ').toLowerCase())
+    .filter(Boolean))];
+
+  if (tags.length > MAX_TAGS) {
+    throw new AppError(`An event can have at most ${MAX_TAGS} tags`, 400);
+  }
+
+  if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    throw new AppError(`Tags must be at most ${MAX_TAG_LENGTH} characters`, 400);
+  }
+
+  return tags;
+}
+
+// A material field as registrants see it: date and time in the campus timezone
+function describeField(event, field) {
+  if (field === 'date') return formatEventDate(event);
+  if (field === 'time') return formatEventTime(event);
+  return event[field] ?? null;
+}
+
+// How long until an instant, roughly, e.g. "3 days" or "5 hours"
+function timeUntil(instant, now) {
+  const minutes = Math.max(Math.ceil((new Date(instant) - now) / 60000), 1);
+  const [count, unit] = minutes >= 2 * 24 * 60 ? [Math.floor(minutes / (24 * 60)), 'day']
+    : minutes >= 2 * 60 ? [Math.floor(minutes / 60), 'hour']
+    : [minutes, 'minute'];
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+// Optional end time (HH:MM); one earlier than the start time is on the next day
+function parseEndTime(endTime, startTime) {
+  if (endTime === undefined || endTime === null || endTime === '') {
+    return null;
+  }
+  
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(endTime)) {
+    throw new AppError('End time must be a time in HH:MM format', 400);
+  }
+  
+  if (startTime && endTime === startTime) {
+    throw new AppError('End time must be different from the start time', 400);
+  }
+  
+  return endTime;
+}
+
 class EventService {
   constructor() {
     this.eventsCollection = null;
@@ -38,6 +160,12 @@ class EventService {
       this.eventsCollection = database.getCollection('events');
       this.registrationsCollection = database.getCollection('registrations');
       this.feedbackCollection = database.getCollection('feedback');
+      
+      // Events created before statuses existed were all public
+      await this.eventsCollection.updateMany({ status: { $exists: false } }, { $set: { status: 'published' } });
+      await this.migrateEventInstants();
+      await this.migrateRegisteredCounts();
+      
       logger.info('EventService initialized successfully');
     } catch (error) {
       logger.error('Error initializing EventService:', error);
@@ -45,7 +173,97 @@ class EventService {
     }
   }
 
-  // Get all events with optional filtering
+  // Events created before start and end instants existed were entered in campus time.
+  // Events whose date or time can't be read are left alone and logged.
+  async migrateEventInstants() {
+    const events = await this.eventsCollection.find({ startsAt: { $exists: false } }).toArray();
+    
+    let migrated = 0;
+    for (const event of events) {
+      try {
+        const instants = eventInstants({ ...event, timezone: event.timezone || CAMPUS_TIMEZONE });
+        await this.eventsCollection.updateOne({ _id: event._id }, { $set: instants });
+        migrated++;
+      } catch (error) {
+        if (!(error instanceof AppError)) throw error;
+        logger.warn('Event date or time could not be migrated', { eventId: event._id, date: event.date, time: event.time });
+      }
+    }
+    
+    if (migrated > 0) {
+      logger.info('Added start and end instants to existing events', { migrated, skipped: events.length - migrated });
+    }
+  }
+
+  // Events created before places were counted on the event have no registeredCount, so the
+  // free-place check would treat them as empty. Count their registrations once.
+  async migrateRegisteredCounts() {
+    const events = await this.eventsCollection.find({ registeredCount: { $exists: false } }).toArray();
+    
+    for (const event of events) {
+      await this.syncRegisteredCount(event._id);
+    }
+    
+    if (events.length > 0) {
+      logger.info('Counted registrations for existing events', { migrated: events.length });
+    }
+  }
+
+  // Mongo query for the events listing. filters may hold search, organizer, category, tag,
+  // dateFrom and dateTo (YYYY-MM-DD, in the campus timezone), fee ('free' or 'paid'), spots ('1' for places left) and
+  // status; archived events are never included.
+  buildEventQuery(filters = {}) {
+    const clauses = [
+      { archived: { $ne: true } },
+      { status: { $in: [].concat(filters.status || 'published') } }
+    ];
+    
+    // Whole days in the campus timezone, compared with each event's start instant
+    const from = filters.dateFrom ? toInstant(filters.dateFrom, '00:00') : null;
+    const to = filters.dateTo && toInstant(filters.dateTo, '00:00') ? toInstant(shiftDate(filters.dateTo, 1), '00:00') : null;
+    if (from || to) {
+      const startsAt = {};
+      if (from) startsAt.$gte = from;
+      if (to) startsAt.$lt = to;
+      clauses.push({ startsAt });
+    }
+    
+    if (filters.organizer) {
+      clauses.push({ organizer: filters.organizer });
+    }
+    
+    if (filters.category) {
+      clauses.push({ category: filters.category });
+    }
+    
+    if (filters.tag) {
+      clauses.push({ tags: filters.tag });
+    }
+    
+    if (filters.fee === 'free') {
+      clauses.push({ fee: { $in: FREE_FEE_VALUES } });
+    } else if (filters.fee === 'paid') {
+      clauses.push({ fee: { $nin: FREE_FEE_VALUES } });
+    }
+    
+    if (filters.spots === '1') {
+      clauses.push(SPOTS_LEFT_QUERY);
+    }
+    
+    if (filters.search) {
+      clauses.push({
+        $or: [
+          { title: { $regex: filters.search, $options: 'i' } },
+          { description: { $regex: filters.search, $options: 'i' } }
+        ]
+      });
+    }
+    
+    return { $and: clauses };
+  }
+
+  // Get all events with optional filtering (see buildEventQuery). Only published events are
+  // listed unless filters.status asks for another status (one or an array).
   async getAllEvents(filters = {}) {
     try {
       // Try to get from cache first
@@ -54,30 +272,7 @@ class EventService {
       
       if (!events) {
         // If not in cache, fetch from database
-        const query = {};
-        
-        // Apply filters if provided
-        if (filters.dateFrom) {
-          query.date = { $gte: filters.dateFrom };
-        }
-        
-        if (filters.dateTo) {
-          query.date = query.date || {};
-          query.date.$lte = filters.dateTo;
-        }
-        
-        if (filters.organizer) {
-          query.organizer = filters.organizer;
-        }
-        
-        if (filters.search) {
-          query.$or = [
-            { title: { $regex: filters.search, $options: 'i' } },
-            { description: { $regex: filters.search, $options: 'i' } }
-          ];
-        }
-        
-        events = await this.eventsCollection.find(query).sort({ date: 1 }).toArray();
+        events = await this.eventsCollection.find(this.buildEventQuery(filters)).sort({ startsAt: 1 }).toArray();
         
         // Ensure fee is a number
         events = events.map(event => ({
@@ -96,6 +291,206 @@ class EventService {
     }
   }
 
+  // Counts for the events page sidebar. Each facet is counted with every other filter applied
+  // but not its own, so picking a category still shows how many events the other categories have.
+  async getEventFacets(filters = {}) {
+    try {
+      const cacheKey = `events_facets_${JSON.stringify(filters)}`;
+      let facets = await cache.get(cacheKey);
+      
+      if (!facets) {
+        const countBy = (field, filter, unwind = false) => this.eventsCollection.aggregate([
+          { $match: this.buildEventQuery({ ...filters, [filter]: null }) },
+          ...(unwind ? [{ $unwind: `$${field}` }] : []),
+          { $match: { [field]: { $nin: [null, ''] } } },
+          { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ]).toArray();
+        const countWith = (extra) => this.eventsCollection.countDocuments(this.buildEventQuery({ ...filters, ...extra }));
+        
+        const todayDate = today();
+        const dateRanges = [
+          { label: 'Today', dateFrom: todayDate, dateTo: todayDate },
+          { label: 'Next 7 days', dateFrom: todayDate, dateTo: shiftDate(todayDate, 7) },
+          { label: 'Next 30 days', dateFrom: todayDate, dateTo: shiftDate(todayDate, 30) }
+        ];
+        
+        const [categoryCounts, tagCounts, organizerCounts, categories, free, paid, spotsLeft, dateCounts] = await Promise.all([
+          countBy('category', 'category'),
+          countBy('tags', 'tag', true),
+          countBy('organizer', 'organizer'),
+          categoryService.getCategories(),
+          countWith({ fee: 'free' }),
+          countWith({ fee: 'paid' }),
+          countWith({ spots: '1' }),
+          Promise.all(dateRanges.map(range => countWith({ dateFrom: range.dateFrom, dateTo: range.dateTo })))
+        ]);
+        
+        const categoryNames = new Map(categories.map(category => [category.slug, category.name]));
+        
+        facets = {
+          categories: categoryCounts
+            .filter(entry => categoryNames.has(entry._id))
+            .map(entry => ({ value: entry._id, label: categoryNames.get(entry._id), count: entry.count })),
+          tags: tagCounts.slice(0, TAG_FACET_LIMIT).map(entry => ({ value: entry._id, label: entry._id, count: entry.count })),
+          organizers: organizerCounts.map(entry => ({ value: entry._id, label: entry._id, count: entry.count })),
+          fee: [
+            { value: 'free', label: 'Free', count: free },
+            { value: 'paid', label: 'Paid', count: paid }
+          ],
+          spots: [{ value: '1', label: 'Has places left', count: spotsLeft }],
+          dateRanges: dateRanges.map((range, index) => ({ ...range, count: dateCounts[index] }))
+        };
+        
+        await cache.set(cacheKey, facets, 3600);
+      }
+      
+      return facets;
+    } catch (error) {
+      logger.error('Error fetching event facets:', error);
+      throw new DatabaseError('Failed to fetch event facets');
+    }
+  }
+
+  // Category slug from a form or API body: empty means uncategorized, otherwise it must exist
+  async resolveCategory(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    
+    const category = await categoryService.getCategoryBySlug(value);
+    if (!category) {
+      throw new AppError('Unknown category', 400);
+    }
+    
+    return category.slug;
+  }
+
+  // endTime, timezone and the start and end instants for an event's date and times
+  scheduleFields(event) {
+    const endTime = parseEndTime(event.endTime, event.time);
+    return { endTime, ...eventInstants({ ...event, endTime }) };
+  }
+
+  // Whether an event has started, which closes registration
+  hasStarted(event) {
+    if (!event.startsAt) {
+      return event.date < today();
+    }
+    return new Date(event.startsAt) <= new Date();
+  }
+
+  // registrationOpensAt, registrationClosesAt and cancellationDeadline as instants (or null).
+  // Form values (YYYY-MM-DDTHH:MM) are in the event's timezone; ISO timestamps keep their offset.
+  registrationWindowFields(event) {
+    const fields = {};
+    Object.entries(REGISTRATION_WINDOW_FIELDS).forEach(([field, label]) => {
+      const value = event[field];
+      if (value === undefined || value === null || value === '') {
+        fields[field] = null;
+        return;
+      }
+      
+      fields[field] = parseDateTime(value, event.timezone || CAMPUS_TIMEZONE);
+      if (!fields[field]) {
+        throw new AppError(`${label} must be a date and time (YYYY-MM-DDTHH:MM)`, 400);
+      }
+    });
+    
+    const { registrationOpensAt: opensAt, registrationClosesAt: closesAt } = fields;
+    if (opensAt && closesAt && closesAt <= opensAt) {
+      throw new AppError('Registration must close after it opens', 400);
+    }
+    if (opensAt && event.startsAt && opensAt >= new Date(event.startsAt)) {
+      throw new AppError('Registration must open before the event starts', 400);
+    }
+    
+    return fields;
+  }
+
+  // Where an event is in its registration window: { state, label, open }. state is 'upcoming'
+  // before registration opens, 'open', 'closing-soon' in the last CLOSING_SOON_HOURS and 'closed'
+  // once it has closed or the event has started. Returns null for events that aren't published.
+  registrationWindow(event, now = new Date()) {
+    if (event.status !== 'published') {
+      return null;
+    }
+    
+    if (event.registrationOpensAt && now < new Date(event.registrationOpensAt)) {
+      return { state: 'upcoming', label: `Opens in ${timeUntil(event.registrationOpensAt, now)}`, open: false };
+    }
+    
+    const closesAt = [event.registrationClosesAt, event.startsAt]
+      .filter(Boolean)
+      .map(instant => new Date(instant))
+      .sort((a, b) => a - b)[0];
+    if (this.hasStarted(event) || (closesAt && now >= closesAt)) {
+      return { state: 'closed', label: 'Registration closed', open: false };
+    }
+    if (closesAt && closesAt - now <= CLOSING_SOON_HOURS * 3600000) {
+      return { state: 'closing-soon', label: 'Closing soon', open: true };
+    }
+    return { state: 'open', label: 'Registration open', open: true };
+  }
+
+  // Throws 400 unless the event is published, its registration window is open and it hasn't started
+  assertRegistrationOpen(event, now = new Date()) {
+    if (event.status !== 'published') {
+      throw new AppError(`Registration is closed because this event is ${event.status === 'draft' ? 'not published yet' : event.status}`, 400);
+    }
+    
+    if (event.registrationOpensAt && now < new Date(event.registrationOpensAt)) {
+      throw new AppError(`Registration for this event opens on ${formatDateTime(event.registrationOpensAt)}`, 400);
+    }
+    
+    if (event.registrationClosesAt && now >= new Date(event.registrationClosesAt)) {
+      throw new AppError(`Registration for this event closed on ${formatDateTime(event.registrationClosesAt)}`, 400);
+    }
+    
+    if (this.hasStarted(event)) {
+      throw new AppError('Registration is closed because this event has already started', 400);
+    }
+  }
+
+  // Whether the cancellation deadline stops a registration from being cancelled. Waitlisted
+  // registrations and offers that haven't been confirmed can always be given up.
+  cancellationClosed(registration, event, now = new Date()) {
+    return Boolean(event && event.cancellationDeadline)
+      && !['waitlisted', 'offered'].includes(registration.status)
+      && now >= new Date(event.cancellationDeadline);
+  }
+
+  // Room booking fields for an event: a room's name becomes the event's location and, when
+  // checkCapacity is set, its capacity the default (and maximum) event capacity. Events
+  // overlapping in the same room are rejected with 409 unless allowDoubleBooking is set;
+  // the overlaps are returned either way.
+  async resolveVenue(event, { excludeEventId = null, allowDoubleBooking = false, checkCapacity = true } = {}) {
+    const fields = { roomId: null };
+    
+    if (!event.roomId) {
+      return { fields, conflicts: [] };
+    }
+    
+    const { venue, room } = await venueService.getRoom(event.roomId);
+    fields.roomId = room._id.toString();
+    fields.location = `${room.name}, ${venue.name}`;
+    
+    if (checkCapacity && room.capacity) {
+      if (event.capacity === null || event.capacity === undefined) {
+        fields.capacity = room.capacity;
+      } else if (event.capacity > room.capacity) {
+        throw new AppError(`Capacity can't be more than the ${room.capacity} people ${room.name} holds`, 400);
+      }
+    }
+    
+    const conflicts = await venueService.findConflicts({ ...event, ...fields }, excludeEventId);
+    if (conflicts.length > 0 && !allowDoubleBooking) {
+      throw new AppError(`${room.name} is already booked at this time for ${conflicts.map(other => `"${other.title}" (${formatEventDate(other)} at ${formatEventTime(other)})`).join(', ')}`, 409);
+    }
+    
+    return { fields, conflicts };
+  }
+
   // Get event by ID
   async getEventById(eventId) {
     try {
@@ -130,55 +525,167 @@ class EventService {
     }
   }
 
-  // Create a new event
-  async createEvent(eventData) {
+  // Create a new event. context (from auditContext) identifies who did it for the audit log.
+  // options.allowDoubleBooking books the room even if another event holds it at that time.
+  async createEvent(eventData, context, { allowDoubleBooking = false } = {}) {
     try {
+      const status = eventData.status || 'published';
+      if (!['draft', 'published'].includes(status)) {
+        throw new AppError('A new event must be a draft or published', 400);
+      }
+      
       const event = {
         ...eventData,
+        status,
+        publishedAt: status === 'published' ? new Date() : null,
+        capacity: parseCapacity(eventData.capacity),
+        category: await this.resolveCategory(eventData.category),
+        tags: parseTags(eventData.tags),
+        registrationQuestions: parseQuestions(eventData.registrationQuestions),
+        registeredCount: 0,
         createdAt: new Date(),
         updatedAt: new Date()
       };
       
+      Object.assign(event, this.scheduleFields(event));
+      Object.assign(event, this.registrationWindowFields(event));
+      const { fields: venueFields, conflicts } = await this.resolveVenue(event, { allowDoubleBooking });
+      Object.assign(event, venueFields);
+      
       const result = await this.eventsCollection.insertOne(event);
       
       // Clear events cache
-      await cache.flush();
+      await cache.delByPrefix('events_');
+      
+      await auditService.record(context, {
+        action: 'event.create',
+        target: { type: 'event', id: result.insertedId, label: event.title },
+        after: event,
+        details: conflicts.length > 0 ? { doubleBookedWith: conflicts.map(other => other._id.toString()) } : null
+      });
       
       logger.info('Event created successfully', { eventId: result.insertedId });
       return { ...event, _id: result.insertedId };
     } catch (error) {
+      if (error instanceof AppError) throw error;
       logger.error('Error creating event:', error);
       throw new DatabaseError('Failed to create event');
     }
   }
 
-  // Update an event
-  async updateEvent(eventId, eventData) {
+  // Update an event. When the date, time or location changes, everyone registered is emailed
+  // the old and new values unless options.notify is false (e.g. for a typo fix).
+  // Moving the event or changing its room is checked for double bookings as in createEvent.
+  async updateEvent(eventId, eventData, context, { notify = true, allowDoubleBooking = false } = {}) {
     try {
       // Validate ObjectId
       if (!ObjectId.isValid(eventId)) {
         throw new AppError('Invalid event ID', 400);
       }
       
-      const result = await this.eventsCollection.updateOne(
-        { _id: new ObjectId(eventId) },
-        { 
-          $set: { 
-            ...eventData, 
-            updatedAt: new Date() 
-          } 
+      // Status only changes through changeEventStatus, which enforces the allowed transitions
+      const fields = { ...eventData };
+      delete fields.status;
+      const update = { 
+        ...fields, 
+        updatedAt: new Date() 
+      };
+      
+      if ('capacity' in fields) {
+        update.capacity = parseCapacity(fields.capacity);
+      }
+      
+      if ('category' in fields) {
+        update.category = await this.resolveCategory(fields.category);
+      }
+      
+      if ('tags' in fields) {
+        update.tags = parseTags(fields.tags);
+      }
+      
+      if ('registrationQuestions' in fields) {
+        update.registrationQuestions = parseQuestions(fields.registrationQuestions);
+      }
+      
+      let conflicts = [];
+      const scheduleChanged = ['date', 'time', 'endTime', 'timezone'].some(field => field in fields);
+      const bookingChanged = scheduleChanged || ['roomId', 'capacity'].some(field => field in fields);
+      // The registration window is checked against the event's (new) start
+      const windowChanged = scheduleChanged || Object.keys(REGISTRATION_WINDOW_FIELDS).some(field => field in fields);
+      if (bookingChanged || windowChanged) {
+        const current = await this.getEventById(eventId);
+        if (scheduleChanged) {
+          Object.assign(update, this.scheduleFields({ ...current, ...update }));
         }
+        if (windowChanged) {
+          Object.assign(update, this.registrationWindowFields({ ...current, ...update }));
+        }
+        if (bookingChanged) {
+          const venue = await this.resolveVenue({ ...current, ...update }, {
+            excludeEventId: eventId,
+            allowDoubleBooking,
+            checkCapacity: 'capacity' in fields || 'roomId' in fields
+          });
+          Object.assign(update, venue.fields);
+          conflicts = venue.conflicts;
+        }
+      }
+      
+      // Keep the previous version for the audit log
+      const result = await this.eventsCollection.findOneAndUpdate(
+        { _id: new ObjectId(eventId) },
+        { $set: update },
+        { returnDocument: 'before' }
       );
       
-      if (result.matchedCount === 0) {
+      if (!result.value) {
         throw new AppError('Event not found', 404);
       }
       
       // Clear cache
       await cache.del(`event_${eventId}`);
-      await cache.flush();
+      await cache.delByPrefix('events_');
+      
+      const updatedEvent = { ...result.value, ...update };
+      if ('date' in update || 'timezone' in update) {
+        await sessionService.rescheduleSessions(result.value, updatedEvent);
+      }
+      const changes = MATERIAL_FIELDS
+        .map(field => ({ field, from: describeField(result.value, field), to: describeField(updatedEvent, field) }))
+        .filter(change => String(change.from ?? '') !== String(change.to ?? ''));
+      // Drafts have no registrants, and cancelled or completed events no longer take place
+      const notifyRegistrants = notify && changes.length > 0 && updatedEvent.status === 'published';
       
-      logger.info('Event updated successfully', { eventId });
+      await auditService.record(context, {
+        action: 'event.update',
+        target: { type: 'event', id: eventId, label: eventData.title || result.value.title },
+        before: result.value,
+        after: updatedEvent,
+        details: changes.length > 0 || conflicts.length > 0 ? {
+          ...(changes.length > 0 ? { registrantsNotified: notifyRegistrants } : {}),
+          ...(conflicts.length > 0 ? { doubleBookedWith: conflicts.map(other => other._id.toString()) } : {})
+        } : null
+      });
+      
+      if (notifyRegistrants) {
+        try {
+          const registrations = await this.getEventRegistrations(eventId);
+          await sendEventUpdateNotification(updatedEvent, registrations.map(registration => ({
+            name: registration.studentName,
+            email: registration.studentEmail
+          })), 'updated', changes);
+        } catch (emailError) {
+          logger.error('Error sending event update emails:', emailError);
+        }
+      }
+      
+      // A new capacity may free places for the waitlist
+      if ('capacity' in update && update.capacity !== (result.value.capacity ?? null)) {
+        await this.syncRegisteredCount(eventId);
+        await this.fillOpenSeats(eventId);
+      }
+      
+      logger.info('Event updated successfully', { eventId, changedFields: changes.map(change => change.field), notifyRegistrants });
       return result;
     } catch (error) {
       if (error instanceof AppError) throw error;
@@ -219,23 +726,224 @@ class EventService {
     }
   }
 
-  // Delete an event
-  async deleteEvent(eventId) {
+  // Get registration by ID
+  async getRegistrationById(registrationId) {
+    try {
+      // Validate ObjectId
+      if (!ObjectId.isValid(registrationId)) {
+        throw new AppError('Invalid registration ID', 400);
+      }
+
+      const registration = await this.registrationsCollection.findOne({
+        _id: new ObjectId(registrationId)
+      });
+
+      if (!registration) {
+        throw new AppError('Registration not found', 404);
+      }
+
+      return registration;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error fetching registration:', error);
+      throw new DatabaseError('Failed to fetch registration');
+    }
+  }
+
+  // Cancel (delete) a registration. After the event's cancellation deadline, places can only
+  // be given up with options.allowAfterDeadline (admins).
+  async cancelRegistration(registrationId, context, { allowAfterDeadline = false } = {}) {
+    try {
+      // Validate ObjectId
+      if (!ObjectId.isValid(registrationId)) {
+        throw new AppError('Invalid registration ID', 400);
+      }
+      
+      if (!allowAfterDeadline) {
+        const registration = await this.getRegistrationById(registrationId);
+        const event = await this.eventsCollection.findOne({ _id: new ObjectId(registration.eventId) });
+        if (this.cancellationClosed(registration, event)) {
+          throw new AppError(`Registrations for this event can't be cancelled after ${formatDateTime(event.cancellationDeadline)}`, 400);
+        }
+      }
+      
+      const result = await this.registrationsCollection.findOneAndDelete({ _id: new ObjectId(registrationId) });
+      
+      if (!result.value) {
+        throw new AppError('Registration not found', 404);
+      }
+      
+      await auditService.record(context, {
+        action: 'registration.cancel',
+        target: { type: 'registration', id: registrationId, label: result.value.studentEmail },
+        before: result.value
+      });
+      
+      // Pass the place on to the waitlist
+      if (result.value.status !== 'waitlisted') {
+        await sessionService.releaseSeats(result.value.sessionIds);
+        await this.releaseSeat(result.value.eventId);
+      }
+      
+      logger.info('Registration cancelled successfully', { registrationId });
+      return result.value;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error cancelling registration:', error);
+      throw new DatabaseError('Failed to cancel registration');
+    }
+  }
+
+  getStatuses() {
+    return EVENT_STATUSES;
+  }
+
+  // Statuses an event can move to from its current one
+  getAllowedTransitions(event) {
+    return STATUS_TRANSITIONS[event.status] || [];
+  }
+
+  // Drafts are only shown to the organizer who created them and to admins
+  isVisibleTo(event, user) {
+    if (event.status !== 'draft') {
+      return true;
+    }
+    
+    return Boolean(user) && (user.role === 'admin' || event.createdBy === user.email);
+  }
+
+  // Move an event to a new status. Cancelling keeps the registrations and emails everyone
+  // who registered or is waiting; completing opens the event for feedback.
+  async changeEventStatus(eventId, status, context, { reason } = {}) {
+    try {
+      // Validate ObjectId
+      if (!ObjectId.isValid(eventId)) {
+        throw new AppError('Invalid event ID', 400);
+      }
+      
+      if (!EVENT_STATUSES.includes(status)) {
+        throw new AppError(`Status must be one of: ${EVENT_STATUSES.join(', ')}`, 400);
+      }
+      
+      const fromStatuses = EVENT_STATUSES.filter(from => STATUS_TRANSITIONS[from].includes(status));
+      const now = new Date();
+      const update = { status, [`${status}At`]: now, updatedAt: now };
+      if (status === 'cancelled') {
+        update.cancellationReason = reason ? String(reason).trim().slice(0, 1000) : null;
+      }
+      
+      // The current status is part of the filter, so two concurrent changes can't both apply
+      const result = await this.eventsCollection.findOneAndUpdate(
+        { _id: new ObjectId(eventId), status: { $in: fromStatuses } },
+        { $set: update },
+        { returnDocument: 'before' }
+      );
+      
+      if (!result.value) {
+        const event = await this.eventsCollection.findOne({ _id: new ObjectId(eventId) });
+        if (!event) {
+          throw new AppError('Event not found', 404);
+        }
+        throw new AppError(`A ${event.status} event can't be ${status === 'published' ? 'published' : `marked ${status}`}`, 409);
+      }
+      
+      const event = { ...result.value, ...update };
+      await this.clearEventCache(eventId);
+      
+      await auditService.record(context, {
+        action: STATUS_ACTIONS[status],
+        target: { type: 'event', id: eventId, label: event.title },
+        before: { status: result.value.status },
+        after: { status },
+        details: update.cancellationReason ? { reason: update.cancellationReason } : null
+      });
+      
+      if (status === 'cancelled') {
+        try {
+          const registrations = await this.getEventRegistrations(eventId);
+          await sendEventUpdateNotification(event, registrations.map(registration => ({
+            name: registration.studentName,
+            email: registration.studentEmail
+          })), 'deleted');
+        } catch (emailError) {
+          logger.error('Error sending event cancellation emails:', emailError);
+        }
+      }
+      
+      logger.info('Event status changed', { eventId, from: result.value.status, to: status });
+      return event;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error changing event status:', error);
+      throw new DatabaseError('Failed to change event status');
+    }
+  }
+
+  // Mark published events that have ended as completed, which opens them for feedback
+  async completePastEvents() {
+    try {
+      const events = await this.eventsCollection
+        .find({
+          status: 'published',
+          $or: [
+            { endsAt: { $lt: new Date() } },
+            // Events whose date or time couldn't be migrated
+            { endsAt: { $exists: false }, date: { $lt: today() } }
+          ]
+        }, { projection: { _id: 1 } })
+        .toArray();
+      
+      let completed = 0;
+      for (const event of events) {
+        try {
+          await this.changeEventStatus(event._id.toString(), 'completed');
+          completed++;
+        } catch (error) {
+          // Changed by an organizer in the meantime
+          if (error.statusCode !== 409) throw error;
+        }
+      }
+      
+      return completed;
+    } catch (error) {
+      logger.error('Error completing past events:', error);
+      throw new DatabaseError('Failed to complete past events');
+    }
+  }
+
+  // Delete an event together with its registrations, feedback and sessions.
+  // The audit log keeps a copy of the event and how much was removed with it.
+  async deleteEvent(eventId, context) {
     try {
       // Validate ObjectId
       if (!ObjectId.isValid(eventId)) {
         throw new AppError('Invalid event ID', 400);
       }
       
-      const result = await this.eventsCollection.deleteOne({ _id: new ObjectId(eventId) });
+      const result = await this.eventsCollection.findOneAndDelete({ _id: new ObjectId(eventId) });
       
-      if (result.deletedCount === 0) {
+      if (!result.value) {
         throw new AppError('Event not found', 404);
       }
       
+      const registrations = await this.registrationsCollection.deleteMany({ eventId: eventId });
+      const feedback = await this.feedbackCollection.deleteMany({ eventId: eventId });
+      const sessionsDeleted = await sessionService.deleteEventSessions(eventId);
+      
       // Clear cache
       await cache.del(`event_${eventId}`);
-      await cache.flush();
+      await cache.delByPrefix('events_');
+      
+      await auditService.record(context, {
+        action: 'event.delete',
+        target: { type: 'event', id: eventId, label: result.value.title },
+        before: result.value,
+        details: {
+          registrationsDeleted: registrations.deletedCount,
+          feedbackDeleted: feedback.deletedCount,
+          sessionsDeleted
+        }
+      });
       
       logger.info('Event deleted successfully', { eventId });
       return result;
@@ -246,32 +954,157 @@ class EventService {
     }
   }
 
-  // Register for an event
-  async registerForEvent(registrationData) {
+  // Get the events created by a user, newest date first (all events when email is null)
+  async getEventsByCreator(email) {
     try {
-      // Check if student has already registered for this event
-      const existingRegistration = await this.registrationsCollection.findOne({
-        eventId: registrationData.eventId,
-        studentEmail: registrationData.studentEmail
-      });
+      const query = email ? { createdBy: email } : {};
       
-      if (existingRegistration) {
-        throw new AppError('You have already registered for this event', 400);
-      }
+      return await this.eventsCollection.find(query).sort({ startsAt: -1 }).toArray();
+    } catch (error) {
+      logger.error('Error fetching events by creator:', error);
+      throw new DatabaseError('Failed to fetch events');
+    }
+  }
+
+  // Hand every event created by one user over to another
+  async reassignEventsByCreator(fromEmail, toEmail) {
+    try {
+      const result = await this.eventsCollection.updateMany(
+        { createdBy: fromEmail },
+        { $set: { createdBy: toEmail, updatedAt: new Date() } }
+      );
+      
+      // Only replace the displayed organizer where it pointed at the old owner
+      await this.eventsCollection.updateMany(
+        { createdBy: toEmail, organizer: fromEmail },
+        { $set: { organizer: toEmail } }
+      );
       
+      // Clear cached single events and listings
+      await cache.delByPrefix('event_');
+      await cache.delByPrefix('events_');
+      
+      logger.info('Events reassigned', { fromEmail, toEmail, count: result.modifiedCount });
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error('Error reassigning events:', error);
+      throw new DatabaseError('Failed to reassign events');
+    }
+  }
+
+  // Archive every event created by a user, keeping their registrations and feedback
+  async archiveEventsByCreator(email) {
+    try {
+      const result = await this.eventsCollection.updateMany(
+        { createdBy: email, archived: { $ne: true } },
+        { $set: { archived: true, archivedAt: new Date(), updatedAt: new Date() } }
+      );
+      
+      // Clear cached single events and listings
+      await cache.delByPrefix('event_');
+      await cache.delByPrefix('events_');
+      
+      logger.info('Events archived', { email, count: result.modifiedCount });
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error('Error archiving events:', error);
+      throw new DatabaseError('Failed to archive events');
+    }
+  }
+
+  // Point a student's registrations and feedback at their new email address
+  async updateRegistrationEmail(fromEmail, toEmail) {
+    try {
+      const result = await this.registrationsCollection.updateMany(
+        { studentEmail: fromEmail },
+        { $set: { studentEmail: toEmail } }
+      );
+      
+      await this.feedbackCollection.updateMany(
+        { studentEmail: fromEmail },
+        { $set: { studentEmail: toEmail } }
+      );
+      
+      logger.info('Registration email updated', { fromEmail, toEmail, count: result.modifiedCount });
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error('Error updating registration email:', error);
+      throw new DatabaseError('Failed to update registration email');
+    }
+  }
+
+  // Register for an event. When the event is full, or others are already waiting,
+  // the registration joins the end of the waitlist instead. options.notify: false skips the
+  // confirmation email (series registrations send one summary instead).
+  async registerForEvent(registrationData, { notify = true } = {}) {
+    try {
+      const event = await this.getEventById(registrationData.eventId);
+      
+      this.assertRegistrationOpen(event);
+
+      const sessions = await sessionService.resolveSelection(registrationData.eventId, registrationData.sessionIds);
+      const answers = parseAnswers(event.registrationQuestions, registrationData.answers);
+
+      // Checking for free places and taking one is a single update, so concurrent registrations can't oversell
+      const waiting = await this.registrationsCollection.countDocuments({ eventId: registrationData.eventId, status: 'waitlisted' });
+      const seat = waiting > 0 ? { value: null } : await this.eventsCollection.findOneAndUpdate(
+        { _id: new ObjectId(registrationData.eventId), ...FREE_SEAT_QUERY },
+        { $inc: { registeredCount: 1 } }
+      );
+      const giveSeatBack = () => this.eventsCollection.updateOne({ _id: new ObjectId(registrationData.eventId) }, { $inc: { registeredCount: -1 } });
+
+      // Waitlisted registrations keep their choice of sessions but only get places in them
+      // once they are offered a place at the event
+      if (seat.value) {
+        try {
+          await sessionService.takeSeats(sessions);
+        } catch (error) {
+          await giveSeatBack();
+          throw error;
+        }
+      }
+
       const registration = {
         ...registrationData,
+        sessionIds: sessions.map(session => session._id.toString()),
+        answers,
+        status: seat.value ? 'confirmed' : 'waitlisted',
         registeredAt: new Date()
       };
+
+      // The unique index on eventId and studentEmail rejects a second registration, including
+      // one racing this request; the place it took goes back
+      let result;
+      try {
+        result = await this.registrationsCollection.insertOne(registration);
+      } catch (error) {
+        if (seat.value) {
+          await sessionService.releaseSeats(registration.sessionIds);
+          await giveSeatBack();
+        }
+        if (error.code === 11000) {
+          throw new AppError('You have already registered for this event', 400);
+        }
+        throw error;
+      }
+      await this.clearEventCache(registrationData.eventId);
       
-      const result = await this.registrationsCollection.insertOne(registration);
+      let waitlistPosition = null;
+      if (registration.status === 'waitlisted') {
+        waitlistPosition = await this.getWaitlistPosition({ ...registration, _id: result.insertedId });
+      }
       
       // Send registration confirmation email
-      try {
-        const event = await this.getEventById(registrationData.eventId);
-        await sendRegistrationConfirmation(registrationData.studentEmail, event);
-      } catch (emailError) {
-        logger.error('Error sending registration confirmation email:', emailError);
+      if (notify) {
+        try {
+          if (registration.status === 'waitlisted') {
+            await sendWaitlistConfirmation(registrationData.studentEmail, event, waitlistPosition);
+          } else {
+            await sendRegistrationConfirmation(registrationData.studentEmail, event, sessions);
+          }
+        } catch (emailError) {
+          logger.error('Error sending registration confirmation email:', emailError);
+        }
       }
       
       logger.info('Event registration created', { 
@@ -279,10 +1112,11 @@ class EventService {
         eventId: registrationData.eventId,
         studentEmail: registrationData.studentEmail,
         userType: registrationData.userType,
-        paymentStatus: registration.paymentStatus
+        paymentStatus: registration.paymentStatus,
+        status: registration.status
       });
       
-      return { ...registration, _id: result.insertedId };
+      return { ...registration, _id: result.insertedId, waitlistPosition };
     } catch (error) {
       if (error instanceof AppError) throw error;
       logger.error('Error creating event registration:', error);
@@ -290,12 +1124,193 @@ class EventService {
     }
   }
 
-  // Get event registrations
-  async getEventRegistrations(eventId) {
+  // 1-based place of a waitlisted registration in its event's queue
+  async getWaitlistPosition(registration) {
+    const ahead = await this.registrationsCollection.countDocuments({
+      eventId: registration.eventId,
+      status: 'waitlisted',
+      $or: [
+        { registeredAt: { $lt: registration.registeredAt } },
+        { registeredAt: registration.registeredAt, _id: { $lt: registration._id } }
+      ]
+    });
+    
+    return ahead + 1;
+  }
+
+  // Give a place back to the event and offer it to the waitlist
+  async releaseSeat(eventId) {
+    await this.eventsCollection.updateOne(
+      { _id: new ObjectId(eventId), registeredCount: { $gt: 0 } },
+      { $inc: { registeredCount: -1 } }
+    );
+    await this.clearEventCache(eventId);
+    
+    return await this.fillOpenSeats(eventId);
+  }
+
+  // Offer every free place to the next student on the waitlist, in the order they registered.
+  // The place is held for them until they confirm or the offer expires.
+  async fillOpenSeats(eventId) {
+    let offered = 0;
+    
+    for (;;) {
+      const seat = await this.eventsCollection.findOneAndUpdate(
+        { _id: new ObjectId(eventId), ...FREE_SEAT_QUERY },
+        { $inc: { registeredCount: 1 } },
+        { returnDocument: 'after' }
+      );
+      
+      if (!seat.value) {
+        break;
+      }
+      
+      const now = new Date();
+      const next = await this.registrationsCollection.findOneAndUpdate(
+        { eventId: eventId.toString(), status: 'waitlisted' },
+        { $set: { status: 'offered', offeredAt: now, offerExpiresAt: new Date(now.getTime() + WAITLIST_OFFER_HOURS * 60 * 60 * 1000) } },
+        { sort: { registeredAt: 1, _id: 1 }, returnDocument: 'after' }
+      );
+      
+      if (!next.value) {
+        // Nobody is waiting; give the place back
+        await this.eventsCollection.updateOne({ _id: seat.value._id }, { $inc: { registeredCount: -1 } });
+        break;
+      }
+      
+      // The sessions they picked may have filled up while they waited
+      if (next.value.sessionIds && next.value.sessionIds.length > 0) {
+        const sessionIds = await sessionService.takeAvailableSeats(next.value.sessionIds);
+        if (sessionIds.length !== next.value.sessionIds.length) {
+          await this.registrationsCollection.updateOne({ _id: next.value._id }, { $set: { sessionIds } });
+        }
+      }
+
+      offered++;
+      logger.info('Waitlist place offered', { eventId, registrationId: next.value._id, offerExpiresAt: next.value.offerExpiresAt });
+      
+      try {
+        await sendWaitlistOfferEmail(next.value.studentEmail, seat.value, next.value.offerExpiresAt, `${APP_URL}/student/registrations`);
+      } catch (emailError) {
+        logger.error('Error sending waitlist offer email:', emailError);
+      }
+    }
+    
+    if (offered > 0) {
+      await this.clearEventCache(eventId);
+    }
+    
+    return offered;
+  }
+
+  // Accept a place offered from the waitlist
+  async confirmWaitlistOffer(registrationId, context) {
     try {
-      const registrations = await this.registrationsCollection.find({ 
-        eventId: eventId 
-      }).toArray();
+      // Validate ObjectId
+      if (!ObjectId.isValid(registrationId)) {
+        throw new AppError('Invalid registration ID', 400);
+      }
+      
+      const result = await this.registrationsCollection.findOneAndUpdate(
+        { _id: new ObjectId(registrationId), status: 'offered', offerExpiresAt: { $gt: new Date() } },
+        { $set: { status: 'confirmed', confirmedAt: new Date(), updatedAt: new Date() }, $unset: { offerExpiresAt: '' } },
+        { returnDocument: 'after' }
+      );
+      
+      if (!result.value) {
+        const registration = await this.getRegistrationById(registrationId);
+        if (registration.status === 'offered') {
+          throw new AppError('This offer has expired', 410);
+        }
+        throw new AppError('There is no place waiting to be confirmed for this registration', 409);
+      }
+      
+      await auditService.record(context, {
+        action: 'registration.offer_confirm',
+        target: { type: 'registration', id: registrationId, label: result.value.studentEmail },
+        before: { status: 'offered' },
+        after: { status: result.value.status }
+      });
+      
+      try {
+        const event = await this.getEventById(result.value.eventId);
+        const sessionIds = result.value.sessionIds || [];
+        const sessions = sessionIds.length > 0
+          ? (await sessionService.getSessions(result.value.eventId)).filter(session => sessionIds.includes(session._id.toString()))
+          : [];
+        await sendRegistrationConfirmation(result.value.studentEmail, event, sessions);
+      } catch (emailError) {
+        logger.error('Error sending registration confirmation email:', emailError);
+      }
+      
+      logger.info('Waitlist offer confirmed', { registrationId });
+      return result.value;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error confirming waitlist offer:', error);
+      throw new DatabaseError('Failed to confirm waitlist offer');
+    }
+  }
+
+  // Withdraw offers that weren't confirmed in time and offer the places to the next in line.
+  // The expired registration is removed, so the student can join the waitlist again.
+  async expireWaitlistOffers() {
+    try {
+      let expired = 0;
+      
+      for (;;) {
+        const result = await this.registrationsCollection.findOneAndDelete(
+          { status: 'offered', offerExpiresAt: { $lte: new Date() } },
+          { sort: { offerExpiresAt: 1 } }
+        );
+        
+        if (!result.value) {
+          break;
+        }
+        
+        expired++;
+        logger.info('Waitlist offer expired', { registrationId: result.value._id, eventId: result.value.eventId });
+        await auditService.record({}, {
+          action: 'registration.offer_expire',
+          target: { type: 'registration', id: result.value._id, label: result.value.studentEmail },
+          before: result.value
+        });
+        await sessionService.releaseSeats(result.value.sessionIds);
+        await this.releaseSeat(result.value.eventId);
+      }
+      
+      return expired;
+    } catch (error) {
+      logger.error('Error expiring waitlist offers:', error);
+      throw new DatabaseError('Failed to expire waitlist offers');
+    }
+  }
+
+  // Recount the places taken at an event, e.g. when an event that predates capacities is given one
+  async syncRegisteredCount(eventId) {
+    const registeredCount = await this.registrationsCollection.countDocuments({ eventId: eventId.toString(), ...SEAT_QUERY });
+    
+    await this.eventsCollection.updateOne({ _id: new ObjectId(eventId) }, { $set: { registeredCount } });
+    await this.clearEventCache(eventId);
+    
+    return registeredCount;
+  }
+
+  async clearEventCache(eventId) {
+    await cache.del(`event_${eventId}`);
+    await cache.delByPrefix('events_');
+  }
+
+  // Get event registrations. options.sessionId narrows them to the attendees of one session
+  // (waitlisted registrations don't hold a place in their sessions yet).
+  async getEventRegistrations(eventId, { sessionId = null } = {}) {
+    try {
+      const query = { eventId: eventId };
+      if (sessionId) {
+        Object.assign(query, { sessionIds: String(sessionId) }, SEAT_QUERY);
+      }
+      
+      const registrations = await this.registrationsCollection.find(query).sort({ registeredAt: 1, _id: 1 }).toArray();
       
       return registrations;
     } catch (error) {
@@ -304,9 +1319,14 @@ class EventService {
     }
   }
 
-  // Submit event feedback
+  // Submit event feedback; feedback opens once the event is completed
   async submitFeedback(feedbackData) {
     try {
+      const event = await this.getEventById(feedbackData.eventId);
+      if (event.status !== 'completed') {
+        throw new AppError('Feedback opens once the event has taken place', 400);
+      }
+      
       const feedback = {
         ...feedbackData,
         submittedAt: new Date()
@@ -322,6 +1342,7 @@ class EventService {
       
       return { ...feedback, _id: result.insertedId };
     } catch (error) {
+      if (error instanceof AppError) throw error;
       logger.error('Error submitting event feedback:', error);
       throw new DatabaseError('Failed to submit feedback');
     }
@@ -0,0 +1,140 @@
+const cache = require('../utils/cache');
+const { TooManyRequestsError, AccountLockedError } = require('../utils/errorHandler');
+const winston = require('winston');
+
+// Create a logger instance
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'login-throttle' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/user-service.log' })
+  ]
+});
+
+// If we're not in production, also log to the console
+if (process.env.NODE_ENV !== 'production') {
+  logger.add(new winston.transports.Console({
+    format: winston.format.simple()
+  }));
+}
+
+// Backoff doubles with each failure after the free attempts, up to this cap
+const MAX_BACKOFF_SECONDS = 5 * 60;
+// Failures are forgotten after this long without another one
+const FAILURE_WINDOW_SECONDS = 60 * 60;
+
+const ACCOUNT_POLICY = {
+  freeAttempts: 3,
+  lockoutThreshold: 10,
+  lockoutSeconds: 15 * 60
+};
+
+// An IP may be shared (campus NAT), so it gets far more slack than a single account
+const IP_POLICY = {
+  freeAttempts: 20,
+  lockoutThreshold: 50,
+  lockoutSeconds: 15 * 60
+};
+
+const accountKey = (email) => `login_fail_account_${String(email).toLowerCase()}`;
+const ipKey = (ip) => `login_fail_ip_${ip}`;
+
+const secondsUntil = (timestamp) => Math.max(1, Math.ceil((timestamp - Date.now()) / 1000));
+
+class LoginThrottleService {
+  // Throw if the account or IP is locked or still backing off
+  async checkAllowed(email, ip) {
+    const [accountState, ipState] = await Promise.all([
+      cache.get(accountKey(email)),
+      ip ? cache.get(ipKey(ip)) : null
+    ]);
+    const now = Date.now();
+
+    if (accountState && accountState.lockedUntil > now) {
+      throw new AccountLockedError(
+        'This account is temporarily locked after too many failed login attempts. Try again later or reset your password.',
+        secondsUntil(accountState.lockedUntil)
+      );
+    }
+
+    if (ipState && ipState.lockedUntil > now) {
+      throw new TooManyRequestsError(
+        'Too many failed login attempts from your network. Please try again later.',
+        'IP_BLOCKED',
+        secondsUntil(ipState.lockedUntil)
+      );
+    }
+
+    const nextAttemptAt = Math.max(
+      (accountState && accountState.nextAttemptAt) || 0,
+      (ipState && ipState.nextAttemptAt) || 0
+    );
+
+    if (nextAttemptAt > now) {
+      throw new TooManyRequestsError(
+        'Too many failed login attempts. Please wait before trying again.',
+        'LOGIN_THROTTLED',
+        secondsUntil(nextAttemptAt)
+      );
+    }
+  }
+
+  // Count a failed attempt; returns { accountLocked, lockedUntil } when this failure locked the account
+  async recordFailure(email, ip) {
+    const accountState = await this.incrementFailures(accountKey(email), ACCOUNT_POLICY);
+
+    if (ip) {
+      const ipState = await this.incrementFailures(ipKey(ip), IP_POLICY);
+      if (ipState.justLocked) {
+        logger.warn('IP locked out after repeated failed logins', { ip, failures: ipState.failures });
+      }
+    }
+
+    if (accountState.justLocked) {
+      logger.warn('Account locked out after repeated failed logins', { email, ip, failures: accountState.failures });
+      return { accountLocked: true, lockedUntil: new Date(accountState.lockedUntil) };
+    }
+
+    return { accountLocked: false };
+  }
+
+  // A successful login clears the account's failures; the IP counter keeps running
+  async recordSuccess(email) {
+    await cache.del(accountKey(email));
+  }
+
+  async incrementFailures(key, { freeAttempts, lockoutThreshold, lockoutSeconds }) {
+    const now = Date.now();
+    const state = (await cache.get(key)) || { failures: 0, lockedUntil: 0, nextAttemptAt: 0 };
+
+    // Start a fresh count once a lockout has run its course
+    if (state.lockedUntil && state.lockedUntil <= now) {
+      state.failures = 0;
+      state.lockedUntil = 0;
+    }
+
+    state.failures += 1;
+    let justLocked = false;
+
+    if (state.failures >= lockoutThreshold) {
+      state.lockedUntil = now + lockoutSeconds * 1000;
+      state.nextAttemptAt = 0;
+      justLocked = true;
+    } else if (state.failures > freeAttempts) {
+      const backoffSeconds = Math.min(2 ** (state.failures - freeAttempts), MAX_BACKOFF_SECONDS);
+      state.nextAttemptAt = now + backoffSeconds * 1000;
+    }
+
+    const ttlSeconds = Math.max(FAILURE_WINDOW_SECONDS, justLocked ? lockoutSeconds : 0);
+    await cache.set(key, state, ttlSeconds);
+
+    return { ...state, justLocked };
+  }
+}
+
+module.exports = new LoginThrottleService();
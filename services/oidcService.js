@@ -0,0 +1,340 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const database = require('../utils/database');
+const { AppError, DatabaseError } = require('../utils/errorHandler');
+const winston = require('winston');
+
+// Create a logger instance
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'oidc-service' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/user-service.log' })
+  ]
+});
+
+// If we're not in production, also log to the console
+if (process.env.NODE_ENV !== 'production') {
+  logger.add(new winston.transports.Console({
+    format: winston.format.simple()
+  }));
+}
+
+const APP_URL = process.env.APP_URL || `http://localhost:${process.env.PORT || 3002}`;
+// How long a user has to finish signing in at the identity provider
+const LOGIN_STATE_TTL_MINUTES = 10;
+// Allowance for clock differences with the identity provider when checking ID token times
+const CLOCK_TOLERANCE_SECONDS = 60;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+// When several claim values map to roles, the most privileged one wins
+const ROLE_PRIORITY = ['student', 'organizer', 'admin'];
+
+const base64url = (buffer) => buffer.toString('base64url');
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+
+// Read a possibly nested claim such as "realm_access.roles"
+const readClaim = (claims, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), claims);
+
+function parseRoleMapping(value) {
+  if (!value) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error('OIDC_ROLE_MAPPING must be a JSON object such as {"faculty":"organizer"}');
+  }
+}
+
+// Settings come from the environment so any standards-compliant provider can be plugged in
+function loadConfig(env = process.env) {
+  return {
+    issuer: env.OIDC_ISSUER ? env.OIDC_ISSUER.replace(/\/$/, '') : null,
+    clientId: env.OIDC_CLIENT_ID || null,
+    clientSecret: env.OIDC_CLIENT_SECRET || null,
+    redirectUri: env.OIDC_REDIRECT_URI || `${APP_URL}/auth/oidc/callback`,
+    scopes: env.OIDC_SCOPES || 'openid email profile',
+    providerName: env.OIDC_PROVIDER_NAME || 'Campus SSO',
+    emailClaim: env.OIDC_EMAIL_CLAIM || 'email',
+    nameClaim: env.OIDC_NAME_CLAIM || 'name',
+    studentIdClaim: env.OIDC_STUDENT_ID_CLAIM || null,
+    roleClaim: env.OIDC_ROLE_CLAIM || null,
+    roleMapping: parseRoleMapping(env.OIDC_ROLE_MAPPING),
+    defaultRole: env.OIDC_DEFAULT_ROLE || 'student'
+  };
+}
+
+class OidcService {
+  constructor() {
+    this.config = loadConfig();
+    this.loginStatesCollection = null;
+    this.metadata = null;
+    this.jwks = null;
+    // Overridable for tests against a mock identity provider
+    this.fetch = (...args) => fetch(...args);
+  }
+
+  async initialize() {
+    try {
+      this.loginStatesCollection = database.getCollection('oidc_login_states');
+      logger.info('OidcService initialized successfully', { enabled: this.isEnabled() });
+    } catch (error) {
+      logger.error('Error initializing OidcService:', error);
+      throw new DatabaseError('Failed to initialize OidcService');
+    }
+  }
+
+  // Replace the configuration (and forget anything fetched for the old provider)
+  configure(env) {
+    this.config = loadConfig(env);
+    this.metadata = null;
+    this.jwks = null;
+  }
+
+  isEnabled() {
+    return Boolean(this.config.issuer && this.config.clientId);
+  }
+
+  getProviderName() {
+    return this.config.providerName;
+  }
+
+  async fetchJson(url, options = {}) {
+    const response = await this.fetch(url, options);
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok) {
+      const detail = body && (body.error_description || body.error);
+      throw new AppError(`Identity provider request failed${detail ? `: ${detail}` : ''}`, 502);
+    }
+
+    return body;
+  }
+
+  // Load the provider's endpoints from its discovery document
+  async getMetadata() {
+    if (!this.metadata) {
+      const metadata = await this.fetchJson(`${this.config.issuer}/.well-known/openid-configuration`);
+
+      if (metadata.issuer.replace(/\/$/, '') !== this.config.issuer) {
+        throw new AppError('Identity provider issuer does not match configuration', 502);
+      }
+
+      this.metadata = metadata;
+    }
+
+    return this.metadata;
+  }
+
+  // Find the provider's signing key, refetching the key set once if the key was rotated
+  async getSigningKey(kid) {
+    const findKey = () => this.jwks.keys.find(key => !kid || key.kid === kid);
+
+    if (!this.jwks || !findKey()) {
+      const metadata = await this.getMetadata();
+      this.jwks = await this.fetchJson(metadata.jwks_uri);
+    }
+
+    const jwk = findKey();
+    if (!jwk) {
+      throw new AppError('Identity provider signing key not found', 502);
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  // Start a login: remember state, nonce and PKCE verifier, and build the provider's authorization URL
+  async createAuthorizationRequest(returnTo) {
+    try {
+      if (!this.isEnabled()) {
+        throw new AppError('Single sign-on is not configured', 404);
+      }
+
+      const metadata = await this.getMetadata();
+      const state = base64url(crypto.randomBytes(32));
+      const nonce = base64url(crypto.randomBytes(32));
+      const codeVerifier = base64url(crypto.randomBytes(32));
+
+      await this.loginStatesCollection.insertOne({
+        stateHash: sha256(state).toString('hex'),
+        nonce,
+        codeVerifier,
+        returnTo: returnTo || null,
+        expiresAt: new Date(Date.now() + LOGIN_STATE_TTL_MINUTES * 60 * 1000),
+        createdAt: new Date()
+      });
+
+      const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: this.config.clientId,
+        redirect_uri: this.config.redirectUri,
+        scope: this.config.scopes,
+        state,
+        nonce,
+        code_challenge: base64url(sha256(codeVerifier)),
+        code_challenge_method: 'S256'
+      });
+
+      return { state, url: `${metadata.authorization_endpoint}?${params.toString()}` };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error starting OIDC login:', error);
+      throw new DatabaseError('Failed to start single sign-on');
+    }
+  }
+
+  // Finish a login: check state, redeem the code with the PKCE verifier and validate the ID token.
+  // Returns the mapped profile and the page to return to.
+  async handleCallback({ code, state, error, errorDescription }, expectedState) {
+    try {
+      if (error) {
+        throw new AppError(`Single sign-on failed: ${errorDescription || error}`, 401);
+      }
+
+      // The state must match the one this browser started with, or someone else's login is being replayed
+      if (!code || !state || !expectedState || state !== expectedState) {
+        throw new AppError('Single sign-on failed: invalid login state. Please try again.', 400);
+      }
+
+      const result = await this.loginStatesCollection.findOneAndDelete({
+        stateHash: sha256(state).toString('hex'),
+        expiresAt: { $gt: new Date() }
+      });
+      const loginState = result.value;
+
+      if (!loginState) {
+        throw new AppError('Single sign-on failed: your login attempt expired. Please try again.', 400);
+      }
+
+      const tokens = await this.exchangeCode(code, loginState.codeVerifier);
+      let claims = await this.verifyIdToken(tokens.id_token, loginState.nonce);
+
+      // Some providers only put profile claims in the userinfo response
+      const metadata = await this.getMetadata();
+      if (metadata.userinfo_endpoint && tokens.access_token && !readClaim(claims, this.config.emailClaim)) {
+        const userinfo = await this.fetchJson(metadata.userinfo_endpoint, {
+          headers: { Authorization: `Bearer ${tokens.access_token}` }
+        });
+        if (userinfo.sub === claims.sub) {
+          claims = { ...userinfo, ...claims };
+        }
+      }
+
+      return { profile: this.mapClaims(claims), returnTo: loginState.returnTo };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error completing OIDC login:', error);
+      throw new DatabaseError('Failed to complete single sign-on');
+    }
+  }
+
+  async exchangeCode(code, codeVerifier) {
+    const metadata = await this.getMetadata();
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.config.redirectUri,
+      code_verifier: codeVerifier,
+      client_id: this.config.clientId
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+    // Confidential clients authenticate with HTTP Basic unless the provider only accepts client_secret_post
+    if (this.config.clientSecret) {
+      const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+      if (methods.includes('client_secret_basic')) {
+        const credentials = `${encodeURIComponent(this.config.clientId)}:${encodeURIComponent(this.config.clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+      } else {
+        body.set('client_secret', this.config.clientSecret);
+      }
+    }
+
+    const tokens = await this.fetchJson(metadata.token_endpoint, {
+      method: 'POST',
+      headers,
+      body: body.toString()
+    });
+
+    if (!tokens.id_token) {
+      throw new AppError('Identity provider did not return an ID token', 502);
+    }
+
+    return tokens;
+  }
+
+  async verifyIdToken(idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw new AppError('Identity provider returned an invalid ID token', 401);
+    }
+
+    const key = await this.getSigningKey(decoded.header.kid);
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        issuer: this.metadata.issuer,
+        audience: this.config.clientId,
+        clockTolerance: CLOCK_TOLERANCE_SECONDS
+      });
+    } catch (error) {
+      throw new AppError(`Identity provider returned an invalid ID token: ${error.message}`, 401);
+    }
+
+    if (claims.nonce !== nonce) {
+      throw new AppError('Identity provider returned an invalid ID token: nonce mismatch', 401);
+    }
+
+    return claims;
+  }
+
+  // Turn provider claims into the fields of a local user using the configured claim mappings
+  mapClaims(claims) {
+    const email = readClaim(claims, this.config.emailClaim);
+    if (!claims.sub || !email) {
+      throw new AppError('Single sign-on failed: the identity provider did not share an email address', 400);
+    }
+
+    const profile = {
+      issuer: this.metadata.issuer,
+      subject: String(claims.sub),
+      email: String(email).toLowerCase(),
+      // Only an explicit claim counts: a missing one must not let the login take over a local account
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      name: readClaim(claims, this.config.nameClaim) || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || String(email),
+      // role is only set when a claim value matched the role mapping; defaultRole is for new accounts
+      role: null,
+      defaultRole: this.config.defaultRole,
+      studentId: null
+    };
+
+    if (this.config.studentIdClaim) {
+      const studentId = readClaim(claims, this.config.studentIdClaim);
+      profile.studentId = studentId != null && studentId !== '' ? String(studentId) : null;
+    }
+
+    if (this.config.roleClaim) {
+      const raw = readClaim(claims, this.config.roleClaim);
+      const values = Array.isArray(raw) ? raw : (raw == null ? [] : String(raw).split(/[\s,]+/));
+      const roles = values
+        .map(value => this.config.roleMapping[value])
+        .filter(role => ROLE_PRIORITY.includes(role));
+
+      if (roles.length > 0) {
+        profile.role = roles.sort((a, b) => ROLE_PRIORITY.indexOf(b) - ROLE_PRIORITY.indexOf(a))[0];
+      }
+    }
+
+    return profile;
+  }
+}
+
+module.exports = new OidcService();
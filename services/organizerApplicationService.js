@@ -0,0 +1,238 @@
+const { ObjectId } = require('mongodb');
+const database = require('../utils/database');
+const userService = require('./userService');
+const auditService = require('./auditService');
+const { AppError, DatabaseError } = require('../utils/errorHandler');
+const { sendOrganizerApplicationDecisionEmail } = require('../utils/email');
+const winston = require('winston');
+
+// Create a logger instance
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'organizer-application-service' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/user-service.log' })
+  ]
+});
+
+// If we're not in production, also log to the console
+if (process.env.NODE_ENV !== 'production') {
+  logger.add(new winston.transports.Console({
+    format: winston.format.simple()
+  }));
+}
+
+const APPLICATION_STATUSES = ['pending', 'approved', 'rejected'];
+const MAX_FIELD_LENGTH = 200;
+const MAX_REASON_LENGTH = 2000;
+
+class OrganizerApplicationService {
+  constructor() {
+    this.applicationsCollection = null;
+  }
+
+  async initialize() {
+    try {
+      this.applicationsCollection = database.getCollection('organizer_applications');
+      logger.info('OrganizerApplicationService initialized successfully');
+    } catch (error) {
+      logger.error('Error initializing OrganizerApplicationService:', error);
+      throw new DatabaseError('Failed to initialize OrganizerApplicationService');
+    }
+  }
+
+  // Submit an application for the organizer role; only students without a pending application may apply
+  async submitApplication(userId, details) {
+    try {
+      const clubName = String(details.clubName || '').trim();
+      const department = String(details.department || '').trim();
+      const reason = String(details.reason || '').trim();
+
+      // Validate input
+      if (!clubName || !department || !reason) {
+        throw new AppError('Club or society, department, and reason are required', 400);
+      }
+
+      if (clubName.length > MAX_FIELD_LENGTH || department.length > MAX_FIELD_LENGTH || reason.length > MAX_REASON_LENGTH) {
+        throw new AppError('Application details are too long', 400);
+      }
+
+      const user = await userService.getUserById(userId);
+
+      if (user.role !== 'student') {
+        throw new AppError('Only students can apply to become organizers', 400);
+      }
+
+      const application = {
+        userId: user._id,
+        applicantName: user.name,
+        applicantEmail: user.email,
+        clubName,
+        department,
+        reason,
+        status: 'pending',
+        reviewedBy: null,
+        reviewedAt: null,
+        reviewNote: null,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+
+      // The partial unique index rejects a second pending application for the same user
+      const result = await this.applicationsCollection.insertOne(application);
+
+      logger.info('Organizer application submitted', { applicationId: result.insertedId, userId: user._id });
+
+      return { ...application, _id: result.insertedId };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      if (error.code === 11000) {
+        throw new AppError('You already have an application awaiting review', 409);
+      }
+      logger.error('Error submitting organizer application:', error);
+      throw new DatabaseError('Failed to submit organizer application');
+    }
+  }
+
+  // Get a user's most recent application, or null if they never applied
+  async getLatestApplicationForUser(userId) {
+    try {
+      // Validate ObjectId
+      if (!ObjectId.isValid(userId)) {
+        throw new AppError('Invalid user ID', 400);
+      }
+
+      const applications = await this.applicationsCollection
+        .find({ userId: new ObjectId(userId) })
+        .sort({ createdAt: -1 })
+        .limit(1)
+        .toArray();
+
+      return applications[0] || null;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error fetching organizer application:', error);
+      throw new DatabaseError('Failed to fetch organizer application');
+    }
+  }
+
+  // Get applications with an optional status filter, oldest pending first
+  async getApplications(filters = {}) {
+    try {
+      const query = {};
+
+      if (filters.status) {
+        if (!APPLICATION_STATUSES.includes(filters.status)) {
+          throw new AppError(`Invalid status. Must be one of: ${APPLICATION_STATUSES.join(', ')}`, 400);
+        }
+        query.status = filters.status;
+      }
+
+      const sort = filters.status === 'pending' ? { createdAt: 1 } : { createdAt: -1 };
+
+      return await this.applicationsCollection.find(query).sort(sort).toArray();
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error fetching organizer applications:', error);
+      throw new DatabaseError('Failed to fetch organizer applications');
+    }
+  }
+
+  // Count applications awaiting review
+  async countPendingApplications() {
+    try {
+      return await this.applicationsCollection.countDocuments({ status: 'pending' });
+    } catch (error) {
+      logger.error('Error counting organizer applications:', error);
+      throw new DatabaseError('Failed to count organizer applications');
+    }
+  }
+
+  // Approve a pending application and promote the applicant to organizer
+  async approveApplication(applicationId, reviewer, note, context) {
+    const application = await this.reviewApplication(applicationId, 'approved', reviewer, note, context);
+
+    await userService.updateUserRole(application.userId.toString(), 'organizer', context);
+
+    await this.notifyApplicant(application);
+    return application;
+  }
+
+  // Reject a pending application; the applicant may apply again later
+  async rejectApplication(applicationId, reviewer, note, context) {
+    const application = await this.reviewApplication(applicationId, 'rejected', reviewer, note, context);
+
+    await this.notifyApplicant(application);
+    return application;
+  }
+
+  // Atomically move a pending application to its final status so two admins can't decide it twice
+  async reviewApplication(applicationId, status, reviewer, note, context) {
+    try {
+      // Validate ObjectId
+      if (!ObjectId.isValid(applicationId)) {
+        throw new AppError('Invalid application ID', 400);
+      }
+
+      const reviewNote = note ? String(note).trim().slice(0, MAX_REASON_LENGTH) : null;
+
+      const result = await this.applicationsCollection.findOneAndUpdate(
+        { _id: new ObjectId(applicationId), status: 'pending' },
+        {
+          $set: {
+            status,
+            reviewedBy: reviewer.email,
+            reviewedAt: new Date(),
+            reviewNote: reviewNote || null,
+            updatedAt: new Date()
+          }
+        },
+        { returnDocument: 'after' }
+      );
+
+      if (!result.value) {
+        const existing = await this.applicationsCollection.findOne({ _id: new ObjectId(applicationId) });
+        if (!existing) {
+          throw new AppError('Application not found', 404);
+        }
+        throw new AppError(`This application has already been ${existing.status}`, 409);
+      }
+
+      await auditService.record(context, {
+        action: status === 'approved' ? 'organizer_application.approve' : 'organizer_application.reject',
+        target: { type: 'organizer_application', id: applicationId, label: result.value.clubName },
+        before: { status: 'pending' },
+        after: { status, reviewNote: result.value.reviewNote }
+      });
+
+      logger.info('Organizer application reviewed', { applicationId, status, reviewedBy: reviewer.email });
+
+      return result.value;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error reviewing organizer application:', error);
+      throw new DatabaseError('Failed to review organizer application');
+    }
+  }
+
+  // Email the applicant the outcome; a delivery failure doesn't undo the decision
+  async notifyApplicant(application) {
+    try {
+      await sendOrganizerApplicationDecisionEmail(
+        application.applicantEmail,
+        application.applicantName,
+        application.status === 'approved',
+        application.reviewNote
+      );
+    } catch (emailError) {
+      logger.error('Error sending organizer application decision email:', emailError);
+    }
+  }
+}
+
+module.exports = new OrganizerApplicationService();
@@ -0,0 +1,416 @@
+const { ObjectId } = require('mongodb');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const database = require('../utils/database');
+const userService = require('./userService');
+const eventService = require('./eventService');
+const auditService = require('./auditService');
+const { AppError, DatabaseError } = require('../utils/errorHandler');
+const winston = require('winston');
+
+// Create a logger instance
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'privacy-service' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/user-service.log' })
+  ]
+});
+
+// If we're not in production, also log to the console
+if (process.env.NODE_ENV !== 'production') {
+  logger.add(new winston.transports.Console({
+    format: winston.format.simple()
+  }));
+}
+
+const ERASURE_STATUSES = ['pending', 'approved', 'processing', 'completed', 'rejected', 'cancelled'];
+const MAX_REASON_LENGTH = 2000;
+// Stands in for the erased person on registrations and feedback
+const ANONYMIZED_NAME = 'Deleted user';
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Registrations and feedback store whatever email was typed, so match it case-insensitively
+const emailQuery = (email) => ({ $regex: `^${escapeRegex(email)}$`, $options: 'i' });
+
+// Data is found by email address, so only someone who proved they own it may export or erase it
+function assertVerified(user) {
+  if (user.emailVerified === false) {
+    throw new AppError('Please verify your email address before exporting or erasing your data.', 403);
+  }
+}
+
+const README = `Campus Event Hub - personal data export
+
+account.json                 Your account and preferences (passwords and 2FA secrets are never exported)
+registrations.json           Event registrations made with your email address
+feedback.json                Event feedback submitted with your email address
+events.json                  Events you created
+event-templates.json         Event templates you saved
+organizer-applications.json  Your organizer applications
+sessions.json                Devices that have signed in to your account
+api-keys.json                Your API keys (the keys themselves are stored hashed and cannot be exported)
+erasure-requests.json        Your data erasure requests
+`;
+
+class PrivacyService {
+  constructor() {
+    this.registrationsCollection = null;
+    this.feedbackCollection = null;
+    this.erasureRequestsCollection = null;
+  }
+
+  async initialize() {
+    try {
+      this.registrationsCollection = database.getCollection('registrations');
+      this.feedbackCollection = database.getCollection('feedback');
+      this.erasureRequestsCollection = database.getCollection('erasure_requests');
+      logger.info('PrivacyService initialized successfully');
+    } catch (error) {
+      logger.error('Error initializing PrivacyService:', error);
+      throw new DatabaseError('Failed to initialize PrivacyService');
+    }
+  }
+
+  // Collect everything stored about a user, keyed by their account and email address
+  async exportUserData(userId) {
+    try {
+      const account = await userService.getUserById(userId);
+      assertVerified(account);
+      const email = account.email;
+
+      const [registrations, feedback, events, eventTemplates, organizerApplications, sessions, apiKeys, erasureRequests] = await Promise.all([
+        this.registrationsCollection.find({ studentEmail: emailQuery(email) }).toArray(),
+        this.feedbackCollection.find({ studentEmail: emailQuery(email) }).toArray(),
+        database.getCollection('events').find({ createdBy: email }).toArray(),
+        database.getCollection('event_templates').find({ createdBy: email }).toArray(),
+        database.getCollection('organizer_applications').find({ userId: account._id }).toArray(),
+        database.getCollection('sessions')
+          .find({ userId: account._id }, { projection: { refreshTokenHash: 0, previousRefreshTokenHash: 0 } })
+          .toArray(),
+        database.getCollection('api_keys').find({ userId }, { projection: { keyHash: 0 } }).toArray(),
+        this.erasureRequestsCollection.find({ userId }).toArray()
+      ]);
+
+      logger.info('Personal data exported', { userId });
+
+      return {
+        exportedAt: new Date(),
+        account,
+        registrations,
+        feedback,
+        events,
+        eventTemplates,
+        organizerApplications,
+        sessions,
+        apiKeys,
+        erasureRequests
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error exporting personal data:', error);
+      throw new DatabaseError('Failed to export personal data');
+    }
+  }
+
+  // Stream an export as a ZIP archive with one JSON file per kind of data
+  writeExportArchive(data, output) {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const json = (value) => JSON.stringify(value, null, 2);
+
+    archive.on('error', (error) => {
+      logger.error('Error writing personal data archive:', error);
+      output.destroy(error);
+    });
+
+    archive.pipe(output);
+    archive.append(README, { name: 'README.txt' });
+    archive.append(json({ exportedAt: data.exportedAt, ...data.account }), { name: 'account.json' });
+    archive.append(json(data.registrations), { name: 'registrations.json' });
+    archive.append(json(data.feedback), { name: 'feedback.json' });
+    archive.append(json(data.events), { name: 'events.json' });
+    archive.append(json(data.eventTemplates), { name: 'event-templates.json' });
+    archive.append(json(data.organizerApplications), { name: 'organizer-applications.json' });
+    archive.append(json(data.sessions), { name: 'sessions.json' });
+    archive.append(json(data.apiKeys), { name: 'api-keys.json' });
+    archive.append(json(data.erasureRequests), { name: 'erasure-requests.json' });
+
+    return archive.finalize();
+  }
+
+  // Ask for the account to be erased; an admin has to approve it first
+  async requestErasure(user, reason, context) {
+    try {
+      assertVerified(user);
+
+      // Pending duplicates are also stopped by a unique index; this covers requests already approved
+      if (await this.getOpenRequestForUser(user.id)) {
+        throw new AppError('You already have an erasure request in progress', 409);
+      }
+
+      const request = {
+        userId: user.id,
+        userEmail: user.email,
+        userName: user.name,
+        reason: reason ? String(reason).trim().slice(0, MAX_REASON_LENGTH) : null,
+        status: 'pending',
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+
+      const result = await this.erasureRequestsCollection.insertOne(request);
+
+      await auditService.record(context, {
+        action: 'privacy.erasure_request',
+        target: { type: 'erasure_request', id: result.insertedId }
+      });
+
+      logger.info('Data erasure requested', { userId: user.id, requestId: result.insertedId });
+
+      return { ...request, _id: result.insertedId };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      if (error.code === 11000) {
+        throw new AppError('You already have an erasure request in progress', 409);
+      }
+      logger.error('Error creating erasure request:', error);
+      throw new DatabaseError('Failed to create erasure request');
+    }
+  }
+
+  // The user's erasure request that is still open, if any
+  async getOpenRequestForUser(userId) {
+    try {
+      return await this.erasureRequestsCollection.findOne({
+        userId,
+        status: { $in: ['pending', 'approved', 'processing'] }
+      });
+    } catch (error) {
+      logger.error('Error fetching erasure request:', error);
+      throw new DatabaseError('Failed to fetch erasure request');
+    }
+  }
+
+  // Withdraw a request that hasn't been approved yet
+  async cancelErasure(userId, context) {
+    try {
+      const result = await this.erasureRequestsCollection.findOneAndUpdate(
+        { userId, status: 'pending' },
+        { $set: { status: 'cancelled', updatedAt: new Date() } },
+        { returnDocument: 'after' }
+      );
+
+      if (!result.value) {
+        throw new AppError('There is no pending erasure request to cancel', 404);
+      }
+
+      await auditService.record(context, {
+        action: 'privacy.erasure_cancel',
+        target: { type: 'erasure_request', id: result.value._id },
+        before: { status: 'pending' },
+        after: { status: 'cancelled' }
+      });
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error cancelling erasure request:', error);
+      throw new DatabaseError('Failed to cancel erasure request');
+    }
+  }
+
+  async getErasureRequests(filters = {}) {
+    try {
+      const query = {};
+
+      if (filters.status && ERASURE_STATUSES.includes(filters.status)) {
+        query.status = filters.status;
+      }
+
+      return await this.erasureRequestsCollection.find(query).sort({ createdAt: -1 }).toArray();
+    } catch (error) {
+      logger.error('Error fetching erasure requests:', error);
+      throw new DatabaseError('Failed to fetch erasure requests');
+    }
+  }
+
+  async countPendingRequests() {
+    try {
+      return await this.erasureRequestsCollection.countDocuments({ status: 'pending' });
+    } catch (error) {
+      logger.error('Error counting erasure requests:', error);
+      throw new DatabaseError('Failed to count erasure requests');
+    }
+  }
+
+  // Approve or reject a pending request. Approved requests are carried out by processApprovedErasures().
+  async reviewErasure(requestId, approved, reviewer, note, context) {
+    try {
+      if (!ObjectId.isValid(requestId)) {
+        throw new AppError('Invalid erasure request ID', 400);
+      }
+
+      const existing = await this.erasureRequestsCollection.findOne({ _id: new ObjectId(requestId) });
+      if (!existing) {
+        throw new AppError('Erasure request not found', 404);
+      }
+
+      if (approved && existing.userId === String(reviewer.id)) {
+        throw new AppError('Another administrator must approve the erasure of your own account', 400);
+      }
+
+      const status = approved ? 'approved' : 'rejected';
+      const result = await this.erasureRequestsCollection.findOneAndUpdate(
+        { _id: existing._id, status: 'pending' },
+        {
+          $set: {
+            status,
+            reviewedBy: reviewer.email,
+            reviewedAt: new Date(),
+            reviewNote: note ? String(note).trim().slice(0, MAX_REASON_LENGTH) : null,
+            updatedAt: new Date()
+          }
+        },
+        { returnDocument: 'after' }
+      );
+
+      if (!result.value) {
+        throw new AppError(`This request has already been ${existing.status}`, 409);
+      }
+
+      await auditService.record(context, {
+        action: approved ? 'privacy.erasure_approve' : 'privacy.erasure_reject',
+        target: { type: 'erasure_request', id: requestId },
+        before: { status: 'pending' },
+        after: { status, reviewNote: result.value.reviewNote }
+      });
+
+      logger.info('Erasure request reviewed', { requestId, status, reviewedBy: reviewer.email });
+
+      return result.value;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error reviewing erasure request:', error);
+      throw new DatabaseError('Failed to review erasure request');
+    }
+  }
+
+  // Carry out every approved request. Run on a schedule; each request is claimed atomically
+  // so overlapping runs can't process it twice.
+  async processApprovedErasures() {
+    let processed = 0;
+
+    for (;;) {
+      const claimed = await this.erasureRequestsCollection.findOneAndUpdate(
+        { status: 'approved' },
+        { $set: { status: 'processing', processingStartedAt: new Date(), updatedAt: new Date() } },
+        { sort: { reviewedAt: 1 }, returnDocument: 'after' }
+      );
+
+      if (!claimed.value) {
+        return processed;
+      }
+
+      try {
+        await this.eraseUser(claimed.value);
+        processed++;
+      } catch (error) {
+        // Leave it approved so the next run retries
+        logger.error('Error processing erasure request:', { requestId: claimed.value._id, error: error.message });
+        await this.erasureRequestsCollection.updateOne(
+          { _id: claimed.value._id },
+          { $set: { status: 'approved', lastError: error.message, updatedAt: new Date() } }
+        );
+        return processed;
+      }
+    }
+  }
+
+  // Anonymize the person's registrations and feedback, then delete their account.
+  // Rows are kept so attendance and rating counts stay correct. Their events stay (archived) and
+  // the audit log keeps its entries, both under the same placeholder instead of the email and
+  // name; sessions and API keys, which record IP addresses and devices, are deleted.
+  async eraseUser(request) {
+    // One placeholder per request keeps anonymized rows distinct without identifying anyone
+    const placeholder = crypto.createHash('sha256').update(request._id.toString()).digest('hex').slice(0, 16);
+    const anonymizedEmail = `erased-${placeholder}@anonymized.invalid`;
+    const erasedAt = new Date();
+    const context = { actor: { id: null, email: null, role: 'system' } };
+
+    // Answers to registration questions are free text and may identify the registrant too
+    const registrations = await this.registrationsCollection.updateMany(
+      { studentEmail: emailQuery(request.userEmail) },
+      { $set: { studentName: ANONYMIZED_NAME, studentEmail: anonymizedEmail, studentId: null, answers: null, anonymizedAt: erasedAt } }
+    );
+
+    // Comments are free text and may identify the author; ratings stay for the event's averages
+    const feedback = await this.feedbackCollection.updateMany(
+      { studentEmail: emailQuery(request.userEmail) },
+      { $set: { studentName: ANONYMIZED_NAME, studentEmail: anonymizedEmail, comment: null, anonymizedAt: erasedAt } }
+    );
+
+    let accountDeleted = false;
+    if (ObjectId.isValid(request.userId)) {
+      await database.getCollection('organizer_applications').deleteMany({ userId: new ObjectId(request.userId) });
+
+      try {
+        await userService.deleteUser(request.userId, { erasure: true }, context);
+        accountDeleted = true;
+      } catch (error) {
+        // Already deleted by an admin; the anonymization above still had to happen
+        if (error.statusCode !== 404) throw error;
+      }
+
+      // Deleting the account only revokes these
+      await database.getCollection('sessions').deleteMany({ userId: new ObjectId(request.userId) });
+      await database.getCollection('api_keys').deleteMany({ userId: request.userId });
+      // Links for an email change hold the address it was going to
+      await database.getCollection('email_verifications').deleteMany({ userId: new ObjectId(request.userId) });
+    }
+
+    // deleteUser archived the person's events; they keep existing for their registrants' history
+    const eventsAnonymized = await eventService.reassignEventsByCreator(request.userEmail, anonymizedEmail);
+    if (request.userName) {
+      await database.getCollection('events').updateMany(
+        { createdBy: anonymizedEmail, organizer: request.userName },
+        { $set: { organizer: ANONYMIZED_NAME } }
+      );
+    }
+
+    const auditEntriesAnonymized = await auditService.pseudonymize(
+      { userId: request.userId, email: request.userEmail, name: request.userName },
+      { email: anonymizedEmail, name: ANONYMIZED_NAME }
+    );
+
+    const details = {
+      registrationsAnonymized: registrations.modifiedCount,
+      feedbackAnonymized: feedback.modifiedCount,
+      eventsAnonymized,
+      auditEntriesAnonymized,
+      accountDeleted
+    };
+
+    // Keep the request as proof of erasure, without the personal data it held
+    await this.erasureRequestsCollection.updateOne(
+      { _id: request._id },
+      {
+        $set: { status: 'completed', completedAt: erasedAt, result: details, updatedAt: erasedAt },
+        $unset: { userEmail: '', userName: '', reason: '', lastError: '' }
+      }
+    );
+
+    await auditService.record(context, {
+      action: 'privacy.erasure_complete',
+      target: { type: 'erasure_request', id: request._id },
+      details: { ...details, approvedBy: request.reviewedBy }
+    });
+
+    logger.info('Personal data erased', { requestId: request._id, ...details });
+  }
+}
+
+module.exports = new PrivacyService();
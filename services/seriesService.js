@@ -0,0 +1,299 @@
+const { ObjectId } = require('mongodb');
+const database = require('../utils/database');
+const eventService = require('./eventService');
+const venueService = require('./venueService');
+const auditService = require('./auditService');
+const { AppError, DatabaseError } = require('../utils/errorHandler');
+const { sendSeriesRegistrationConfirmation } = require('../utils/email');
+const { parseRule, formatRule, parseExceptions, expandRule, describeRule, daysBetween, shiftDate, shiftDateTime } = require('../utils/recurrence');
+const { today, formatEventDate, formatEventTime } = require('../utils/datetime');
+const winston = require('winston');
+
+// Create a logger instance
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'series-service' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/event-service.log' })
+  ]
+});
+
+// If we're not in production, also log to the console
+if (process.env.NODE_ENV !== 'production') {
+  logger.add(new winston.transports.Console({
+    format: winston.format.simple()
+  }));
+}
+
+// Occurrences that can still be edited; cancelled and completed ones are kept as history
+const EDITABLE_STATUSES = ['draft', 'published'];
+// Registration window fields are given for one occurrence; every other occurrence gets the
+// same times relative to its own date
+const WINDOW_FIELDS = ['registrationOpensAt', 'registrationClosesAt', 'cancellationDeadline'];
+
+function shiftWindow(fields, days) {
+  const shifted = { ...fields };
+  WINDOW_FIELDS.forEach(field => {
+    if (days !== 0 && shifted[field]) {
+      shifted[field] = shiftDateTime(shifted[field], days);
+    }
+  });
+  return shifted;
+}
+
+// Throw 409 if any of the event versions (with startsAt and endsAt) would double-book its room. Lets a series be
+// checked as a whole before any occurrence is created or changed. ignoreIds are events
+// that are moving anyway (other occurrences of the same series).
+async function assertRoomsFree(events, ignoreIds = []) {
+  const clashes = [];
+  for (const { event, excludeEventId } of events) {
+    const conflicts = await venueService.findConflicts(event, excludeEventId);
+    conflicts
+      .filter(other => !ignoreIds.includes(other._id.toString()))
+      .forEach(other => clashes.push(`${formatEventDate(other)}: "${other.title}" at ${formatEventTime(other)}`));
+  }
+
+  if (clashes.length > 0) {
+    throw new AppError(`The room is already booked on some dates of this series (${clashes.join('; ')})`, 409);
+  }
+}
+
+// A series is a recurrence rule plus the events (occurrences) generated from it. Each
+// occurrence is an ordinary event with a seriesId, so it has its own registrations,
+// capacity and status.
+class SeriesService {
+  constructor() {
+    this.seriesCollection = null;
+    this.eventsCollection = null;
+  }
+
+  async initialize() {
+    try {
+      this.seriesCollection = database.getCollection('event_series');
+      this.eventsCollection = database.getCollection('events');
+      logger.info('SeriesService initialized successfully');
+    } catch (error) {
+      logger.error('Error initializing SeriesService:', error);
+      throw new DatabaseError('Failed to initialize SeriesService');
+    }
+  }
+
+  // Create one event per date of the recurrence rule. eventData.date is the first date;
+  // recurrence is { rrule, exceptions } where exceptions are dates to leave out.
+  // options are passed on to eventService.createEvent.
+  async createSeries(eventData, recurrence, context, options = {}) {
+    try {
+      const rule = parseRule(recurrence.rrule);
+      const exceptions = parseExceptions(recurrence.exceptions);
+      const dates = expandRule(rule, eventData.date, exceptions);
+      const seriesId = new ObjectId();
+
+      if (eventData.roomId && !options.allowDoubleBooking) {
+        await assertRoomsFree(dates.map(date => ({
+          event: { ...eventData, date, ...eventService.scheduleFields({ ...eventData, date }) }
+        })));
+      }
+
+      // The first occurrence validates the event fields before anything else is stored
+      const events = [];
+      for (const date of dates) {
+        const fields = shiftWindow({ ...eventData, date, seriesId: seriesId.toString() }, daysBetween(eventData.date, date));
+        events.push(await eventService.createEvent(fields, context, options));
+      }
+
+      const series = {
+        _id: seriesId,
+        title: eventData.title,
+        rrule: formatRule(rule),
+        exceptions,
+        startDate: eventData.date,
+        occurrenceCount: events.length,
+        createdBy: eventData.createdBy,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+      await this.seriesCollection.insertOne(series);
+
+      await auditService.record(context, {
+        action: 'series.create',
+        target: { type: 'series', id: seriesId, label: series.title },
+        after: series,
+        details: { occurrences: events.length }
+      });
+
+      logger.info('Event series created', { seriesId, occurrences: events.length });
+      return { series: { ...series, description: describeRule(rule) }, events };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error creating event series:', error);
+      throw new DatabaseError('Failed to create event series');
+    }
+  }
+
+  // The series with a readable description of its rule
+  async getSeries(seriesId) {
+    try {
+      if (!ObjectId.isValid(seriesId)) {
+        throw new AppError('Invalid series ID', 400);
+      }
+
+      const series = await this.seriesCollection.findOne({ _id: new ObjectId(seriesId) });
+      if (!series) {
+        throw new AppError('Series not found', 404);
+      }
+
+      return { ...series, description: describeRule(parseRule(series.rrule)) };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error fetching event series:', error);
+      throw new DatabaseError('Failed to fetch event series');
+    }
+  }
+
+  // Occurrences of a series in date order, optionally only from a date on and in some statuses
+  async getOccurrences(seriesId, { fromDate = null, statuses = null } = {}) {
+    try {
+      const query = { seriesId: String(seriesId), archived: { $ne: true } };
+      if (fromDate) {
+        query.date = { $gte: fromDate };
+      }
+      if (statuses) {
+        query.status = { $in: statuses };
+      }
+
+      return await this.eventsCollection.find(query).sort({ date: 1, time: 1 }).toArray();
+    } catch (error) {
+      logger.error('Error fetching series occurrences:', error);
+      throw new DatabaseError('Failed to fetch series occurrences');
+    }
+  }
+
+  // Apply an edit to an occurrence and every later one that is still draft or published.
+  // A new date moves each of them by the same number of days. Each occurrence goes through
+  // eventService.updateEvent, so its registrants are notified as for a single event.
+  async updateFollowing(eventId, eventData, context, options = {}) {
+    try {
+      const event = await eventService.getEventById(eventId);
+      if (!event.seriesId) {
+        throw new AppError('This event is not part of a series', 400);
+      }
+
+      let dayShift = 0;
+      if (eventData.date && eventData.date !== event.date) {
+        dayShift = daysBetween(event.date, eventData.date);
+        if (!Number.isFinite(dayShift)) {
+          throw new AppError('Date must be a valid date in YYYY-MM-DD format', 400);
+        }
+      }
+
+      const occurrences = await this.getOccurrences(event.seriesId, { fromDate: event.date, statuses: EDITABLE_STATUSES });
+      const changes = occurrences.map(occurrence => {
+        const fields = shiftWindow(eventData, daysBetween(event.date, occurrence.date));
+        delete fields.date;
+        if (dayShift !== 0) {
+          fields.date = shiftDate(occurrence.date, dayShift);
+        }
+        return { occurrence, fields };
+      });
+
+      if (!options.allowDoubleBooking) {
+        const occurrenceIds = occurrences.map(occurrence => occurrence._id.toString());
+        await assertRoomsFree(changes.map(({ occurrence, fields }) => ({
+          event: { ...occurrence, ...fields, ...eventService.scheduleFields({ ...occurrence, ...fields }) },
+          excludeEventId: occurrence._id.toString()
+        })), occurrenceIds);
+      }
+
+      for (const { occurrence, fields } of changes) {
+        await eventService.updateEvent(occurrence._id.toString(), fields, context, options);
+      }
+
+      logger.info('Series occurrences updated', { seriesId: event.seriesId, fromEventId: eventId, occurrences: occurrences.length });
+      return { updated: occurrences.length };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error updating series occurrences:', error);
+      throw new DatabaseError('Failed to update series occurrences');
+    }
+  }
+
+  // Register for every upcoming published occurrence of the event's series. Occurrences the
+  // person is already registered for are skipped, as are ones whose own registration window
+  // isn't open; full ones put them on that occurrence's waitlist. One summary email, listing
+  // the skipped dates too, replaces the per-occurrence confirmations. Returns
+  // { registrations, skipped }, where skipped holds { event, reason } for each closed occurrence.
+  async registerForSeries(eventId, registrationData) {
+    try {
+      const event = await eventService.getEventById(eventId);
+      if (!event.seriesId) {
+        throw new AppError('This event is not part of a series', 400);
+      }
+
+      const [series, upcoming] = await Promise.all([
+        this.getSeries(event.seriesId),
+        this.getOccurrences(event.seriesId, { fromDate: today(), statuses: ['published'] })
+      ]);
+      const occurrences = upcoming.filter(occurrence => !eventService.hasStarted(occurrence));
+
+      const registrations = [];
+      const skipped = [];
+      let alreadyRegistered = 0;
+      for (const occurrence of occurrences) {
+        try {
+          eventService.assertRegistrationOpen(occurrence);
+        } catch (error) {
+          if (!(error instanceof AppError)) throw error;
+          skipped.push({ event: occurrence, reason: error.message });
+          continue;
+        }
+
+        try {
+          const registration = await eventService.registerForEvent({
+            ...registrationData,
+            eventId: occurrence._id.toString(),
+            seriesId: event.seriesId
+          }, { notify: false });
+          registrations.push({ ...registration, event: occurrence });
+        } catch (error) {
+          if (error.message !== 'You have already registered for this event') throw error;
+          alreadyRegistered++;
+        }
+      }
+
+      if (registrations.length === 0) {
+        if (occurrences.length === 0) {
+          throw new AppError('This series has no upcoming occurrences to register for', 400);
+        }
+        throw new AppError(alreadyRegistered === 0
+          ? 'Registration is not open for any upcoming occurrence of this series'
+          : 'You have already registered for every upcoming occurrence of this series that is open for registration', 400);
+      }
+
+      try {
+        await sendSeriesRegistrationConfirmation(registrationData.studentEmail, series, registrations, skipped);
+      } catch (emailError) {
+        logger.error('Error sending series registration email:', emailError);
+      }
+
+      logger.info('Series registration created', {
+        seriesId: event.seriesId,
+        studentEmail: registrationData.studentEmail,
+        registrations: registrations.length,
+        waitlisted: registrations.filter(registration => registration.status === 'waitlisted').length,
+        skipped: skipped.length
+      });
+      return { registrations, skipped };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error registering for event series:', error);
+      throw new DatabaseError('Failed to register for event series');
+    }
+  }
+}
+
+module.exports = new SeriesService();
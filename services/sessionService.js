@@ -0,0 +1,407 @@
+const { ObjectId } = require('mongodb');
+const database = require('../utils/database');
+const venueService = require('./venueService');
+const auditService = require('./auditService');
+const { AppError, DatabaseError } = require('../utils/errorHandler');
+const { eventInstants, formatEventTime } = require('../utils/datetime');
+const { daysBetween, shiftDate } = require('../utils/recurrence');
+const winston = require('winston');
+
+// Create a logger instance
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'session-service' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/event-service.log' })
+  ]
+});
+
+// If we're not in production, also log to the console
+if (process.env.NODE_ENV !== 'production') {
+  logger.add(new winston.transports.Console({
+    format: winston.format.simple()
+  }));
+}
+
+const MAX_SPEAKERS = 10;
+// Sessions with no capacity or fewer places taken than their capacity
+const SPOTS_LEFT_QUERY = {
+  $or: [
+    { capacity: null },
+    { $expr: { $lt: [{ $ifNull: ['$registeredCount', 0] }, '$capacity'] } }
+  ]
+};
+
+function overlaps(a, b) {
+  return new Date(a.startsAt) < new Date(b.endsAt) && new Date(b.startsAt) < new Date(a.endsAt);
+}
+
+function validateText(value, field, maxLength, required = true) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if ((required && !text) || text.length > maxLength) {
+    throw new AppError(`${field} ${required ? 'is required and ' : ''}must be at most ${maxLength} characters`, 400);
+  }
+  return text;
+}
+
+// Speaker names from a comma-separated string or an array
+function parseSpeakers(value) {
+  const speakers = [...new Set([].concat(value || [])
+    .flatMap(speaker => String(speaker).split(','))
+    .map(speaker => speaker.trim())
+    .filter(Boolean))];
+
+  if (speakers.length > MAX_SPEAKERS) {
+    throw new AppError(`A session can have at most ${MAX_SPEAKERS} speakers`, 400);
+  }
+  if (speakers.some(speaker => speaker.length > 100)) {
+    throw new AppError('Speaker names must be at most 100 characters', 400);
+  }
+
+  return speakers;
+}
+
+// Capacity from a form or API body: empty means limited only by the event
+function parseCapacity(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const capacity = Number(value);
+  if (!Number.isInteger(capacity) || capacity < 1) {
+    throw new AppError('Session capacity must be a whole number of at least 1, or empty for no limit', 400);
+  }
+
+  return capacity;
+}
+
+// The ids a student picked, from a form (one value or several) or an API body
+function parseSessionIds(value) {
+  return [...new Set([].concat(value || []).map(String).filter(Boolean))];
+}
+
+// Sessions are the agenda of an event: talks, workshops and the like, each with its own
+// time, room, speakers and optional capacity. Registrations list the sessions the student
+// picked in sessionIds; they hold a place in those sessions unless they are waitlisted.
+class SessionService {
+  constructor() {
+    this.sessionsCollection = null;
+    this.registrationsCollection = null;
+  }
+
+  async initialize() {
+    try {
+      this.sessionsCollection = database.getCollection('event_sessions');
+      this.registrationsCollection = database.getCollection('registrations');
+      logger.info('SessionService initialized successfully');
+    } catch (error) {
+      logger.error('Error initializing SessionService:', error);
+      throw new DatabaseError('Failed to initialize SessionService');
+    }
+  }
+
+  // An event's sessions in the order they take place
+  async getSessions(eventId) {
+    try {
+      return await this.sessionsCollection.find({ eventId: String(eventId) }).sort({ startsAt: 1, title: 1 }).toArray();
+    } catch (error) {
+      logger.error('Error fetching sessions:', error);
+      throw new DatabaseError('Failed to fetch sessions');
+    }
+  }
+
+  // Sessions of several events at once, e.g. for a student's registrations
+  async getSessionsForEvents(eventIds) {
+    try {
+      return await this.sessionsCollection.find({ eventId: { $in: eventIds.map(String) } }).sort({ startsAt: 1, title: 1 }).toArray();
+    } catch (error) {
+      logger.error('Error fetching sessions:', error);
+      throw new DatabaseError('Failed to fetch sessions');
+    }
+  }
+
+  async getSession(eventId, sessionId) {
+    try {
+      if (!ObjectId.isValid(sessionId)) {
+        throw new AppError('Invalid session ID', 400);
+      }
+
+      const session = await this.sessionsCollection.findOne({ _id: new ObjectId(sessionId), eventId: String(eventId) });
+      if (!session) {
+        throw new AppError('Session not found', 404);
+      }
+
+      return session;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error fetching session:', error);
+      throw new DatabaseError('Failed to fetch session');
+    }
+  }
+
+  // Session fields from a form or API body, on top of the session being edited (if any).
+  // Sessions use their event's timezone and can't be before its date. A booked room sets the
+  // location and the default (and maximum) capacity, and can't be taken by another session
+  // of the event or by another event at the same time.
+  async parseSession(event, data, existing = {}) {
+    const session = {
+      title: data.title !== undefined ? validateText(data.title, 'Session title', 120) : existing.title,
+      description: data.description !== undefined ? validateText(data.description, 'Session description', 1000, false) : existing.description || '',
+      speakers: data.speakers !== undefined ? parseSpeakers(data.speakers) : existing.speakers || [],
+      date: data.date || existing.date || event.date,
+      time: data.time !== undefined ? data.time : existing.time,
+      endTime: data.endTime !== undefined ? data.endTime : existing.endTime,
+      roomId: data.roomId !== undefined ? data.roomId || null : existing.roomId || null,
+      location: data.location !== undefined ? validateText(data.location, 'Session location', 200, false) || null : existing.location || null,
+      capacity: data.capacity !== undefined ? parseCapacity(data.capacity) : existing.capacity ?? null
+    };
+
+    if (!session.title) {
+      throw new AppError('Session title is required', 400);
+    }
+    if (!session.endTime) {
+      throw new AppError('Sessions need an end time', 400);
+    }
+    if (session.date < event.date) {
+      throw new AppError(`A session can't be before its event's date (${event.date})`, 400);
+    }
+    Object.assign(session, eventInstants({ ...session, timezone: event.timezone }));
+
+    if (session.roomId) {
+      const { venue, room } = await venueService.getRoom(session.roomId);
+      session.roomId = room._id.toString();
+      session.location = `${room.name}, ${venue.name}`;
+
+      if (room.capacity) {
+        if (session.capacity === null) {
+          session.capacity = room.capacity;
+        } else if (session.capacity > room.capacity) {
+          throw new AppError(`Session capacity can't be more than the ${room.capacity} people ${room.name} holds`, 400);
+        }
+      }
+
+      await this.assertRoomFree(event, session, existing._id);
+    }
+
+    return session;
+  }
+
+  // Throw 409 if the session's room is taken by another session of the event or by another event
+  async assertRoomFree(event, session, excludeSessionId = null) {
+    const query = { eventId: event._id.toString(), roomId: session.roomId };
+    if (excludeSessionId) {
+      query._id = { $ne: excludeSessionId };
+    }
+
+    const clashes = (await this.sessionsCollection.find(query).toArray())
+      .filter(other => overlaps(session, other))
+      .map(other => `the session "${other.title}" (${formatEventTime(other)})`);
+    const events = await venueService.findConflicts(session, event._id.toString());
+    events.forEach(other => clashes.push(`the event "${other.title}" (${formatEventTime(other)})`));
+
+    if (clashes.length > 0) {
+      throw new AppError(`This room is already booked at this time for ${clashes.join(', ')}`, 409);
+    }
+  }
+
+  async createSession(event, data, context) {
+    try {
+      const session = {
+        eventId: event._id.toString(),
+        ...await this.parseSession(event, data),
+        registeredCount: 0,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+
+      const result = await this.sessionsCollection.insertOne(session);
+
+      await auditService.record(context, {
+        action: 'session.create',
+        target: { type: 'session', id: result.insertedId, label: session.title },
+        after: session,
+        details: { eventId: session.eventId }
+      });
+
+      logger.info('Session created', { eventId: session.eventId, sessionId: result.insertedId });
+      return { ...session, _id: result.insertedId };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error creating session:', error);
+      throw new DatabaseError('Failed to create session');
+    }
+  }
+
+  // Lowering the capacity doesn't take anyone out of the session
+  async updateSession(event, sessionId, data, context) {
+    try {
+      const session = await this.getSession(event._id, sessionId);
+      const update = { ...await this.parseSession(event, data, session), updatedAt: new Date() };
+
+      await this.sessionsCollection.updateOne({ _id: session._id }, { $set: update });
+
+      const updatedSession = { ...session, ...update };
+      await auditService.record(context, {
+        action: 'session.update',
+        target: { type: 'session', id: sessionId, label: updatedSession.title },
+        before: session,
+        after: updatedSession,
+        details: { eventId: session.eventId }
+      });
+
+      logger.info('Session updated', { eventId: session.eventId, sessionId });
+      return updatedSession;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error updating session:', error);
+      throw new DatabaseError('Failed to update session');
+    }
+  }
+
+  // Removing a session also takes it off every registration that picked it
+  async deleteSession(event, sessionId, context) {
+    try {
+      const session = await this.getSession(event._id, sessionId);
+
+      await this.sessionsCollection.deleteOne({ _id: session._id });
+      const registrations = await this.registrationsCollection.updateMany(
+        { eventId: session.eventId, sessionIds: sessionId },
+        { $pull: { sessionIds: sessionId } }
+      );
+
+      await auditService.record(context, {
+        action: 'session.delete',
+        target: { type: 'session', id: sessionId, label: session.title },
+        before: session,
+        details: { eventId: session.eventId, registrationsUpdated: registrations.modifiedCount }
+      });
+
+      logger.info('Session deleted', { eventId: session.eventId, sessionId });
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error deleting session:', error);
+      throw new DatabaseError('Failed to delete session');
+    }
+  }
+
+  // Remove all of an event's sessions when the event itself is deleted
+  async deleteEventSessions(eventId) {
+    try {
+      const result = await this.sessionsCollection.deleteMany({ eventId: String(eventId) });
+      return result.deletedCount;
+    } catch (error) {
+      logger.error('Error deleting event sessions:', error);
+      throw new DatabaseError('Failed to delete event sessions');
+    }
+  }
+
+  // Keep the sessions in step when their event moves: they shift by as many days as the
+  // event did and take on its timezone, keeping their wall-clock times
+  async rescheduleSessions(before, after) {
+    try {
+      const days = daysBetween(before.date, after.date);
+      if (days === 0 && before.timezone === after.timezone) {
+        return 0;
+      }
+
+      const sessions = await this.getSessions(after._id);
+      for (const session of sessions) {
+        const date = shiftDate(session.date, days);
+        await this.sessionsCollection.updateOne(
+          { _id: session._id },
+          { $set: { date, ...eventInstants({ ...session, date, timezone: after.timezone }), updatedAt: new Date() } }
+        );
+      }
+
+      if (sessions.length > 0) {
+        logger.info('Sessions rescheduled with their event', { eventId: after._id, sessions: sessions.length, days });
+      }
+      return sessions.length;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error rescheduling sessions:', error);
+      throw new DatabaseError('Failed to reschedule sessions');
+    }
+  }
+
+  // The sessions a student picked, checked to belong to the event and not to overlap
+  async resolveSelection(eventId, value) {
+    const sessionIds = parseSessionIds(value);
+    if (sessionIds.length === 0) {
+      return [];
+    }
+
+    const sessions = await this.getSessions(eventId);
+    const picked = sessionIds.map(sessionId => {
+      const session = sessions.find(candidate => candidate._id.toString() === sessionId);
+      if (!session) {
+        throw new AppError('One of the chosen sessions is not part of this event', 400);
+      }
+      return session;
+    });
+
+    picked.forEach((session, i) => {
+      const clash = picked.slice(i + 1).find(other => overlaps(session, other));
+      if (clash) {
+        throw new AppError(`"${session.title}" and "${clash.title}" take place at the same time; choose one of them`, 400);
+      }
+    });
+
+    return picked;
+  }
+
+  // Take a place in each session. All or nothing: if one is full, the places already taken
+  // are given back and 409 is thrown.
+  async takeSeats(sessions) {
+    const taken = [];
+    for (const session of sessions) {
+      const result = await this.sessionsCollection.findOneAndUpdate(
+        { _id: session._id, ...SPOTS_LEFT_QUERY },
+        { $inc: { registeredCount: 1 } }
+      );
+
+      if (!result.value) {
+        await this.releaseSeats(taken);
+        throw new AppError(`The session "${session.title}" is full. Choose other sessions or register without it.`, 409);
+      }
+      taken.push(session._id.toString());
+    }
+    return taken;
+  }
+
+  // Take a place in whichever of the sessions still have room, e.g. for a student coming off
+  // the waitlist. Returns the ids of the sessions they got into.
+  async takeAvailableSeats(sessionIds) {
+    const taken = [];
+    for (const sessionId of parseSessionIds(sessionIds)) {
+      if (!ObjectId.isValid(sessionId)) continue;
+      const result = await this.sessionsCollection.findOneAndUpdate(
+        { _id: new ObjectId(sessionId), ...SPOTS_LEFT_QUERY },
+        { $inc: { registeredCount: 1 } }
+      );
+      if (result.value) {
+        taken.push(sessionId);
+      }
+    }
+    return taken;
+  }
+
+  async releaseSeats(sessionIds) {
+    const ids = parseSessionIds(sessionIds).filter(sessionId => ObjectId.isValid(sessionId));
+    if (ids.length === 0) {
+      return;
+    }
+
+    await this.sessionsCollection.updateMany(
+      { _id: { $in: ids.map(sessionId => new ObjectId(sessionId)) }, registeredCount: { $gt: 0 } },
+      { $inc: { registeredCount: -1 } }
+    );
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,181 @@
+const { ObjectId } = require('mongodb');
+const database = require('../utils/database');
+const auditService = require('./auditService');
+const { AppError, DatabaseError } = require('../utils/errorHandler');
+const winston = require('winston');
+
+// Create a logger instance
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'template-service' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/event-service.log' })
+  ]
+});
+
+// If we're not in production, also log to the console
+if (process.env.NODE_ENV !== 'production') {
+  logger.add(new winston.transports.Console({
+    format: winston.format.simple()
+  }));
+}
+
+// Event fields a template (or a duplicated event) carries over. The date, the registration
+// window and the agenda belong to one run of the event, so each new event gets its own.
+const TEMPLATE_FIELDS = [
+  'title', 'description', 'time', 'endTime', 'timezone', 'location', 'roomId', 'organizer',
+  'capacity', 'category', 'tags', 'registrationQuestions', 'images', 'videos'
+];
+const MAX_NAME_LENGTH = 100;
+
+// The reusable fields of an event or template
+function pickTemplateFields(source) {
+  const fields = {};
+  TEMPLATE_FIELDS.forEach(field => {
+    if (source[field] !== undefined) {
+      fields[field] = source[field];
+    }
+  });
+  return fields;
+}
+
+class TemplateService {
+  constructor() {
+    this.templatesCollection = null;
+  }
+
+  async initialize() {
+    try {
+      this.templatesCollection = database.getCollection('event_templates');
+      logger.info('TemplateService initialized successfully');
+    } catch (error) {
+      logger.error('Error initializing TemplateService:', error);
+      throw new DatabaseError('Failed to initialize TemplateService');
+    }
+  }
+
+  // Values for the create event form, copied from an event or a template
+  eventDefaults(source) {
+    return pickTemplateFields(source);
+  }
+
+  // Templates created by a user (or all of them for null), by name
+  async getTemplates(email) {
+    try {
+      return await this.templatesCollection.find(email ? { createdBy: email } : {}).sort({ name: 1 }).toArray();
+    } catch (error) {
+      logger.error('Error fetching templates:', error);
+      throw new DatabaseError('Failed to fetch templates');
+    }
+  }
+
+  // A template its creator (or an admin) can use; anyone else gets 404
+  async getTemplate(templateId, user) {
+    try {
+      if (!ObjectId.isValid(templateId)) {
+        throw new AppError('Invalid template ID', 400);
+      }
+
+      const template = await this.templatesCollection.findOne({ _id: new ObjectId(templateId) });
+      if (!template || (user.role !== 'admin' && template.createdBy !== user.email)) {
+        throw new AppError('Template not found', 404);
+      }
+
+      return template;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error fetching template:', error);
+      throw new DatabaseError('Failed to fetch template');
+    }
+  }
+
+  // Save an event's reusable fields as a template owned by createdBy. name defaults to the event's title.
+  async createTemplate(event, name, createdBy, context) {
+    try {
+      const trimmedName = typeof name === 'string' && name.trim() ? name.trim() : event.title;
+      if (!trimmedName || trimmedName.length > MAX_NAME_LENGTH) {
+        throw new AppError(`Template name is required and must be at most ${MAX_NAME_LENGTH} characters`, 400);
+      }
+
+      const template = {
+        name: trimmedName,
+        ...pickTemplateFields(event),
+        sourceEventId: event._id ? event._id.toString() : null,
+        createdBy,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+      const result = await this.templatesCollection.insertOne(template);
+
+      await auditService.record(context, {
+        action: 'template.create',
+        target: { type: 'template', id: result.insertedId, label: template.name },
+        after: template
+      });
+
+      logger.info('Template created', { templateId: result.insertedId, sourceEventId: template.sourceEventId });
+      return { ...template, _id: result.insertedId };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error creating template:', error);
+      throw new DatabaseError('Failed to create template');
+    }
+  }
+
+  // Delete a template. Events created from it are not affected.
+  async deleteTemplate(templateId, user, context) {
+    try {
+      const template = await this.getTemplate(templateId, user);
+      await this.templatesCollection.deleteOne({ _id: template._id });
+
+      await auditService.record(context, {
+        action: 'template.delete',
+        target: { type: 'template', id: templateId, label: template.name },
+        before: template
+      });
+
+      logger.info('Template deleted', { templateId });
+      return template;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error deleting template:', error);
+      throw new DatabaseError('Failed to delete template');
+    }
+  }
+
+  // Templates follow their owner's email like events do
+  async reassignTemplatesByCreator(fromEmail, toEmail) {
+    try {
+      const result = await this.templatesCollection.updateMany(
+        { createdBy: fromEmail },
+        { $set: { createdBy: toEmail, updatedAt: new Date() } }
+      );
+
+      logger.info('Templates reassigned', { fromEmail, toEmail, count: result.modifiedCount });
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error('Error reassigning templates:', error);
+      throw new DatabaseError('Failed to reassign templates');
+    }
+  }
+
+  // Templates are only drafts for new events, so a deleted account's templates go with it
+  async deleteTemplatesByCreator(email) {
+    try {
+      const result = await this.templatesCollection.deleteMany({ createdBy: email });
+
+      logger.info('Templates deleted', { email, count: result.deletedCount });
+      return result.deletedCount;
+    } catch (error) {
+      logger.error('Error deleting templates:', error);
+      throw new DatabaseError('Failed to delete templates');
+    }
+  }
+}
+
+module.exports = new TemplateService();
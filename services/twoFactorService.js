@@ -0,0 +1,327 @@
+const { ObjectId } = require('mongodb');
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const database = require('../utils/database');
+const totp = require('../utils/totp');
+const { AppError, DatabaseError } = require('../utils/errorHandler');
+const winston = require('winston');
+
+// Create a logger instance
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'two-factor-service' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/user-service.log' })
+  ]
+});
+
+// If we're not in production, also log to the console
+if (process.env.NODE_ENV !== 'production') {
+  logger.add(new winston.transports.Console({
+    format: winston.format.simple()
+  }));
+}
+
+const ISSUER = 'Campus Event Hub';
+const RECOVERY_CODE_COUNT = 10;
+// Only organizers and admins can manage events, so only they can enrol
+const TWO_FACTOR_ROLES = ['organizer', 'admin'];
+
+// TOTP secrets must be readable to check codes, so they are encrypted at rest rather than hashed
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'campus_event_hub_secret_key')
+  .digest();
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+function decryptSecret(payload) {
+  const [iv, authTag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+// Recovery codes are random, so a plain SHA-256 digest is enough to keep them unusable if leaked
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+// Ten codes like "3f9a-c21b", shown to the user once
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+}
+
+// Authenticator codes are all digits; anything else is treated as a recovery code
+const isTotpCode = (code) => /^\d{6}$/.test(String(code || '').replace(/\s/g, ''));
+
+class TwoFactorService {
+  constructor() {
+    this.usersCollection = null;
+    // Source of the current time; tests can replace it with a fixed clock
+    this.clock = () => Date.now();
+  }
+
+  async initialize() {
+    try {
+      this.usersCollection = database.getCollection('users');
+      logger.info('TwoFactorService initialized successfully');
+    } catch (error) {
+      logger.error('Error initializing TwoFactorService:', error);
+      throw new DatabaseError('Failed to initialize TwoFactorService');
+    }
+  }
+
+  // Whether 2FA is switched on for a user document
+  isEnabled(user) {
+    return Boolean(user && user.twoFactor && user.twoFactor.enabled);
+  }
+
+  // Enrolment state shown on the settings page
+  async getStatus(userId) {
+    const user = await this.findUser(userId);
+    const twoFactor = user.twoFactor || {};
+
+    return {
+      available: TWO_FACTOR_ROLES.includes(user.role),
+      enabled: Boolean(twoFactor.enabled),
+      required: Boolean(user.twoFactorRequired),
+      enabledAt: twoFactor.enabledAt || null,
+      recoveryCodesRemaining: twoFactor.enabled ? (twoFactor.recoveryCodeHashes || []).length : 0
+    };
+  }
+
+  async findUser(userId) {
+    if (!ObjectId.isValid(userId)) {
+      throw new AppError('Invalid user ID', 400);
+    }
+
+    const user = await this.usersCollection.findOne({ _id: new ObjectId(userId) });
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    return user;
+  }
+
+  // Start enrolment: store a pending secret and return it with a QR code for the authenticator app
+  async beginEnrolment(userId) {
+    try {
+      const user = await this.findUser(userId);
+
+      if (!TWO_FACTOR_ROLES.includes(user.role)) {
+        throw new AppError('Two-factor authentication is available to organizer and admin accounts', 403);
+      }
+
+      if (this.isEnabled(user)) {
+        throw new AppError('Two-factor authentication is already enabled', 400);
+      }
+
+      const secret = totp.generateSecret();
+      const otpauthUrl = totp.buildOtpAuthUrl(secret, user.email, ISSUER);
+      const qrCodeDataUrl = await QRCode.toDataURL(otpauthUrl);
+
+      await this.usersCollection.updateOne(
+        { _id: user._id },
+        { $set: { 'twoFactor.pendingSecret': encryptSecret(secret), updatedAt: new Date() } }
+      );
+
+      logger.info('Two-factor enrolment started', { userId });
+
+      return { secret, otpauthUrl, qrCodeDataUrl };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error starting two-factor enrolment:', error);
+      throw new DatabaseError('Failed to start two-factor enrolment');
+    }
+  }
+
+  // Finish enrolment once the user proves their app produces valid codes; returns the recovery codes
+  async confirmEnrolment(userId, code) {
+    try {
+      const user = await this.findUser(userId);
+      const pendingSecret = user.twoFactor && user.twoFactor.pendingSecret;
+
+      if (this.isEnabled(user)) {
+        throw new AppError('Two-factor authentication is already enabled', 400);
+      }
+
+      if (!pendingSecret) {
+        throw new AppError('Start two-factor setup before confirming it', 400);
+      }
+
+      const secret = decryptSecret(pendingSecret);
+      const step = totp.verifyCode(secret, code, this.clock());
+
+      if (step === null) {
+        throw new AppError('Invalid authentication code', 400);
+      }
+
+      const recoveryCodes = generateRecoveryCodes();
+
+      await this.usersCollection.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            twoFactor: {
+              enabled: true,
+              secret: pendingSecret,
+              lastUsedStep: step,
+              recoveryCodeHashes: recoveryCodes.map(hashRecoveryCode),
+              enabledAt: new Date()
+            },
+            updatedAt: new Date()
+          }
+        }
+      );
+
+      logger.info('Two-factor authentication enabled', { userId });
+
+      return recoveryCodes;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error confirming two-factor enrolment:', error);
+      throw new DatabaseError('Failed to enable two-factor authentication');
+    }
+  }
+
+  // Check a login code (authenticator or recovery code) for a user with 2FA enabled.
+  // Each authenticator code and each recovery code works only once.
+  async verifyCode(user, code) {
+    try {
+      if (!this.isEnabled(user)) {
+        return { verified: true, method: null };
+      }
+
+      if (isTotpCode(code)) {
+        const step = totp.verifyCode(decryptSecret(user.twoFactor.secret), code, this.clock());
+        if (step === null) {
+          return { verified: false };
+        }
+
+        // Record the step atomically so the same code can't be replayed
+        const result = await this.usersCollection.updateOne(
+          { _id: user._id, 'twoFactor.lastUsedStep': { $lt: step } },
+          { $set: { 'twoFactor.lastUsedStep': step } }
+        );
+
+        return result.modifiedCount === 1 ? { verified: true, method: 'totp' } : { verified: false };
+      }
+
+      const codeHash = hashRecoveryCode(code);
+      const result = await this.usersCollection.findOneAndUpdate(
+        { _id: user._id, 'twoFactor.recoveryCodeHashes': codeHash },
+        { $pull: { 'twoFactor.recoveryCodeHashes': codeHash } },
+        { returnDocument: 'after' }
+      );
+
+      if (!result.value) {
+        return { verified: false };
+      }
+
+      const recoveryCodesRemaining = result.value.twoFactor.recoveryCodeHashes.length;
+      logger.info('Recovery code used', { userId: user._id, recoveryCodesRemaining });
+
+      return { verified: true, method: 'recovery', recoveryCodesRemaining };
+    } catch (error) {
+      logger.error('Error verifying two-factor code:', error);
+      throw new DatabaseError('Failed to verify authentication code');
+    }
+  }
+
+  // Replace all recovery codes after confirming a current authenticator code
+  async regenerateRecoveryCodes(userId, code) {
+    const user = await this.findUser(userId);
+
+    if (!this.isEnabled(user)) {
+      throw new AppError('Two-factor authentication is not enabled', 400);
+    }
+
+    if (!isTotpCode(code) || !(await this.verifyCode(user, code)).verified) {
+      throw new AppError('Invalid authentication code', 400);
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    await this.usersCollection.updateOne(
+      { _id: user._id },
+      { $set: { 'twoFactor.recoveryCodeHashes': recoveryCodes.map(hashRecoveryCode), updatedAt: new Date() } }
+    );
+
+    logger.info('Recovery codes regenerated', { userId });
+
+    return recoveryCodes;
+  }
+
+  // Turn 2FA off after confirming a current code; not allowed while an admin requires it
+  async disable(userId, code) {
+    const user = await this.findUser(userId);
+
+    if (!this.isEnabled(user)) {
+      throw new AppError('Two-factor authentication is not enabled', 400);
+    }
+
+    if (user.twoFactorRequired) {
+      throw new AppError('An administrator requires two-factor authentication on this account', 403);
+    }
+
+    if (!(await this.verifyCode(user, code)).verified) {
+      throw new AppError('Invalid authentication code', 400);
+    }
+
+    await this.reset(userId);
+  }
+
+  // Remove all 2FA data, e.g. when an admin helps a user who lost their device
+  async reset(userId) {
+    try {
+      const result = await this.usersCollection.updateOne(
+        { _id: new ObjectId(userId) },
+        { $unset: { twoFactor: '' }, $set: { updatedAt: new Date() } }
+      );
+
+      if (result.matchedCount === 0) {
+        throw new AppError('User not found', 404);
+      }
+
+      logger.info('Two-factor authentication removed', { userId });
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error removing two-factor authentication:', error);
+      throw new DatabaseError('Failed to remove two-factor authentication');
+    }
+  }
+
+  // Let an admin require (or stop requiring) 2FA for a user
+  async setRequired(userId, required) {
+    const user = await this.findUser(userId);
+
+    if (required && !TWO_FACTOR_ROLES.includes(user.role)) {
+      throw new AppError('Two-factor authentication can only be required for organizer and admin accounts', 400);
+    }
+
+    await this.usersCollection.updateOne(
+      { _id: user._id },
+      { $set: { twoFactorRequired: Boolean(required), updatedAt: new Date() } }
+    );
+
+    logger.info('Two-factor requirement changed', { userId, required: Boolean(required) });
+  }
+}
+
+module.exports = new TwoFactorService();
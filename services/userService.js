@@ -1,8 +1,16 @@
 const { ObjectId } = require('mongodb');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const database = require('../utils/database');
-const { AppError, DatabaseError } = require('../utils/errorHandler');
+const loginThrottle = require('./loginThrottleService');
+const twoFactorService = require('./twoFactorService');
+const apiKeyService = require('./apiKeyService');
+const auditService = require('./auditService');
+const eventService = require('./eventService');
+const templateService = require('./templateService');
+const { sendPasswordResetEmail, sendVerificationEmail, sendAccountLockedEmail } = require('../utils/email');
+const { AppError, AccountLockedError, AccountSuspendedError, DatabaseError } = require('../utils/errorHandler');
 const winston = require('winston');
 
 // Create a logger instance
@@ -26,18 +34,101 @@ if (process.env.NODE_ENV !== 'production') {
   }));
 }
 
-// Secret key for JWT (should be in environment variables in production)
+// Secret key for JWT; the development fallback must never be used in production
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('JWT_SECRET must be set in production');
+}
 const JWT_SECRET = process.env.JWT_SECRET || 'campus_event_hub_secret_key';
 const SALT_ROUNDS = 10;
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = 30;
+// A just-rotated refresh token may still arrive from a parallel request; don't treat that as theft
+const REFRESH_REUSE_GRACE_SECONDS = 30;
+// Time allowed between the password step and the 2FA code step of a login
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60;
+const USER_ROLES = ['student', 'organizer', 'admin'];
+const USER_STATUSES = ['active', 'suspended'];
+const MIN_PASSWORD_LENGTH = 6;
+const THEMES = ['light', 'dark', 'auto'];
+// Applied when a user has never saved their preferences
+const DEFAULT_PREFERENCES = {
+  emailNotifications: true,
+  pushNotifications: false,
+  theme: 'auto'
+};
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Strip the password hash and 2FA secrets before a user document leaves the service
+const withoutSecrets = ({ password, twoFactor, ...user }) => ({
+  ...user,
+  twoFactorEnabled: Boolean(twoFactor && twoFactor.enabled)
+});
+
+// Changing and resetting a password apply the same minimum length
+function validateNewPassword(password) {
+  if (String(password).length < MIN_PASSWORD_LENGTH) {
+    throw new AppError(`New password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+  }
+}
+
+// Escape user input for use inside a regular expression
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const APP_URL = process.env.APP_URL || `http://localhost:${process.env.PORT || 3002}`;
+const RESET_TOKEN_TTL_MINUTES = 60;
+const VERIFICATION_TOKEN_TTL_MINUTES = 24 * 60;
+
+// One-time tokens are stored as SHA-256 digests so a database leak doesn't expose usable links
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a single-use token for a user, revoking any earlier unused ones so only the latest link works.
+// fields are stored on the token record, e.g. the address an email change is waiting for.
+async function issueOneTimeToken(collection, userId, ttlMinutes, fields = {}) {
+  await collection.updateMany(
+    { userId, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await collection.insertOne({
+    ...fields,
+    userId,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+    usedAt: null,
+    createdAt: new Date()
+  });
+
+  return token;
+}
+
+// Atomically mark a token as used so it can only be redeemed once; returns null if invalid or expired
+async function claimOneTimeToken(collection, token) {
+  const result = await collection.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } }
+  );
+
+  return result.value;
+}
 
 class UserService {
   constructor() {
     this.usersCollection = null;
+    this.passwordResetsCollection = null;
+    this.emailVerificationsCollection = null;
+    this.sessionsCollection = null;
   }
 
   async initialize() {
     try {
       this.usersCollection = database.getCollection('users');
+      this.passwordResetsCollection = database.getCollection('password_resets');
+      this.emailVerificationsCollection = database.getCollection('email_verifications');
+      this.sessionsCollection = database.getCollection('sessions');
       logger.info('UserService initialized successfully');
     } catch (error) {
       logger.error('Error initializing UserService:', error);
@@ -67,6 +158,9 @@ class UserService {
         password: hashedPassword,
         role: userData.role || 'student',
         studentId: userData.role === 'student' ? userData.studentId : null,
+        status: 'active',
+        emailVerified: false,
+        tokenVersion: 0,
         createdAt: new Date(),
         updatedAt: new Date()
       };
@@ -79,6 +173,9 @@ class UserService {
       
       logger.info('User registered successfully', { userId: result.insertedId, email: user.email });
       
+      // Ask the owner of the address to confirm it
+      await this.sendVerification({ ...user, _id: result.insertedId });
+      
       return { ...userWithoutPassword, _id: result.insertedId };
     } catch (error) {
       if (error instanceof AppError) throw error;
@@ -87,42 +184,48 @@ class UserService {
     }
   }
 
-  // Login user
-  async login(email, password) {
+  // Login user; meta carries the client's ip and userAgent for the session record
+  async login(email, password, meta = {}) {
     try {
+      // Refuse early while the account or IP is locked or backing off
+      await loginThrottle.checkAllowed(email, meta.ip);
+      
       // Find user by email
       const user = await this.usersCollection.findOne({ email });
       
-      if (!user) {
+      // Check password; accounts created through single sign-on have none
+      const isPasswordValid = user && user.password ? await bcrypt.compare(password, user.password) : false;
+      
+      if (!isPasswordValid) {
+        await this.handleFailedLogin(email, user, meta);
         throw new AppError('Invalid credentials', 401);
       }
       
-      // Check password
-      const isPasswordValid = await bcrypt.compare(password, user.password);
+      await loginThrottle.recordSuccess(email);
       
-      if (!isPasswordValid) {
-        throw new AppError('Invalid credentials', 401);
+      if (user.status === 'suspended') {
+        throw new AccountSuspendedError('This account has been suspended. Please contact an administrator.');
       }
       
-      // Generate JWT token
-      const token = jwt.sign(
-        { 
-          id: user._id, 
-          email: user.email, 
-          role: user.role 
-        },
-        JWT_SECRET,
-        { expiresIn: '24h' }
-      );
+      // With 2FA enabled the password only earns a short-lived challenge; tokens come after the code
+      if (twoFactorService.isEnabled(user)) {
+        logger.info('Password accepted, awaiting two-factor code', { userId: user._id });
+        
+        return {
+          twoFactorRequired: true,
+          challengeToken: this.generateTwoFactorChallenge(user),
+          expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS
+        };
+      }
       
-      // Remove password from response
-      const { password: _, ...userWithoutPassword } = user;
+      // Start a session and issue its tokens
+      const tokens = await this.createSession(user, meta);
       
       logger.info('User logged in successfully', { userId: user._id, email: user.email });
       
       return {
-        token,
-        user: userWithoutPassword
+        ...tokens,
+        user: withoutSecrets(user)
       };
     } catch (error) {
       if (error instanceof AppError) throw error;
@@ -131,6 +234,195 @@ class UserService {
     }
   }
 
+  // Log in with a profile mapped from OpenID Connect claims, creating the account on first login.
+  // Student ID follows the identity provider whenever its claims supply one. A mapped role only
+  // ever promotes an existing account, so a role given in the app isn't lost on the next login.
+  async loginWithOidc(profile, meta = {}) {
+    try {
+      let user = await this.usersCollection.findOne({
+        'oidc.issuer': profile.issuer,
+        'oidc.subject': profile.subject
+      });
+
+      if (!user) {
+        const existingUser = await this.usersCollection.findOne({
+          email: { $regex: `^${escapeRegex(profile.email)}$`, $options: 'i' }
+        });
+
+        if (existingUser && !profile.emailVerified) {
+          // Only link when the provider vouches for the address, or anyone could claim an account
+          throw new AppError('An account with this email already exists. Log in with your password instead.', 409);
+        }
+
+        if (existingUser) {
+          await this.usersCollection.updateOne(
+            { _id: existingUser._id },
+            { $set: { oidc: { issuer: profile.issuer, subject: profile.subject }, updatedAt: new Date() } }
+          );
+          user = { ...existingUser, oidc: { issuer: profile.issuer, subject: profile.subject } };
+          logger.info('Linked existing account to single sign-on', { userId: user._id });
+        }
+      }
+
+      if (!user) {
+        const newUser = {
+          name: profile.name,
+          email: profile.email,
+          password: null,
+          role: profile.role || profile.defaultRole || 'student',
+          studentId: profile.studentId || null,
+          status: 'active',
+          emailVerified: profile.emailVerified,
+          tokenVersion: 0,
+          oidc: { issuer: profile.issuer, subject: profile.subject },
+          createdAt: new Date(),
+          updatedAt: new Date()
+        };
+
+        const result = await this.usersCollection.insertOne(newUser);
+        user = { ...newUser, _id: result.insertedId };
+        logger.info('User provisioned from single sign-on', { userId: user._id, email: user.email, role: user.role });
+      } else {
+        const updates = {};
+        if (profile.role && USER_ROLES.indexOf(profile.role) > USER_ROLES.indexOf(user.role)) {
+          updates.role = profile.role;
+        }
+        if (profile.studentId && profile.studentId !== user.studentId) {
+          updates.studentId = profile.studentId;
+        }
+        if (profile.emailVerified && user.emailVerified === false) {
+          updates.emailVerified = true;
+        }
+
+        if (Object.keys(updates).length > 0) {
+          const previousRole = user.role;
+          await this.updateUser(user._id.toString(), updates);
+          if (updates.role) {
+            await auditService.record({ ip: meta.ip }, {
+              action: 'user.role_change',
+              target: { type: 'user', id: user._id, label: user.email },
+              before: { role: previousRole },
+              after: { role: updates.role },
+              details: { source: 'oidc', issuer: profile.issuer }
+            });
+            logger.info('User role changed by single sign-on', { userId: user._id, role: updates.role });
+          }
+          user = { ...user, ...updates };
+        }
+      }
+
+      if (user.status === 'suspended') {
+        throw new AccountSuspendedError('This account has been suspended. Please contact an administrator.');
+      }
+
+      // Local 2FA still applies on top of the identity provider
+      if (twoFactorService.isEnabled(user)) {
+        return {
+          twoFactorRequired: true,
+          challengeToken: this.generateTwoFactorChallenge(user),
+          expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS
+        };
+      }
+
+      const tokens = await this.createSession(user, meta);
+
+      logger.info('User logged in with single sign-on', { userId: user._id, email: user.email });
+
+      return {
+        ...tokens,
+        user: withoutSecrets(user)
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error logging in with single sign-on:', error);
+      throw new DatabaseError('Failed to login user');
+    }
+  }
+
+  // Second login step: exchange the challenge from login() and an authenticator or recovery code for tokens
+  async completeTwoFactorLogin(challengeToken, code, meta = {}) {
+    try {
+      let challenge;
+      try {
+        challenge = jwt.verify(challengeToken, JWT_SECRET);
+      } catch (error) {
+        throw new AppError('Your login attempt has expired. Please log in again.', 401);
+      }
+
+      if (challenge.purpose !== '2fa_login' || !ObjectId.isValid(challenge.id)) {
+        throw new AppError('Your login attempt has expired. Please log in again.', 401);
+      }
+
+      const user = await this.usersCollection.findOne({ _id: new ObjectId(challenge.id) });
+
+      // A password reset since the first step invalidates the challenge
+      if (!user || (user.tokenVersion || 0) !== (challenge.tokenVersion || 0)) {
+        throw new AppError('Your login attempt has expired. Please log in again.', 401);
+      }
+
+      // Wrong codes count towards the same lockout as wrong passwords
+      await loginThrottle.checkAllowed(user.email, meta.ip);
+
+      if (user.status === 'suspended') {
+        throw new AccountSuspendedError('This account has been suspended. Please contact an administrator.');
+      }
+
+      const result = await twoFactorService.verifyCode(user, code);
+
+      if (!result.verified) {
+        await this.handleFailedLogin(user.email, user, meta);
+        throw new AppError('Invalid authentication code', 401);
+      }
+
+      await loginThrottle.recordSuccess(user.email);
+
+      const tokens = await this.createSession(user, meta);
+
+      logger.info('User logged in successfully', { userId: user._id, email: user.email, twoFactorMethod: result.method });
+
+      return {
+        ...tokens,
+        user: withoutSecrets(user),
+        recoveryCodesRemaining: result.method === 'recovery' ? result.recoveryCodesRemaining : undefined
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error completing two-factor login:', error);
+      throw new DatabaseError('Failed to login user');
+    }
+  }
+
+  // Short-lived token proving the password step succeeded; it carries no session and can't be used as an access token
+  generateTwoFactorChallenge(user) {
+    return jwt.sign(
+      { id: user._id, purpose: '2fa_login', tokenVersion: user.tokenVersion || 0 },
+      JWT_SECRET,
+      { expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS }
+    );
+  }
+
+  // Count a failed login, notifying the account owner if it triggered a lockout
+  async handleFailedLogin(email, user, meta = {}) {
+    const { accountLocked, lockedUntil } = await loginThrottle.recordFailure(email, meta.ip);
+
+    if (!accountLocked) {
+      return;
+    }
+
+    if (user) {
+      try {
+        await sendAccountLockedEmail(user.email, lockedUntil, meta.ip);
+      } catch (emailError) {
+        logger.error('Error sending account locked email:', emailError);
+      }
+    }
+
+    throw new AccountLockedError(
+      'This account is temporarily locked after too many failed login attempts. Try again later or reset your password.',
+      Math.ceil((lockedUntil - Date.now()) / 1000)
+    );
+  }
+
   // Get user by ID
   async getUserById(userId) {
     try {
@@ -147,10 +439,8 @@ class UserService {
         throw new AppError('User not found', 404);
       }
       
-      // Remove password from response
-      const { password, ...userWithoutPassword } = user;
-      
-      return userWithoutPassword;
+      // Remove password and 2FA secrets from response
+      return withoutSecrets(user);
     } catch (error) {
       if (error instanceof AppError) throw error;
       logger.error('Error fetching user:', error);
@@ -167,10 +457,8 @@ class UserService {
         throw new AppError('User not found', 404);
       }
       
-      // Remove password from response
-      const { password, ...userWithoutPassword } = user;
-      
-      return userWithoutPassword;
+      // Remove password and 2FA secrets from response
+      return withoutSecrets(user);
     } catch (error) {
       if (error instanceof AppError) throw error;
       logger.error('Error fetching user by email:', error);
@@ -209,25 +497,233 @@ class UserService {
     }
   }
 
-  // Delete user
-  async deleteUser(userId) {
+  // Update the user's name and email; a new email address has to be verified again
+  async updateProfile(userId, { name, email }) {
+    try {
+      const trimmedName = String(name || '').trim();
+      const trimmedEmail = String(email || '').trim();
+
+      // Validate input
+      if (!trimmedName || !trimmedEmail) {
+        throw new AppError('Name and email are required', 400);
+      }
+
+      if (!EMAIL_PATTERN.test(trimmedEmail)) {
+        throw new AppError('Please enter a valid email address', 400);
+      }
+
+      const user = await this.getUserById(userId);
+      const emailChanged = trimmedEmail !== user.email && trimmedEmail !== user.pendingEmail;
+      // Entering the current address again cancels a pending change
+      const updateData = { name: trimmedName, pendingEmail: trimmedEmail === user.email ? null : (user.pendingEmail || null) };
+
+      if (emailChanged) {
+        const existingUser = await this.usersCollection.findOne({ email: trimmedEmail });
+        if (existingUser) {
+          throw new AppError('User with this email already exists', 409);
+        }
+
+        // The account keeps its current address until the new one is confirmed with verifyEmail()
+        updateData.pendingEmail = trimmedEmail;
+      }
+
+      await this.updateUser(userId, updateData);
+
+      if (emailChanged) {
+        await this.sendVerification(user, trimmedEmail);
+        logger.info('User email change requested', { userId, from: user.email, to: trimmedEmail });
+      }
+
+      return { ...user, ...updateData, emailChanged };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error updating profile:', error);
+      throw new DatabaseError('Failed to update profile');
+    }
+  }
+
+  // Save notification and display preferences
+  async updatePreferences(userId, preferences) {
+    const update = {};
+
+    if (preferences.emailNotifications !== undefined) {
+      update['preferences.emailNotifications'] = preferences.emailNotifications === true || preferences.emailNotifications === 'true';
+    }
+
+    if (preferences.pushNotifications !== undefined) {
+      update['preferences.pushNotifications'] = preferences.pushNotifications === true || preferences.pushNotifications === 'true';
+    }
+
+    if (preferences.theme !== undefined) {
+      if (!THEMES.includes(preferences.theme)) {
+        throw new AppError(`Invalid theme. Must be one of: ${THEMES.join(', ')}`, 400);
+      }
+      update['preferences.theme'] = preferences.theme;
+    }
+
+    if (Object.keys(update).length === 0) {
+      throw new AppError('No preferences to update', 400);
+    }
+
+    await this.updateUser(userId, update);
+
+    const user = await this.getUserById(userId);
+    return this.getPreferences(user);
+  }
+
+  // A user's preferences with defaults filled in
+  getPreferences(user) {
+    return { ...DEFAULT_PREFERENCES, ...((user && user.preferences) || {}) };
+  }
+
+  // Change the password after confirming the current one; other sessions are signed out
+  async changePassword(userId, currentPassword, newPassword, currentSessionId) {
+    try {
+      // Validate ObjectId
+      if (!ObjectId.isValid(userId)) {
+        throw new AppError('Invalid user ID', 400);
+      }
+
+      if (!currentPassword || !newPassword) {
+        throw new AppError('Current and new password are required', 400);
+      }
+
+      validateNewPassword(newPassword);
+
+      const user = await this.usersCollection.findOne({ _id: new ObjectId(userId) });
+
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+
+      if (!user.password) {
+        throw new AppError('This account signs in with single sign-on and has no password to change', 400);
+      }
+
+      const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
+      if (!isPasswordValid) {
+        throw new AppError('Current password is incorrect', 400);
+      }
+
+      const hashedPassword = await bcrypt.hash(newPassword, SALT_ROUNDS);
+
+      await this.usersCollection.updateOne(
+        { _id: user._id },
+        { $set: { password: hashedPassword, updatedAt: new Date() } }
+      );
+
+      // Keep the session that made the change, end every other one
+      const query = { userId: user._id, revokedAt: null };
+      if (currentSessionId && ObjectId.isValid(currentSessionId)) {
+        query._id = { $ne: new ObjectId(currentSessionId) };
+      }
+      const result = await this.sessionsCollection.updateMany(query, { $set: { revokedAt: new Date() } });
+
+      logger.info('Password changed', { userId, sessionsRevoked: result.modifiedCount });
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error changing password:', error);
+      throw new DatabaseError('Failed to change password');
+    }
+  }
+
+  // Change a user's role
+  async updateUserRole(userId, role, context) {
+    if (!USER_ROLES.includes(role)) {
+      throw new AppError(`Invalid role. Must be one of: ${USER_ROLES.join(', ')}`, 400);
+    }
+
+    const before = await this.getUserById(userId);
+    const result = await this.updateUser(userId, { role });
+
+    await auditService.record(context, {
+      action: 'user.role_change',
+      target: { type: 'user', id: userId, label: before.email },
+      before: { role: before.role },
+      after: { role }
+    });
+
+    logger.info('User role changed', { userId, role });
+    return result;
+  }
+
+  // Suspend or reactivate a user; suspending also ends all of their sessions
+  async setUserStatus(userId, status, context) {
+    if (!USER_STATUSES.includes(status)) {
+      throw new AppError(`Invalid status. Must be one of: ${USER_STATUSES.join(', ')}`, 400);
+    }
+
+    const before = await this.getUserById(userId);
+    const result = await this.updateUser(userId, {
+      status,
+      suspendedAt: status === 'suspended' ? new Date() : null
+    });
+
+    if (status === 'suspended') {
+      await this.revokeAllSessions(userId);
+    }
+
+    await auditService.record(context, {
+      action: status === 'suspended' ? 'user.suspend' : 'user.reactivate',
+      target: { type: 'user', id: userId, label: before.email },
+      before: { status: before.status || 'active' },
+      after: { status }
+    });
+
+    logger.info('User status changed', { userId, status });
+    return result;
+  }
+
+  // Delete user. Events they created are archived, or reassigned to options.reassignTo (an organizer/admin email).
+  // options.erasure marks a deletion made for a data erasure request.
+  async deleteUser(userId, options = {}, context) {
     try {
       // Validate ObjectId
       if (!ObjectId.isValid(userId)) {
         throw new AppError('Invalid user ID', 400);
       }
       
-      const result = await this.usersCollection.deleteOne({ 
-        _id: new ObjectId(userId) 
-      });
+      const user = await this.usersCollection.findOne({ _id: new ObjectId(userId) });
       
-      if (result.deletedCount === 0) {
+      if (!user) {
         throw new AppError('User not found', 404);
       }
       
-      logger.info('User deleted successfully', { userId });
+      // Don't leave the user's events without an owner
+      let eventsReassigned = 0;
+      let eventsArchived = 0;
+      if (options.reassignTo) {
+        const newOwner = await this.usersCollection.findOne({ email: options.reassignTo });
+        
+        if (!newOwner || !['organizer', 'admin'].includes(newOwner.role) || newOwner._id.equals(user._id)) {
+          throw new AppError('Events can only be reassigned to another organizer or admin', 400);
+        }
+        
+        eventsReassigned = await eventService.reassignEventsByCreator(user.email, newOwner.email);
+        await templateService.reassignTemplatesByCreator(user.email, newOwner.email);
+      } else {
+        eventsArchived = await eventService.archiveEventsByCreator(user.email);
+        await templateService.deleteTemplatesByCreator(user.email);
+      }
       
-      return result;
+      const result = await this.usersCollection.deleteOne({ 
+        _id: user._id 
+      });
+      
+      await this.revokeAllSessions(userId);
+      await apiKeyService.revokeAllKeys(userId);
+      
+      // A data erasure must not leave a copy of the account behind in the audit log
+      await auditService.record(context, {
+        action: 'user.delete',
+        target: { type: 'user', id: userId, label: options.erasure ? null : user.email },
+        before: options.erasure ? null : user,
+        details: { eventsReassigned, eventsArchived, reassignTo: options.reassignTo || null }
+      });
+      
+      logger.info('User deleted successfully', { userId, eventsReassigned, eventsArchived });
+      
+      return { deletedCount: result.deletedCount, eventsReassigned, eventsArchived };
     } catch (error) {
       if (error instanceof AppError) throw error;
       logger.error('Error deleting user:', error);
@@ -245,27 +741,434 @@ class UserService {
         query.role = filters.role;
       }
       
-      const users = await this.usersCollection.find(query).toArray();
+      if (filters.status === 'suspended') {
+        query.status = 'suspended';
+      } else if (filters.status === 'active') {
+        // Accounts created before statuses existed count as active
+        query.status = { $ne: 'suspended' };
+      }
       
-      // Remove passwords from response
-      return users.map(user => {
-        const { password, ...userWithoutPassword } = user;
-        return userWithoutPassword;
-      });
+      if (filters.search) {
+        const pattern = escapeRegex(filters.search);
+        query.$or = [
+          { name: { $regex: pattern, $options: 'i' } },
+          { email: { $regex: pattern, $options: 'i' } },
+          { studentId: { $regex: pattern, $options: 'i' } }
+        ];
+      }
+      
+      const users = await this.usersCollection.find(query).sort({ createdAt: -1 }).toArray();
+      
+      // Remove passwords and 2FA secrets from response
+      return users.map(withoutSecrets);
     } catch (error) {
       logger.error('Error fetching users:', error);
       throw new DatabaseError('Failed to fetch users');
     }
   }
 
+  // Generate a short-lived access JWT for the given user and session
+  generateToken(user, sessionId) {
+    return jwt.sign(
+      { 
+        id: user._id, 
+        email: user.email, 
+        name: user.name,
+        role: user.role,
+        tokenVersion: user.tokenVersion || 0,
+        sid: sessionId.toString()
+      },
+      JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+    );
+  }
+
+  // Start a new session and return its access and refresh tokens
+  async createSession(user, meta = {}) {
+    try {
+      const refreshToken = crypto.randomBytes(32).toString('hex');
+      const now = new Date();
+      const session = {
+        userId: user._id,
+        refreshTokenHash: hashToken(refreshToken),
+        previousRefreshTokenHash: null,
+        rotatedAt: null,
+        ip: meta.ip || null,
+        userAgent: meta.userAgent || null,
+        createdAt: now,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+        revokedAt: null
+      };
+
+      const result = await this.sessionsCollection.insertOne(session);
+
+      return {
+        token: this.generateToken(user, result.insertedId),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS
+      };
+    } catch (error) {
+      logger.error('Error creating session:', error);
+      throw new DatabaseError('Failed to create session');
+    }
+  }
+
+  // Exchange a refresh token for a new access token and a rotated refresh token
+  async refreshSession(refreshToken, meta = {}) {
+    try {
+      const tokenHash = hashToken(refreshToken);
+      const newRefreshToken = crypto.randomBytes(32).toString('hex');
+      const now = new Date();
+
+      // Rotate atomically so the same refresh token can't be redeemed twice
+      const result = await this.sessionsCollection.findOneAndUpdate(
+        { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+          $set: {
+            refreshTokenHash: hashToken(newRefreshToken),
+            previousRefreshTokenHash: tokenHash,
+            rotatedAt: now,
+            lastUsedAt: now,
+            ip: meta.ip || null,
+            userAgent: meta.userAgent || null
+          }
+        },
+        { returnDocument: 'after' }
+      );
+      const session = result.value;
+
+      if (!session) {
+        // An already-rotated token showing up again means it may have been stolen
+        const rotatedSession = await this.sessionsCollection.findOne({ previousRefreshTokenHash: tokenHash });
+        const withinGrace = rotatedSession && rotatedSession.rotatedAt &&
+          now - rotatedSession.rotatedAt < REFRESH_REUSE_GRACE_SECONDS * 1000;
+
+        if (rotatedSession && !withinGrace && !rotatedSession.revokedAt) {
+          await this.revokeSession(rotatedSession._id);
+          logger.warn('Refresh token reuse detected, session revoked', { sessionId: rotatedSession._id, userId: rotatedSession.userId });
+        }
+
+        throw new AppError('Invalid or expired refresh token', 401);
+      }
+
+      const user = await this.usersCollection.findOne({ _id: session.userId });
+
+      if (!user) {
+        await this.revokeSession(session._id);
+        throw new AppError('Invalid or expired refresh token', 401);
+      }
+
+      return {
+        token: this.generateToken(user, session._id),
+        refreshToken: newRefreshToken,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+        user: withoutSecrets(user)
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error refreshing session:', error);
+      throw new DatabaseError('Failed to refresh session');
+    }
+  }
+
+  // Revoke a single session
+  async revokeSession(sessionId) {
+    try {
+      if (!ObjectId.isValid(sessionId)) {
+        throw new AppError('Invalid session ID', 400);
+      }
+
+      await this.sessionsCollection.updateOne(
+        { _id: new ObjectId(sessionId), revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      );
+
+      logger.info('Session revoked', { sessionId });
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error revoking session:', error);
+      throw new DatabaseError('Failed to revoke session');
+    }
+  }
+
+  // Revoke the session a refresh token belongs to
+  async revokeSessionByRefreshToken(refreshToken) {
+    try {
+      const result = await this.sessionsCollection.updateOne(
+        { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      );
+
+      logger.info('Session revoked by refresh token', { revoked: result.modifiedCount });
+    } catch (error) {
+      logger.error('Error revoking session:', error);
+      throw new DatabaseError('Failed to revoke session');
+    }
+  }
+
+  // Revoke every session of a user ("log out everywhere")
+  async revokeAllSessions(userId) {
+    try {
+      if (!ObjectId.isValid(userId)) {
+        throw new AppError('Invalid user ID', 400);
+      }
+
+      const result = await this.sessionsCollection.updateMany(
+        { userId: new ObjectId(userId), revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      );
+
+      logger.info('All sessions revoked', { userId, count: result.modifiedCount });
+      return result.modifiedCount;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error revoking sessions:', error);
+      throw new DatabaseError('Failed to revoke sessions');
+    }
+  }
+
   // Verify JWT token
   async verifyToken(token) {
+    let decoded;
     try {
-      const decoded = jwt.verify(token, JWT_SECRET);
-      return decoded;
+      decoded = jwt.verify(token, JWT_SECRET);
     } catch (error) {
       throw new AppError('Invalid or expired token', 401);
     }
+
+    // The token's session must still be active
+    const session = decoded.sid && ObjectId.isValid(decoded.sid)
+      ? await this.sessionsCollection.findOne(
+          { _id: new ObjectId(decoded.sid) },
+          { projection: { revokedAt: 1, expiresAt: 1 } }
+        )
+      : null;
+
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      throw new AppError('Invalid or expired token', 401);
+    }
+
+    // Tokens issued before the last password reset are no longer valid
+    const user = ObjectId.isValid(decoded.id)
+      ? await this.usersCollection.findOne(
+          { _id: new ObjectId(decoded.id) },
+          { projection: { tokenVersion: 1, emailVerified: 1, role: 1, status: 1, name: 1, email: 1, studentId: 1, preferences: 1, 'twoFactor.enabled': 1, twoFactorRequired: 1 } }
+        )
+      : null;
+
+    if (!user || (user.tokenVersion || 0) !== (decoded.tokenVersion || 0) || user.status === 'suspended') {
+      throw new AppError('Invalid or expired token', 401);
+    }
+
+    // Role, profile and verification status come from the database so changes take effect without a new token
+    return {
+      ...decoded,
+      ...this.getAuthDetails(user)
+    };
+  }
+
+  // Authenticate an integration by its API key. The result looks like verifyToken()'s, plus the key's scopes.
+  async verifyApiKey(key, meta = {}) {
+    const apiKey = await apiKeyService.findActiveKey(key, meta);
+
+    const user = apiKey && ObjectId.isValid(apiKey.userId)
+      ? await this.usersCollection.findOne(
+          { _id: new ObjectId(apiKey.userId) },
+          { projection: { emailVerified: 1, role: 1, status: 1, name: 1, email: 1, studentId: 1, preferences: 1, 'twoFactor.enabled': 1, twoFactorRequired: 1 } }
+        )
+      : null;
+
+    // Keys stop working as soon as the owner loses a role that may use them or is suspended
+    if (!user || user.status === 'suspended' || !apiKeyService.canUseApiKeys(user.role)) {
+      throw new AppError('Invalid API key', 401);
+    }
+
+    return {
+      id: user._id.toString(),
+      ...this.getAuthDetails(user),
+      apiKey: { id: apiKey._id.toString(), name: apiKey.name },
+      scopes: apiKey.scopes
+    };
+  }
+
+  // Account details attached to every authenticated request.
+  // Accounts created before verification existed have no flag and count as verified.
+  getAuthDetails(user) {
+    return {
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      studentId: user.studentId || null,
+      emailVerified: user.emailVerified !== false,
+      preferences: this.getPreferences(user),
+      twoFactorEnabled: twoFactorService.isEnabled(user),
+      twoFactorRequired: Boolean(user.twoFactorRequired)
+    };
+  }
+
+  // Start a password reset by emailing a one-time link
+  async requestPasswordReset(email) {
+    try {
+      const user = await this.usersCollection.findOne({ email });
+
+      // Don't reveal whether the account exists
+      if (!user) {
+        logger.info('Password reset requested for unknown email', { email });
+        return;
+      }
+
+      const token = await issueOneTimeToken(this.passwordResetsCollection, user._id, RESET_TOKEN_TTL_MINUTES);
+      const resetUrl = `${APP_URL}/auth/reset-password?token=${token}`;
+      try {
+        await sendPasswordResetEmail(user.email, resetUrl, RESET_TOKEN_TTL_MINUTES);
+      } catch (emailError) {
+        logger.error('Error sending password reset email:', emailError);
+      }
+
+      logger.info('Password reset requested', { userId: user._id });
+    } catch (error) {
+      logger.error('Error requesting password reset:', error);
+      throw new DatabaseError('Failed to request password reset');
+    }
+  }
+
+  // Complete a password reset with a token from requestPasswordReset
+  async resetPassword(token, newPassword) {
+    try {
+      // Checked before the token is claimed so a rejected password doesn't use up the link
+      validateNewPassword(newPassword);
+
+      const resetRecord = await claimOneTimeToken(this.passwordResetsCollection, token);
+
+      if (!resetRecord) {
+        throw new AppError('Password reset link is invalid or has expired', 400);
+      }
+
+      const hashedPassword = await bcrypt.hash(newPassword, SALT_ROUNDS);
+
+      // Bumping the token version invalidates every previously issued JWT
+      const updateResult = await this.usersCollection.updateOne(
+        { _id: resetRecord.userId },
+        {
+          $set: { password: hashedPassword, updatedAt: new Date() },
+          $inc: { tokenVersion: 1 }
+        }
+      );
+
+      if (updateResult.matchedCount === 0) {
+        throw new AppError('User not found', 404);
+      }
+
+      // Whoever knew the old password shouldn't stay signed in
+      await this.revokeAllSessions(resetRecord.userId);
+
+      logger.info('Password reset successfully', { userId: resetRecord.userId });
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error resetting password:', error);
+      throw new DatabaseError('Failed to reset password');
+    }
+  }
+
+  // Email a verification link to a newly registered user, or to the new address of an email change
+  async sendVerification(user, pendingEmail = null) {
+    try {
+      const token = await issueOneTimeToken(this.emailVerificationsCollection, user._id, VERIFICATION_TOKEN_TTL_MINUTES,
+        pendingEmail ? { pendingEmail } : {});
+      const verifyUrl = `${APP_URL}/auth/verify-email?token=${token}`;
+      await sendVerificationEmail(pendingEmail || user.email, user.name, verifyUrl);
+      logger.info('Verification email sent', { userId: user._id });
+    } catch (error) {
+      // Registration still succeeds; the user can ask for a new link
+      logger.error('Error sending verification email:', error);
+    }
+  }
+
+  // Send a fresh verification link if the account is still unverified
+  async resendVerification(email) {
+    try {
+      const user = await this.usersCollection.findOne({ email });
+
+      // Don't reveal whether the account exists or is already verified
+      if (!user) {
+        logger.info('Verification resend requested for unknown email', { email });
+        return;
+      }
+
+      if (user.emailVerified !== false) {
+        logger.info('Verification resend requested for verified email', { userId: user._id });
+        return;
+      }
+
+      await this.sendVerification(user);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error resending verification email:', error);
+      throw new DatabaseError('Failed to resend verification email');
+    }
+  }
+
+  // Confirm an email address with a token from sendVerification. A token for an email change
+  // switches the account to the new address; returns { emailChanged, email } for the confirmation page.
+  async verifyEmail(token) {
+    try {
+      const verificationRecord = await claimOneTimeToken(this.emailVerificationsCollection, token);
+
+      if (!verificationRecord) {
+        throw new AppError('Verification link is invalid or has expired', 400);
+      }
+
+      if (verificationRecord.pendingEmail) {
+        return await this.confirmEmailChange(verificationRecord.userId, verificationRecord.pendingEmail);
+      }
+
+      const result = await this.usersCollection.updateOne(
+        { _id: verificationRecord.userId },
+        { $set: { emailVerified: true, emailVerifiedAt: new Date(), updatedAt: new Date() } }
+      );
+
+      if (result.matchedCount === 0) {
+        throw new AppError('User not found', 404);
+      }
+
+      logger.info('Email verified successfully', { userId: verificationRecord.userId });
+      return { emailChanged: false, email: null };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error verifying email:', error);
+      throw new DatabaseError('Failed to verify email');
+    }
+  }
+
+  // Switch an account to the address its email change link was sent to, and carry over
+  // the events, templates and registrations that are keyed by the old address
+  async confirmEmailChange(userId, newEmail) {
+    const user = await this.usersCollection.findOne({ _id: userId });
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    // A later change or a cancellation supersedes this link
+    if (user.pendingEmail !== newEmail) {
+      throw new AppError('Verification link is invalid or has expired', 400);
+    }
+
+    // Someone may have registered the address since the change was requested
+    const existingUser = await this.usersCollection.findOne({ email: newEmail });
+    if (existingUser) {
+      throw new AppError('User with this email already exists', 409);
+    }
+
+    const oldEmail = user.email;
+    await this.updateUser(userId.toString(), { email: newEmail, pendingEmail: null, emailVerified: true, emailVerifiedAt: new Date() });
+
+    await eventService.reassignEventsByCreator(oldEmail, newEmail);
+    await templateService.reassignTemplatesByCreator(oldEmail, newEmail);
+    await eventService.updateRegistrationEmail(oldEmail, newEmail);
+
+    logger.info('User email changed', { userId, from: oldEmail, to: newEmail });
+    return { emailChanged: true, email: newEmail };
   }
 }
 
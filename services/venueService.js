@@ -0,0 +1,396 @@
+const { ObjectId } = require('mongodb');
+const database = require('../utils/database');
+const auditService = require('./auditService');
+const { AppError, DatabaseError } = require('../utils/errorHandler');
+const { toInstant, localParts } = require('../utils/datetime');
+const { shiftDate } = require('../utils/recurrence');
+const winston = require('winston');
+
+// Create a logger instance
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'venue-service' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/event-service.log' })
+  ]
+});
+
+// If we're not in production, also log to the console
+if (process.env.NODE_ENV !== 'production') {
+  logger.add(new winston.transports.Console({
+    format: winston.format.simple()
+  }));
+}
+
+// Accessibility attributes a room can have, with their labels
+const ACCESSIBILITY_FEATURES = {
+  'step-free': 'Step-free access',
+  'lift': 'Lift',
+  'hearing-loop': 'Hearing loop',
+  'accessible-toilet': 'Accessible toilet',
+  'wheelchair-seating': 'Wheelchair seating'
+};
+// Events that hold their room; cancelled events free it
+const BOOKING_STATUSES = ['draft', 'published', 'completed'];
+
+// Events hold their room from startsAt to endsAt (see utils/datetime)
+function overlaps(a, b) {
+  return new Date(a.startsAt) < new Date(b.endsAt) && new Date(b.startsAt) < new Date(a.endsAt);
+}
+
+function validateText(value, field, maxLength, required = true) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if ((required && !text) || text.length > maxLength) {
+    throw new AppError(`${field} ${required ? 'is required and ' : ''}must be at most ${maxLength} characters`, 400);
+  }
+  return text;
+}
+
+// Room fields from a form or API body
+function parseRoom(data, existing = {}) {
+  const room = {
+    name: data.name !== undefined ? validateText(data.name, 'Room name', 80) : existing.name,
+    capacity: existing.capacity ?? null,
+    accessibility: existing.accessibility || []
+  };
+
+  if (data.capacity !== undefined) {
+    const capacity = data.capacity === null || data.capacity === '' ? null : Number(data.capacity);
+    if (capacity !== null && (!Number.isInteger(capacity) || capacity < 1)) {
+      throw new AppError('Room capacity must be a whole number of at least 1, or empty if unknown', 400);
+    }
+    room.capacity = capacity;
+  }
+
+  if (data.accessibility !== undefined) {
+    const features = [...new Set([].concat(data.accessibility || []).flatMap(feature => String(feature).split(',')).map(feature => feature.trim()).filter(Boolean))];
+    const unknown = features.filter(feature => !ACCESSIBILITY_FEATURES[feature]);
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown accessibility features: ${unknown.join(', ')}`, 400);
+    }
+    room.accessibility = features;
+  }
+
+  if (!room.name) {
+    throw new AppError('Room name is required', 400);
+  }
+
+  return room;
+}
+
+class VenueService {
+  constructor() {
+    this.venuesCollection = null;
+    this.eventsCollection = null;
+  }
+
+  async initialize() {
+    try {
+      this.venuesCollection = database.getCollection('venues');
+      this.eventsCollection = database.getCollection('events');
+      logger.info('VenueService initialized successfully');
+    } catch (error) {
+      logger.error('Error initializing VenueService:', error);
+      throw new DatabaseError('Failed to initialize VenueService');
+    }
+  }
+
+  getAccessibilityFeatures() {
+    return ACCESSIBILITY_FEATURES;
+  }
+
+  // All venues with their rooms, by name
+  async getVenues() {
+    try {
+      return await this.venuesCollection.find({}).sort({ name: 1 }).toArray();
+    } catch (error) {
+      logger.error('Error fetching venues:', error);
+      throw new DatabaseError('Failed to fetch venues');
+    }
+  }
+
+  async getVenue(venueId) {
+    try {
+      if (!ObjectId.isValid(venueId)) {
+        throw new AppError('Invalid venue ID', 400);
+      }
+
+      const venue = await this.venuesCollection.findOne({ _id: new ObjectId(venueId) });
+      if (!venue) {
+        throw new AppError('Venue not found', 404);
+      }
+
+      return venue;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error fetching venue:', error);
+      throw new DatabaseError('Failed to fetch venue');
+    }
+  }
+
+  // The room with the venue it belongs to, or a 400 if there is no such room
+  async getRoom(roomId) {
+    try {
+      if (!ObjectId.isValid(roomId)) {
+        throw new AppError('Unknown room', 400);
+      }
+
+      const venue = await this.venuesCollection.findOne({ 'rooms._id': new ObjectId(roomId) });
+      if (!venue) {
+        throw new AppError('Unknown room', 400);
+      }
+
+      return { venue, room: venue.rooms.find(room => room._id.toString() === String(roomId)) };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error fetching room:', error);
+      throw new DatabaseError('Failed to fetch room');
+    }
+  }
+
+  async createVenue(data, context) {
+    try {
+      const venue = {
+        name: validateText(data.name, 'Venue name', 100),
+        address: validateText(data.address, 'Address', 200, false),
+        rooms: [],
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+
+      const result = await this.venuesCollection.insertOne(venue);
+
+      await auditService.record(context, {
+        action: 'venue.create',
+        target: { type: 'venue', id: result.insertedId, label: venue.name },
+        after: venue
+      });
+
+      logger.info('Venue created', { venueId: result.insertedId });
+      return { ...venue, _id: result.insertedId };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error creating venue:', error);
+      throw new DatabaseError('Failed to create venue');
+    }
+  }
+
+  async updateVenue(venueId, data, context) {
+    try {
+      const venue = await this.getVenue(venueId);
+      const update = { updatedAt: new Date() };
+
+      if (data.name !== undefined) update.name = validateText(data.name, 'Venue name', 100);
+      if (data.address !== undefined) update.address = validateText(data.address, 'Address', 200, false);
+
+      await this.venuesCollection.updateOne({ _id: venue._id }, { $set: update });
+
+      const updatedVenue = { ...venue, ...update };
+      await auditService.record(context, {
+        action: 'venue.update',
+        target: { type: 'venue', id: venueId, label: updatedVenue.name },
+        before: venue,
+        after: updatedVenue
+      });
+
+      logger.info('Venue updated', { venueId });
+      return updatedVenue;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error updating venue:', error);
+      throw new DatabaseError('Failed to update venue');
+    }
+  }
+
+  // A venue can only be deleted once none of its rooms are booked for upcoming events
+  async deleteVenue(venueId, context) {
+    try {
+      const venue = await this.getVenue(venueId);
+      await this.assertNoUpcomingBookings(venue.rooms.map(room => room._id.toString()));
+
+      await this.venuesCollection.deleteOne({ _id: venue._id });
+
+      await auditService.record(context, {
+        action: 'venue.delete',
+        target: { type: 'venue', id: venueId, label: venue.name },
+        before: venue
+      });
+
+      logger.info('Venue deleted', { venueId });
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error deleting venue:', error);
+      throw new DatabaseError('Failed to delete venue');
+    }
+  }
+
+  async addRoom(venueId, data, context) {
+    try {
+      const venue = await this.getVenue(venueId);
+      const room = { _id: new ObjectId(), ...parseRoom(data) };
+
+      await this.venuesCollection.updateOne(
+        { _id: venue._id },
+        { $push: { rooms: room }, $set: { updatedAt: new Date() } }
+      );
+
+      await auditService.record(context, {
+        action: 'room.create',
+        target: { type: 'room', id: room._id, label: `${room.name}, ${venue.name}` },
+        after: room
+      });
+
+      logger.info('Room added', { venueId, roomId: room._id });
+      return room;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error adding room:', error);
+      throw new DatabaseError('Failed to add room');
+    }
+  }
+
+  // Update a room. Events booked in it keep their location text until they are next edited.
+  async updateRoom(venueId, roomId, data, context) {
+    try {
+      const venue = await this.getVenue(venueId);
+      const existing = venue.rooms.find(room => room._id.toString() === String(roomId));
+      if (!existing) {
+        throw new AppError('Room not found', 404);
+      }
+
+      const room = { _id: existing._id, ...parseRoom(data, existing) };
+
+      await this.venuesCollection.updateOne(
+        { _id: venue._id, 'rooms._id': existing._id },
+        { $set: { 'rooms.$': room, updatedAt: new Date() } }
+      );
+
+      await auditService.record(context, {
+        action: 'room.update',
+        target: { type: 'room', id: roomId, label: `${room.name}, ${venue.name}` },
+        before: existing,
+        after: room
+      });
+
+      logger.info('Room updated', { venueId, roomId });
+      return room;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error updating room:', error);
+      throw new DatabaseError('Failed to update room');
+    }
+  }
+
+  async removeRoom(venueId, roomId, context) {
+    try {
+      const venue = await this.getVenue(venueId);
+      const room = venue.rooms.find(candidate => candidate._id.toString() === String(roomId));
+      if (!room) {
+        throw new AppError('Room not found', 404);
+      }
+
+      await this.assertNoUpcomingBookings([room._id.toString()]);
+
+      await this.venuesCollection.updateOne(
+        { _id: venue._id },
+        { $pull: { rooms: { _id: room._id } }, $set: { updatedAt: new Date() } }
+      );
+
+      await auditService.record(context, {
+        action: 'room.delete',
+        target: { type: 'room', id: roomId, label: `${room.name}, ${venue.name}` },
+        before: room
+      });
+
+      logger.info('Room removed', { venueId, roomId });
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error removing room:', error);
+      throw new DatabaseError('Failed to remove room');
+    }
+  }
+
+  async assertNoUpcomingBookings(roomIds) {
+    if (roomIds.length === 0) {
+      return;
+    }
+
+    const booked = await this.eventsCollection.countDocuments({
+      roomId: { $in: roomIds },
+      status: { $in: ['draft', 'published'] },
+      archived: { $ne: true }
+    });
+
+    if (booked > 0) {
+      throw new AppError(`This is booked for ${booked} upcoming event(s). Move or cancel them first.`, 409);
+    }
+  }
+
+  // Other events holding the same room at an overlapping time. event needs startsAt and endsAt,
+  // which may be ISO strings when the event was read from the cache.
+  async findConflicts(event, excludeEventId = null) {
+    try {
+      if (!event.roomId || !event.startsAt || !event.endsAt) {
+        return [];
+      }
+
+      // A string never matches a stored date in $lt/$gt, so the instants must be Dates
+      const query = {
+        roomId: String(event.roomId),
+        startsAt: { $lt: new Date(event.endsAt) },
+        endsAt: { $gt: new Date(event.startsAt) },
+        status: { $in: BOOKING_STATUSES },
+        archived: { $ne: true }
+      };
+      if (excludeEventId) {
+        query._id = { $ne: new ObjectId(excludeEventId) };
+      }
+
+      return await this.eventsCollection.find(query).sort({ startsAt: 1 }).toArray();
+    } catch (error) {
+      logger.error('Error checking room conflicts:', error);
+      throw new DatabaseError('Failed to check room availability');
+    }
+  }
+
+  // Events booked in the venue's rooms between two dates (inclusive, in the campus timezone),
+  // for the availability calendar. Each booking has its date, start and end times in the
+  // campus timezone and whether it overlaps another.
+  async getBookings(venueId, fromDate, toDate) {
+    try {
+      const venue = await this.getVenue(venueId);
+      const roomIds = venue.rooms.map(room => room._id.toString());
+
+      const events = roomIds.length === 0 ? [] : await this.eventsCollection.find({
+        roomId: { $in: roomIds },
+        startsAt: { $gte: toInstant(fromDate, '00:00'), $lt: toInstant(shiftDate(toDate, 1), '00:00') },
+        status: { $in: BOOKING_STATUSES },
+        archived: { $ne: true }
+      }).sort({ startsAt: 1 }).toArray();
+
+      const bookings = events.map(event => {
+        const start = localParts(event.startsAt);
+        return {
+          event,
+          date: start.date,
+          start: start.time,
+          end: localParts(event.endsAt).time,
+          conflict: events.some(other => other !== event && other.roomId === event.roomId && overlaps(event, other))
+        };
+      });
+
+      return { venue, bookings };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error fetching venue bookings:', error);
+      throw new DatabaseError('Failed to fetch venue bookings');
+    }
+  }
+}
+
+module.exports = new VenueService();
@@ -0,0 +1,36 @@
+// API key tests: creating and revoking keys, and their audit log entries
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const apiKeyService = require('./services/apiKeyService');
+const auditService = require('./services/auditService');
+const { useMemoryDatabase } = require('./test-support');
+
+const organizer = { id: 'u1', email: 'grace@campus.test', role: 'organizer' };
+const context = { actor: { id: organizer.id, email: organizer.email, role: 'organizer' }, ip: '203.0.113.7' };
+
+let db;
+
+beforeEach(async () => {
+  db = useMemoryDatabase();
+  await apiKeyService.initialize();
+  await auditService.initialize();
+});
+
+test('creating and revoking a key are recorded in the audit log without the key', async () => {
+  const { key, apiKey } = await apiKeyService.createKey(organizer, { name: 'Timetable sync', scopes: ['events:read'] }, context);
+  assert.ok(await apiKeyService.findActiveKey(key));
+
+  await apiKeyService.revokeKey(organizer.id, apiKey._id.toString(), context);
+  assert.strictEqual(await apiKeyService.findActiveKey(key), null);
+  await assert.rejects(apiKeyService.revokeKey(organizer.id, apiKey._id.toString(), context), { statusCode: 404 });
+
+  const [created, revoked] = db.audit_log.docs;
+  assert.strictEqual(created.action, 'api_key.create');
+  assert.deepStrictEqual(created.target, { type: 'api_key', id: apiKey._id.toString(), label: 'Timetable sync' });
+  assert.deepStrictEqual(created.after.scopes, ['events:read']);
+  assert.strictEqual(revoked.action, 'api_key.revoke');
+  assert.strictEqual(revoked.actor.email, organizer.email);
+  assert.ok(revoked.changes.revokedAt.to instanceof Date);
+  assert.strictEqual(db.audit_log.docs.length, 2);
+  assert.ok(!JSON.stringify(db.audit_log.docs).includes(key.slice(12)));
+});
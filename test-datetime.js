@@ -0,0 +1,35 @@
+// Event date and time tests: timezone conversion around daylight saving changes and event instants
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { toInstant, eventInstants } = require('./utils/datetime');
+
+const iso = (date, time, timeZone) => toInstant(date, time, timeZone).toISOString();
+
+test('converts a wall-clock time in the event timezone to an instant', () => {
+  assert.strictEqual(iso('2030-01-07', '18:00', 'Africa/Kampala'), '2030-01-07T15:00:00.000Z');
+  assert.strictEqual(iso('2026-03-08', '01:30', 'America/New_York'), '2026-03-08T06:30:00.000Z');
+  assert.strictEqual(iso('2026-03-08', '03:30', 'America/New_York'), '2026-03-08T07:30:00.000Z');
+  assert.strictEqual(toInstant('2026-02-30', '10:00', 'UTC'), null);
+  assert.strictEqual(toInstant('2026-03-01', '24:00', 'UTC'), null);
+});
+
+test('moves a time skipped by a daylight saving change forward by the gap', () => {
+  // 02:00 EST jumps to 03:00 EDT, so 02:30 becomes 03:30 EDT
+  assert.strictEqual(iso('2026-03-08', '02:30', 'America/New_York'), '2026-03-08T07:30:00.000Z');
+  // 02:00 AEST jumps to 03:00 AEDT, so 02:30 becomes 03:30 AEDT
+  assert.strictEqual(iso('2026-10-04', '02:30', 'Australia/Sydney'), '2026-10-03T16:30:00.000Z');
+});
+
+test('an end time earlier than the start time is on the next day', () => {
+  const { startsAt, endsAt } = eventInstants({ date: '2026-12-31', time: '22:00', endTime: '01:00', timezone: 'Africa/Kampala' });
+
+  assert.strictEqual(startsAt.toISOString(), '2026-12-31T19:00:00.000Z');
+  assert.strictEqual(endsAt.toISOString(), '2026-12-31T22:00:00.000Z');
+});
+
+test('events without an end time last the default duration, and an end equal to the start is rejected', () => {
+  const { startsAt, endsAt } = eventInstants({ date: '2030-01-07', time: '18:00', timezone: 'UTC' });
+  assert.strictEqual(endsAt - startsAt, 120 * 60000);
+
+  assert.throws(() => eventInstants({ date: '2030-01-07', time: '18:00', endTime: '18:00', timezone: 'UTC' }), { statusCode: 400 });
+});
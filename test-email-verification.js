@@ -0,0 +1,83 @@
+// Email verification tests: resending links without revealing account state, and email changes
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const cache = require('./utils/cache');
+const userService = require('./services/userService');
+const eventService = require('./services/eventService');
+const templateService = require('./services/templateService');
+const { useMemoryDatabase } = require('./test-support');
+
+let db;
+
+// The emailed link isn't available here, so give the latest verification record a known token
+function knownToken() {
+  const token = crypto.randomBytes(8).toString('hex');
+  db.email_verifications.docs.at(-1).tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  return token;
+}
+
+after(() => cache.flush());
+
+beforeEach(async () => {
+  db = useMemoryDatabase();
+  for (const service of [userService, eventService, templateService]) {
+    await service.initialize();
+  }
+});
+
+test('resending a verification link gives the same answer for unknown, verified and unverified accounts', async () => {
+  await db.users.insertOne({ name: 'Ada', email: 'ada@campus.test', role: 'student', status: 'active', emailVerified: true });
+  const { insertedId } = await db.users.insertOne({ name: 'Bob', email: 'bob@campus.test', role: 'student', status: 'active', emailVerified: false });
+
+  assert.strictEqual(await userService.resendVerification('nobody@campus.test'), undefined);
+  assert.strictEqual(await userService.resendVerification('ada@campus.test'), undefined);
+  assert.strictEqual(await userService.resendVerification('bob@campus.test'), undefined);
+
+  // Only the unverified account gets a link
+  assert.deepStrictEqual(db.email_verifications.docs.map(record => String(record.userId)), [String(insertedId)]);
+});
+
+test('a new email address only replaces the old one once its confirmation link is used', async () => {
+  const { insertedId } = await db.users.insertOne({ name: 'Ada', email: 'ada@campus.test', role: 'organizer', status: 'active', emailVerified: true });
+  const userId = insertedId.toString();
+  await db.events.insertOne({ title: 'Compilers 101', createdBy: 'ada@campus.test', organizer: 'Ada' });
+  await db.registrations.insertOne({ eventId: 'e1', studentEmail: 'ada@campus.test', status: 'confirmed' });
+
+  const profile = await userService.updateProfile(userId, { name: 'Ada L', email: 'ada@elsewhere.test' });
+  assert.strictEqual(profile.emailChanged, true);
+
+  // Nothing moves to an address the person hasn't shown they own
+  let user = await userService.getUserById(userId);
+  assert.strictEqual(user.email, 'ada@campus.test');
+  assert.strictEqual(user.pendingEmail, 'ada@elsewhere.test');
+  assert.strictEqual(user.emailVerified, true);
+  assert.strictEqual(db.events.docs[0].createdBy, 'ada@campus.test');
+  assert.strictEqual(db.registrations.docs[0].studentEmail, 'ada@campus.test');
+
+  assert.deepStrictEqual(await userService.verifyEmail(knownToken()), { emailChanged: true, email: 'ada@elsewhere.test' });
+
+  user = await userService.getUserById(userId);
+  assert.strictEqual(user.email, 'ada@elsewhere.test');
+  assert.strictEqual(user.pendingEmail, null);
+  assert.strictEqual(user.emailVerified, true);
+  assert.strictEqual(db.events.docs[0].createdBy, 'ada@elsewhere.test');
+  assert.strictEqual(db.registrations.docs[0].studentEmail, 'ada@elsewhere.test');
+});
+
+test('an email change link stops working once the change is cancelled or the address is taken', async () => {
+  const { insertedId } = await db.users.insertOne({ name: 'Ada', email: 'ada@campus.test', role: 'student', status: 'active', emailVerified: true });
+  const userId = insertedId.toString();
+
+  await userService.updateProfile(userId, { name: 'Ada', email: 'ada@elsewhere.test' });
+  const cancelledToken = knownToken();
+  // Entering the current address again cancels the change
+  await userService.updateProfile(userId, { name: 'Ada', email: 'ada@campus.test' });
+  await assert.rejects(userService.verifyEmail(cancelledToken), { statusCode: 400 });
+
+  await userService.updateProfile(userId, { name: 'Ada', email: 'ada@elsewhere.test' });
+  const token = knownToken();
+  await db.users.insertOne({ name: 'Someone', email: 'ada@elsewhere.test', role: 'student', status: 'active' });
+  await assert.rejects(userService.verifyEmail(token), { statusCode: 409 });
+  assert.strictEqual((await userService.getUserById(userId)).email, 'ada@campus.test');
+});
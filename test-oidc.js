@@ -0,0 +1,230 @@
+// Single sign-on tests: the authorization-code + PKCE flow against a mock identity provider
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const oidcService = require('./services/oidcService');
+const userService = require('./services/userService');
+const auditService = require('./services/auditService');
+const { MemoryCollection } = require('./test-support');
+
+const ISSUER = 'https://idp.test';
+const CLIENT_ID = 'campus-event-hub';
+const CLIENT_SECRET = 'mock-secret';
+
+// A minimal provider: discovery, signing keys and a token endpoint that checks the PKCE verifier
+function createMockProvider() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'test-key', use: 'sig', alg: 'RS256' };
+  const codes = new Map();
+
+  const provider = {
+    claims: {},
+    tokenRequests: [],
+
+    // What the provider does when the user signs in at the authorization URL
+    authorize(authorizationUrl) {
+      const params = new URL(authorizationUrl).searchParams;
+      const code = crypto.randomBytes(16).toString('hex');
+      codes.set(code, {
+        challenge: params.get('code_challenge'),
+        method: params.get('code_challenge_method'),
+        nonce: params.get('nonce'),
+        redirectUri: params.get('redirect_uri')
+      });
+      return { code, state: params.get('state') };
+    },
+
+    async fetch(url, options = {}) {
+      const reply = (status, body) => ({ ok: status < 400, status, json: async () => body });
+
+      if (url === `${ISSUER}/.well-known/openid-configuration`) {
+        return reply(200, {
+          issuer: ISSUER,
+          authorization_endpoint: `${ISSUER}/authorize`,
+          token_endpoint: `${ISSUER}/token`,
+          jwks_uri: `${ISSUER}/jwks`
+        });
+      }
+
+      if (url === `${ISSUER}/jwks`) {
+        return reply(200, { keys: [jwk] });
+      }
+
+      if (url === `${ISSUER}/token`) {
+        const body = new URLSearchParams(options.body);
+        provider.tokenRequests.push({ headers: options.headers, body });
+
+        const expectedAuth = `Basic ${Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64')}`;
+        if (options.headers.Authorization !== expectedAuth) {
+          return reply(401, { error: 'invalid_client' });
+        }
+
+        const grant = codes.get(body.get('code'));
+        codes.delete(body.get('code'));
+        const challenge = crypto.createHash('sha256').update(body.get('code_verifier') || '').digest('base64url');
+        if (!grant || grant.method !== 'S256' || grant.challenge !== challenge || grant.redirectUri !== body.get('redirect_uri')) {
+          return reply(400, { error: 'invalid_grant' });
+        }
+
+        const idToken = jwt.sign({ nonce: grant.nonce, ...provider.claims }, privateKey, {
+          algorithm: 'RS256',
+          keyid: jwk.kid,
+          issuer: ISSUER,
+          audience: CLIENT_ID,
+          expiresIn: 300
+        });
+        return reply(200, { access_token: 'mock-access-token', token_type: 'Bearer', id_token: idToken });
+      }
+
+      return reply(404, { error: 'not_found' });
+    }
+  };
+
+  return provider;
+}
+
+let provider;
+
+beforeEach(() => {
+  provider = createMockProvider();
+  oidcService.configure({
+    OIDC_ISSUER: ISSUER,
+    OIDC_CLIENT_ID: CLIENT_ID,
+    OIDC_CLIENT_SECRET: CLIENT_SECRET,
+    OIDC_STUDENT_ID_CLAIM: 'student_number',
+    OIDC_ROLE_CLAIM: 'groups',
+    OIDC_ROLE_MAPPING: '{"staff":"organizer","it-admins":"admin"}'
+  });
+  oidcService.fetch = provider.fetch;
+  oidcService.loginStatesCollection = new MemoryCollection();
+  userService.usersCollection = new MemoryCollection();
+  userService.sessionsCollection = new MemoryCollection();
+  auditService.auditCollection = new MemoryCollection();
+});
+
+// Run the browser's part of the flow: start the login, sign in at the provider, come back with the code
+async function signIn(claims) {
+  provider.claims = claims;
+  const { state, url } = await oidcService.createAuthorizationRequest('/events');
+  const { code, state: returnedState } = provider.authorize(url);
+  return oidcService.handleCallback({ code, state: returnedState }, state);
+}
+
+test('exchanges the code with the PKCE verifier and maps claims to a profile', async () => {
+  const { profile, returnTo } = await signIn({
+    sub: 'u-1',
+    email: 'Ada@Campus.test',
+    email_verified: true,
+    name: 'Ada Lovelace',
+    student_number: 20231234,
+    groups: ['students', 'staff']
+  });
+
+  assert.strictEqual(returnTo, '/events');
+  assert.deepStrictEqual(profile, {
+    issuer: ISSUER,
+    subject: 'u-1',
+    email: 'ada@campus.test',
+    emailVerified: true,
+    name: 'Ada Lovelace',
+    role: 'organizer',
+    defaultRole: 'student',
+    studentId: '20231234'
+  });
+
+  const [request] = provider.tokenRequests;
+  assert.strictEqual(request.body.get('grant_type'), 'authorization_code');
+  assert.ok(request.body.get('code_verifier'));
+});
+
+test('maps no role for unknown claim values and treats a missing email_verified claim as unverified', async () => {
+  const { profile } = await signIn({ sub: 'u-2', email: 'bob@campus.test', groups: 'unknown-group' });
+
+  assert.strictEqual(profile.role, null);
+  assert.strictEqual(profile.emailVerified, false);
+
+  const result = await userService.loginWithOidc(profile);
+  assert.strictEqual(result.user.role, 'student');
+});
+
+test('rejects a callback whose state does not match the browser', async () => {
+  provider.claims = { sub: 'u-3', email: 'eve@campus.test' };
+  const { url } = await oidcService.createAuthorizationRequest(null);
+  const { code, state } = provider.authorize(url);
+
+  await assert.rejects(oidcService.handleCallback({ code, state }, 'another-state'), { statusCode: 400 });
+  assert.strictEqual(provider.tokenRequests.length, 0);
+});
+
+test('a login state can only be redeemed once', async () => {
+  provider.claims = { sub: 'u-4', email: 'carol@campus.test' };
+  const { state, url } = await oidcService.createAuthorizationRequest(null);
+  const { code } = provider.authorize(url);
+
+  await oidcService.handleCallback({ code, state }, state);
+  await assert.rejects(oidcService.handleCallback({ code, state }, state), { statusCode: 400 });
+});
+
+test('auto-provisions an account on first login and reuses it afterwards', async () => {
+  const claims = { sub: 'u-5', email: 'dan@campus.test', email_verified: true, name: 'Dan', groups: ['staff'] };
+
+  const first = await userService.loginWithOidc((await signIn(claims)).profile);
+  assert.ok(first.token);
+  assert.strictEqual(first.user.role, 'organizer');
+  assert.strictEqual(first.user.emailVerified, true);
+  assert.deepStrictEqual(first.user.oidc, { issuer: ISSUER, subject: 'u-5' });
+
+  const second = await userService.loginWithOidc((await signIn(claims)).profile);
+  assert.strictEqual(String(second.user._id), String(first.user._id));
+  assert.strictEqual(userService.usersCollection.docs.length, 1);
+});
+
+test('links an existing local account only when the provider verified the email', async () => {
+  await userService.usersCollection.insertOne({
+    name: 'Admin',
+    email: 'admin@campus.test',
+    password: 'hash',
+    role: 'admin',
+    status: 'active',
+    emailVerified: true
+  });
+
+  for (const email_verified of [undefined, false, 'false', 'yes']) {
+    const { profile } = await signIn({ sub: 'attacker', email: 'admin@campus.test', email_verified });
+    await assert.rejects(userService.loginWithOidc(profile), { statusCode: 409 });
+  }
+  assert.strictEqual((await userService.usersCollection.findOne({ email: 'admin@campus.test' })).oidc, undefined);
+
+  const { profile } = await signIn({ sub: 'admin-sso', email: 'admin@campus.test', email_verified: 'true', groups: ['it-admins'] });
+  const result = await userService.loginWithOidc(profile);
+  assert.strictEqual(result.user.role, 'admin');
+  assert.deepStrictEqual(result.user.oidc, { issuer: ISSUER, subject: 'admin-sso' });
+});
+
+test('a mapped role promotes an account but never demotes a role given in the app', async () => {
+  const login = async (sub, groups) => (await userService.loginWithOidc((await signIn({ sub, email: `${sub}@campus.test`, email_verified: true, groups })).profile)).user;
+
+  // Promoted to organizer in the app, then logs in with claims that map to nothing or to student
+  const organizer = await login('u-6', []);
+  await userService.usersCollection.updateOne({ _id: organizer._id }, { $set: { role: 'organizer' } });
+  assert.strictEqual((await login('u-6', ['unknown-group'])).role, 'organizer');
+
+  // An admin whose groups only map to organizer stays an admin
+  const admin = await login('u-7', ['it-admins']);
+  assert.strictEqual(admin.role, 'admin');
+  assert.strictEqual((await login('u-7', ['staff'])).role, 'admin');
+  assert.strictEqual(auditService.auditCollection.docs.length, 0);
+
+  // A student who joins a mapped group is promoted, and the change is audited
+  assert.strictEqual((await login('u-8', [])).role, 'student');
+  const promoted = await login('u-8', ['staff']);
+  assert.strictEqual(promoted.role, 'organizer');
+
+  const [entry] = auditService.auditCollection.docs;
+  assert.strictEqual(entry.action, 'user.role_change');
+  assert.strictEqual(entry.target.id, String(promoted._id));
+  assert.deepStrictEqual(entry.before, { role: 'student' });
+  assert.deepStrictEqual(entry.after, { role: 'organizer' });
+  assert.strictEqual(entry.actor.role, 'system');
+});
@@ -0,0 +1,91 @@
+// Personal data export and erasure tests
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const cache = require('./utils/cache');
+const userService = require('./services/userService');
+const eventService = require('./services/eventService');
+const templateService = require('./services/templateService');
+const apiKeyService = require('./services/apiKeyService');
+const auditService = require('./services/auditService');
+const privacyService = require('./services/privacyService');
+const { useMemoryDatabase } = require('./test-support');
+
+let db;
+let user;
+
+after(() => cache.flush());
+
+beforeEach(async () => {
+  db = useMemoryDatabase();
+  for (const service of [userService, eventService, templateService, apiKeyService, auditService, privacyService]) {
+    await service.initialize();
+  }
+
+  const { insertedId } = await db.users.insertOne({
+    name: 'Grace Hopper',
+    email: 'grace@campus.test',
+    role: 'organizer',
+    status: 'active',
+    emailVerified: true
+  });
+  user = { id: insertedId.toString(), email: 'grace@campus.test', name: 'Grace Hopper', emailVerified: true };
+});
+
+test('unverified accounts cannot export or request erasure of the data stored under their email', async () => {
+  await db.users.updateOne({ _id: new ObjectId(user.id) }, { $set: { emailVerified: false } });
+  await db.registrations.insertOne({ studentEmail: 'grace@campus.test', studentName: 'Grace Hopper' });
+
+  await assert.rejects(privacyService.exportUserData(user.id), { statusCode: 403 });
+  await assert.rejects(privacyService.requestErasure({ ...user, emailVerified: false }, null, {}), { statusCode: 403 });
+  assert.strictEqual(await db.erasure_requests.countDocuments(), 0);
+});
+
+test('verified accounts can export their data', async () => {
+  await db.registrations.insertOne({ studentEmail: 'Grace@Campus.test', studentName: 'Grace Hopper' });
+  await db.registrations.insertOne({ studentEmail: 'someone@campus.test', studentName: 'Someone Else' });
+
+  const data = await privacyService.exportUserData(user.id);
+
+  assert.strictEqual(data.account.email, 'grace@campus.test');
+  assert.deepStrictEqual(data.registrations.map(registration => registration.studentName), ['Grace Hopper']);
+});
+
+test('erasure replaces the email and name on events and in the audit log and deletes sessions', async () => {
+  const context = { actor: { id: user.id, email: user.email, role: 'organizer' }, ip: '203.0.113.7' };
+  const { insertedId: eventId } = await db.events.insertOne({ title: 'Compilers 101', createdBy: user.email, organizer: user.name });
+  await auditService.record(context, {
+    action: 'event.update',
+    target: { type: 'event', id: eventId, label: 'Compilers 101' },
+    before: { title: 'Compilers', createdBy: user.email, organizer: user.name },
+    after: { title: 'Compilers 101', createdBy: user.email, organizer: user.name }
+  });
+  await auditService.record({ actor: { id: 'admin', email: 'admin@campus.test', role: 'admin' }, ip: '198.51.100.1' }, {
+    action: 'user.role_change',
+    target: { type: 'user', id: user.id, label: user.email },
+    before: { role: 'student' },
+    after: { role: 'organizer' }
+  });
+  await db.sessions.insertOne({ userId: new ObjectId(user.id), ip: '203.0.113.7', userAgent: 'Firefox', revokedAt: null });
+
+  const request = await privacyService.requestErasure(user, 'Leaving campus', context);
+  await privacyService.reviewErasure(request._id.toString(), true, { id: 'admin', email: 'admin@campus.test' }, null, {});
+  assert.strictEqual(await privacyService.processApprovedErasures(), 1);
+
+  const everything = JSON.stringify([db.events.docs, db.audit_log.docs, db.erasure_requests.docs, db.sessions.docs]);
+  assert.ok(!/grace@campus\.test/i.test(everything), 'email address left behind');
+  assert.ok(!everything.includes('Grace Hopper'), 'name left behind');
+  assert.ok(!everything.includes('203.0.113.7'), 'IP address left behind');
+
+  const [event] = db.events.docs;
+  assert.match(event.createdBy, /^erased-[0-9a-f]{16}@anonymized\.invalid$/);
+  assert.strictEqual(event.organizer, 'Deleted user');
+  assert.strictEqual(event.archived, true);
+  assert.strictEqual(db.users.docs.length, 0);
+
+  // Other people's details in the log are untouched
+  const roleChange = db.audit_log.docs.find(entry => entry.action === 'user.role_change');
+  assert.strictEqual(roleChange.actor.email, 'admin@campus.test');
+  assert.strictEqual(roleChange.ip, '198.51.100.1');
+  assert.strictEqual(roleChange.target.label, event.createdBy);
+});
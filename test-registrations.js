@@ -0,0 +1,111 @@
+// Event registration tests: one registration per person, the count of places taken and waitlist offers
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const cache = require('./utils/cache');
+const database = require('./utils/database');
+const eventService = require('./services/eventService');
+const sessionService = require('./services/sessionService');
+const auditService = require('./services/auditService');
+const { useMemoryDatabase } = require('./test-support');
+
+const student = { studentEmail: 'ada@campus.test', studentName: 'Ada Lovelace', userType: 'student', paymentStatus: 'free' };
+
+const event = (fields = {}) => ({
+  title: 'Hackathon',
+  location: 'Main Hall',
+  date: '2030-01-07',
+  time: '09:00',
+  endTime: '17:00',
+  timezone: 'UTC',
+  startsAt: new Date('2030-01-07T09:00:00Z'),
+  endsAt: new Date('2030-01-07T17:00:00Z'),
+  capacity: 10,
+  registeredCount: 0,
+  status: 'published',
+  ...fields
+});
+
+let db;
+
+// Cached entries hold expiry timers that would keep the test process alive
+after(() => cache.flush());
+
+beforeEach(async () => {
+  await cache.flush();
+  db = useMemoryDatabase();
+  await database.createIndexes();
+  await eventService.initialize();
+  await sessionService.initialize();
+  await auditService.initialize();
+});
+
+test('a second registration for the same event is rejected and gives its place back', async () => {
+  const { insertedId } = await db.events.insertOne(event());
+  const eventId = insertedId.toString();
+
+  await eventService.registerForEvent({ ...student, eventId });
+  await assert.rejects(eventService.registerForEvent({ ...student, eventId }), { statusCode: 400, message: 'You have already registered for this event' });
+
+  assert.strictEqual(await db.registrations.countDocuments({ eventId }), 1);
+  assert.strictEqual((await db.events.findOne({ _id: insertedId })).registeredCount, 1);
+});
+
+test('concurrent registrations by the same person create one registration and take one place', async () => {
+  const { insertedId } = await db.events.insertOne(event());
+  const eventId = insertedId.toString();
+
+  const results = await Promise.allSettled([
+    eventService.registerForEvent({ ...student, eventId }),
+    eventService.registerForEvent({ ...student, eventId })
+  ]);
+
+  assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.strictEqual(results.find(result => result.status === 'rejected').reason.message, 'You have already registered for this event');
+  assert.strictEqual(await db.registrations.countDocuments({ eventId }), 1);
+  assert.strictEqual((await db.events.findOne({ _id: insertedId })).registeredCount, 1);
+});
+
+test('events from before places were counted get their count at startup', async () => {
+  const { registeredCount, ...uncounted } = event({ capacity: 2 });
+  const { insertedId } = await db.events.insertOne(uncounted);
+  const eventId = insertedId.toString();
+  for (const [studentEmail, status] of [['a@campus.test', 'confirmed'], ['b@campus.test', 'offered'], ['c@campus.test', 'waitlisted']]) {
+    await db.registrations.insertOne({ eventId, studentEmail, status });
+  }
+
+  await eventService.initialize();
+
+  assert.strictEqual((await db.events.findOne({ _id: insertedId })).registeredCount, 2);
+  // Both places are taken, so the next registration joins the waitlist
+  assert.strictEqual((await eventService.registerForEvent({ ...student, eventId })).status, 'waitlisted');
+});
+
+test('confirmed and expired waitlist offers are recorded in the audit log', async () => {
+  const { insertedId } = await db.events.insertOne(event({ capacity: 1 }));
+  const eventId = insertedId.toString();
+  const context = { actor: { id: 'u1', email: 'ada@campus.test', role: 'student' }, ip: '203.0.113.7' };
+
+  const first = await eventService.registerForEvent({ ...student, eventId });
+  const second = await eventService.registerForEvent({ ...student, studentEmail: 'bob@campus.test', eventId });
+  const third = await eventService.registerForEvent({ ...student, studentEmail: 'cy@campus.test', eventId });
+  assert.deepStrictEqual([second.status, third.status], ['waitlisted', 'waitlisted']);
+
+  // Cancelling offers the place to the next in line, who confirms it
+  await eventService.cancelRegistration(first._id.toString(), context);
+  await eventService.confirmWaitlistOffer(second._id.toString(), { ...context, actor: { ...context.actor, email: 'bob@campus.test' } });
+
+  const confirmed = db.audit_log.docs.find(entry => entry.action === 'registration.offer_confirm');
+  assert.strictEqual(confirmed.target.id, second._id.toString());
+  assert.strictEqual(confirmed.actor.email, 'bob@campus.test');
+  assert.deepStrictEqual(confirmed.changes, { status: { from: 'offered', to: 'confirmed' } });
+
+  // The next offer goes unconfirmed and is withdrawn by the scheduled job
+  await eventService.cancelRegistration(second._id.toString(), context);
+  db.registrations.docs.find(registration => registration.status === 'offered').offerExpiresAt = new Date(Date.now() - 1000);
+  assert.strictEqual(await eventService.expireWaitlistOffers(), 1);
+
+  const expired = db.audit_log.docs.find(entry => entry.action === 'registration.offer_expire');
+  assert.strictEqual(expired.target.id, third._id.toString());
+  assert.strictEqual(expired.actor.role, 'system');
+  assert.strictEqual(expired.before.studentEmail, 'cy@campus.test');
+});
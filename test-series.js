@@ -0,0 +1,68 @@
+// Event series tests: registering for every upcoming occurrence at once
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const cache = require('./utils/cache');
+const eventService = require('./services/eventService');
+const sessionService = require('./services/sessionService');
+const seriesService = require('./services/seriesService');
+const { useMemoryDatabase } = require('./test-support');
+
+const student = { studentEmail: 'ada@campus.test', studentName: 'Ada Lovelace', userType: 'student', paymentStatus: 'free' };
+
+let db;
+let seriesId;
+
+const occurrence = (date, fields = {}) => ({
+  title: 'Study Group',
+  location: 'Library',
+  date,
+  time: '18:00',
+  endTime: '19:00',
+  timezone: 'UTC',
+  startsAt: new Date(`${date}T18:00:00Z`),
+  endsAt: new Date(`${date}T19:00:00Z`),
+  capacity: 20,
+  registeredCount: 0,
+  status: 'published',
+  seriesId,
+  ...fields
+});
+
+// Cached entries hold expiry timers that would keep the test process alive
+after(() => cache.flush());
+
+beforeEach(async () => {
+  await cache.flush();
+  db = useMemoryDatabase();
+  for (const service of [eventService, sessionService, seriesService]) {
+    await service.initialize();
+  }
+
+  const { insertedId } = await db.event_series.insertOne({ title: 'Study Group', rrule: 'FREQ=WEEKLY;BYDAY=MO;COUNT=4' });
+  seriesId = insertedId.toString();
+});
+
+test('occurrences whose registration window is not open are skipped, not fatal', async () => {
+  const { insertedId: firstId } = await db.events.insertOne(occurrence('2030-01-07', { registrationClosesAt: new Date('2026-01-01T00:00:00Z') }));
+  await db.events.insertOne(occurrence('2030-01-14'));
+  await db.events.insertOne(occurrence('2030-01-21', { registrationOpensAt: new Date('2029-12-01T00:00:00Z') }));
+  await db.events.insertOne(occurrence('2030-01-28'));
+
+  const { registrations, skipped } = await seriesService.registerForSeries(firstId.toString(), student);
+
+  assert.deepStrictEqual(registrations.map(registration => registration.event.date), ['2030-01-14', '2030-01-28']);
+  assert.deepStrictEqual(skipped.map(({ event }) => event.date), ['2030-01-07', '2030-01-21']);
+  assert.match(skipped[0].reason, /closed/);
+  assert.match(skipped[1].reason, /opens/);
+  assert.strictEqual(await db.registrations.countDocuments({ studentEmail: student.studentEmail }), 2);
+});
+
+test('a series with no occurrence open for registration is rejected', async () => {
+  const { insertedId } = await db.events.insertOne(occurrence('2030-01-07', { registrationOpensAt: new Date('2029-12-01T00:00:00Z') }));
+
+  await assert.rejects(
+    seriesService.registerForSeries(insertedId.toString(), student),
+    { statusCode: 400, message: 'Registration is not open for any upcoming occurrence of this series' }
+  );
+  assert.strictEqual(await db.registrations.countDocuments(), 0);
+});
@@ -0,0 +1,231 @@
+// Shared helpers for the service tests: an in-memory stand-in for the MongoDB collections they touch
+const { ObjectId } = require('mongodb');
+const database = require('./utils/database');
+
+// Read a dotted path; stepping through an array collects the values of all its elements
+const readPath = (doc, path) => path.split('.').reduce((value, key) => {
+  if (Array.isArray(value)) {
+    return value.map(item => (item == null ? undefined : item[key]));
+  }
+  return value == null ? undefined : value[key];
+}, doc);
+
+const sameValue = (a, b) => {
+  if (Array.isArray(a)) {
+    return a.some(item => sameValue(item, b));
+  }
+  if (a instanceof ObjectId || b instanceof ObjectId) {
+    return a != null && b != null && String(a) === String(b);
+  }
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+  return a === b;
+};
+
+// Like MongoDB, values of different types (a date and a string, say) never compare
+const comparable = (a, b) => a != null && b != null &&
+  (a instanceof Date) === (b instanceof Date) && (a instanceof Date || typeof a === typeof b);
+
+const OPERATORS = {
+  $eq: (value, operand) => sameValue(value, operand),
+  $ne: (value, operand) => !sameValue(value, operand),
+  $in: (value, operand) => operand.some(item => sameValue(value, item)),
+  $nin: (value, operand) => !operand.some(item => sameValue(value, item)),
+  $exists: (value, operand) => (value !== undefined) === Boolean(operand),
+  $gt: (value, operand) => comparable(value, operand) && value > operand,
+  $gte: (value, operand) => comparable(value, operand) && value >= operand,
+  $lt: (value, operand) => comparable(value, operand) && value < operand,
+  $lte: (value, operand) => comparable(value, operand) && value <= operand,
+  $regex: (value, operand, condition) => typeof value === 'string' && new RegExp(operand, condition.$options).test(value),
+  $options: () => true
+};
+
+// Aggregation expressions, as used inside $expr: field paths ('$field'), $ifNull and comparisons
+const EXPRESSIONS = {
+  $ifNull: ([value, fallback]) => (value == null ? fallback : value),
+  $eq: ([a, b]) => sameValue(a, b),
+  $lt: ([a, b]) => comparable(a, b) && a < b,
+  $lte: ([a, b]) => comparable(a, b) && a <= b,
+  $gt: ([a, b]) => comparable(a, b) && a > b,
+  $gte: ([a, b]) => comparable(a, b) && a >= b
+};
+
+function evaluate(doc, expression) {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return readPath(doc, expression.slice(1));
+  }
+  if (Array.isArray(expression)) {
+    return expression.map(item => evaluate(doc, item));
+  }
+  if (expression && typeof expression === 'object' && !(expression instanceof Date) && !(expression instanceof ObjectId)) {
+    const [[operator, args]] = Object.entries(expression);
+    return EXPRESSIONS[operator](evaluate(doc, args));
+  }
+  return expression;
+}
+
+const isOperatorObject = (condition) => condition && typeof condition === 'object' &&
+  !(condition instanceof ObjectId) && !(condition instanceof Date) && !Array.isArray(condition) &&
+  Object.keys(condition).length > 0 && Object.keys(condition).every(key => key in OPERATORS);
+
+// Supports the subset of query operators the services use
+function matches(doc, query) {
+  return Object.entries(query).every(([path, condition]) => {
+    if (path === '$or') {
+      return condition.some(branch => matches(doc, branch));
+    }
+    if (path === '$and') {
+      return condition.every(branch => matches(doc, branch));
+    }
+    if (path === '$expr') {
+      return Boolean(evaluate(doc, condition));
+    }
+
+    const value = readPath(doc, path);
+    if (isOperatorObject(condition)) {
+      return Object.entries(condition).every(([operator, operand]) => {
+        // Operators on an array field match when any element does (except the negations)
+        if (Array.isArray(value) && !['$ne', '$nin', '$exists'].includes(operator)) {
+          return value.some(item => OPERATORS[operator](item, operand, condition));
+        }
+        return OPERATORS[operator](value, operand, condition);
+      });
+    }
+
+    return sameValue(value, condition);
+  });
+}
+
+function setPath(doc, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((parent, key) => (parent[key] = parent[key] || {}), doc);
+  target[last] = value;
+}
+
+function applyUpdate(doc, update) {
+  Object.entries(update.$set || {}).forEach(([path, value]) => setPath(doc, path, value));
+  Object.keys(update.$unset || {}).forEach(path => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.length ? readPath(doc, keys.join('.')) : doc;
+    if (parent) delete parent[last];
+  });
+  Object.entries(update.$inc || {}).forEach(([path, amount]) => setPath(doc, path, (readPath(doc, path) || 0) + amount));
+  Object.entries(update.$pull || {}).forEach(([path, value]) => {
+    setPath(doc, path, (readPath(doc, path) || []).filter(item => !sameValue(item, value)));
+  });
+}
+
+class MemoryCollection {
+  constructor(docs = []) {
+    this.docs = docs;
+    this.uniqueIndexes = [];
+  }
+
+  // Only unique indexes have an effect: inserts that would duplicate one fail like MongoDB's E11000
+  async createIndex(keys, { unique = false, partialFilterExpression = {} } = {}) {
+    if (unique) {
+      this.uniqueIndexes.push({ paths: Object.keys(keys), filter: partialFilterExpression });
+    }
+  }
+
+  assertUnique(doc) {
+    for (const { paths, filter } of this.uniqueIndexes) {
+      const clash = matches(doc, filter) && this.docs.some(other => matches(other, filter) &&
+        paths.every(path => sameValue(readPath(other, path), readPath(doc, path))));
+      if (clash) {
+        throw Object.assign(new Error(`E11000 duplicate key error on ${paths.join(', ')}`), { code: 11000 });
+      }
+    }
+  }
+
+  async findOne(query) {
+    return this.docs.find(doc => matches(doc, query)) || null;
+  }
+
+  find(query = {}) {
+    let results = this.docs.filter(doc => matches(doc, query));
+    const cursor = {
+      sort(spec) {
+        const keys = Object.entries(spec);
+        results = [...results].sort((a, b) => {
+          for (const [key, direction] of keys) {
+            const left = readPath(a, key);
+            const right = readPath(b, key);
+            if (left < right) return -direction;
+            if (left > right) return direction;
+          }
+          return 0;
+        });
+        return cursor;
+      },
+      toArray: async () => results
+    };
+    return cursor;
+  }
+
+  async countDocuments(query = {}) {
+    return this.docs.filter(doc => matches(doc, query)).length;
+  }
+
+  async insertOne(doc) {
+    const stored = { _id: new ObjectId(), ...doc };
+    this.assertUnique(stored);
+    this.docs.push(stored);
+    return { insertedId: stored._id };
+  }
+
+  async updateOne(query, update) {
+    const doc = this.docs.find(candidate => matches(candidate, query));
+    if (doc) {
+      applyUpdate(doc, update);
+    }
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+  }
+
+  async updateMany(query, update) {
+    const docs = this.docs.filter(candidate => matches(candidate, query));
+    docs.forEach(doc => applyUpdate(doc, update));
+    return { matchedCount: docs.length, modifiedCount: docs.length };
+  }
+
+  async deleteOne(query) {
+    const index = this.docs.findIndex(doc => matches(doc, query));
+    if (index !== -1) {
+      this.docs.splice(index, 1);
+    }
+    return { deletedCount: index === -1 ? 0 : 1 };
+  }
+
+  async deleteMany(query) {
+    const before = this.docs.length;
+    this.docs = this.docs.filter(doc => !matches(doc, query));
+    return { deletedCount: before - this.docs.length };
+  }
+
+  async findOneAndUpdate(query, update) {
+    const doc = this.docs.find(candidate => matches(candidate, query));
+    if (doc) {
+      applyUpdate(doc, update);
+    }
+    return { value: doc || null };
+  }
+
+  async findOneAndDelete(query) {
+    const index = this.docs.findIndex(doc => matches(doc, query));
+    return { value: index === -1 ? null : this.docs.splice(index, 1)[0] };
+  }
+}
+
+// Point utils/database at fresh in-memory collections, created on first use. Call the services'
+// initialize() afterwards so they pick them up.
+function useMemoryDatabase() {
+  database.collections = new Proxy({}, {
+    get: (collections, name) => (collections[name] = collections[name] || new MemoryCollection())
+  });
+  return database.collections;
+}
+
+module.exports = { MemoryCollection, useMemoryDatabase };
@@ -0,0 +1,100 @@
+// Two-factor authentication tests, run against a fixed clock
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const totp = require('./utils/totp');
+const twoFactorService = require('./services/twoFactorService');
+const { MemoryCollection } = require('./test-support');
+
+// RFC 6238 appendix B (SHA-1), truncated to our six digits
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+const NOW = Date.UTC(2026, 9, 19, 12, 0, 15);
+const PERIOD_MS = totp.TOTP_PERIOD_SECONDS * 1000;
+
+test('base32 round-trips the RFC secret', () => {
+  assert.strictEqual(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.strictEqual(totp.base32Decode(RFC_SECRET).toString(), '12345678901234567890');
+});
+
+test('generates the RFC 6238 test vectors', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.strictEqual(totp.generateCode(RFC_SECRET, seconds * 1000), code, `T = ${seconds}`);
+  }
+});
+
+test('accepts codes from one step either side of the clock and no further', () => {
+  const step = totp.timeStep(NOW);
+
+  for (const offset of [-1, 0, 1]) {
+    const code = totp.generateCode(RFC_SECRET, NOW + offset * PERIOD_MS);
+    assert.strictEqual(totp.verifyCode(RFC_SECRET, code, NOW), step + offset);
+  }
+
+  for (const offset of [-2, 2]) {
+    const code = totp.generateCode(RFC_SECRET, NOW + offset * PERIOD_MS);
+    assert.strictEqual(totp.verifyCode(RFC_SECRET, code, NOW), null);
+  }
+
+  assert.strictEqual(totp.verifyCode(RFC_SECRET, 'abcdef', NOW), null);
+});
+
+describe('two-factor service', () => {
+  let user;
+  let secret;
+  let recoveryCodes;
+
+  // Enrol an organizer through the service, as the settings page does
+  beforeEach(async () => {
+    twoFactorService.usersCollection = new MemoryCollection();
+    twoFactorService.clock = () => NOW;
+
+    const { insertedId } = await twoFactorService.usersCollection.insertOne({ email: 'org@campus.test', role: 'organizer' });
+    const userId = insertedId.toString();
+    ({ secret } = await twoFactorService.beginEnrolment(userId));
+
+    // A code from outside the window doesn't confirm the authenticator app
+    await assert.rejects(twoFactorService.confirmEnrolment(userId, totp.generateCode(secret, NOW + 5 * PERIOD_MS)), { statusCode: 400 });
+    recoveryCodes = await twoFactorService.confirmEnrolment(userId, totp.generateCode(secret, NOW));
+
+    user = await twoFactorService.findUser(userId);
+  });
+
+  test('enrolment enables 2FA and issues ten recovery codes', async () => {
+    assert.ok(twoFactorService.isEnabled(user));
+    assert.strictEqual(recoveryCodes.length, 10);
+    assert.strictEqual((await twoFactorService.getStatus(user._id.toString())).recoveryCodesRemaining, 10);
+  });
+
+  test('an authenticator code cannot be replayed', async () => {
+    // The enrolment code used the current step, so only a later one is accepted
+    const nextCode = totp.generateCode(secret, NOW + PERIOD_MS);
+    twoFactorService.clock = () => NOW + PERIOD_MS;
+
+    assert.deepStrictEqual(await twoFactorService.verifyCode(user, nextCode), { verified: true, method: 'totp' });
+    assert.deepStrictEqual(await twoFactorService.verifyCode(user, nextCode), { verified: false });
+
+    // An older code that is still inside the window is refused too
+    const enrolmentCode = totp.generateCode(secret, NOW);
+    assert.deepStrictEqual(await twoFactorService.verifyCode(user, enrolmentCode), { verified: false });
+  });
+
+  test('each recovery code works once until they run out', async () => {
+    for (const [index, code] of recoveryCodes.entries()) {
+      // Recovery codes are accepted regardless of case and separators
+      const typed = index % 2 === 0 ? code : code.toUpperCase().replace('-', ' ');
+      const result = await twoFactorService.verifyCode(user, typed);
+      assert.deepStrictEqual(result, { verified: true, method: 'recovery', recoveryCodesRemaining: recoveryCodes.length - index - 1 });
+      assert.deepStrictEqual(await twoFactorService.verifyCode(user, code), { verified: false });
+    }
+
+    assert.strictEqual((await twoFactorService.getStatus(user._id.toString())).recoveryCodesRemaining, 0);
+  });
+});
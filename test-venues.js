@@ -0,0 +1,71 @@
+// Room booking tests: double-booking detection, including for events read from the cache
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const cache = require('./utils/cache');
+const eventService = require('./services/eventService');
+const venueService = require('./services/venueService');
+const { MemoryCollection } = require('./test-support');
+
+const hall = { _id: new ObjectId(), name: 'Main Hall', capacity: 200 };
+const lab = { _id: new ObjectId(), name: 'Lab 1', capacity: 30 };
+
+const bookedEvent = (title, roomId, startsAt, endsAt) => ({
+  _id: new ObjectId(),
+  title,
+  date: startsAt.slice(0, 10),
+  time: startsAt.slice(11, 16),
+  endTime: endsAt.slice(11, 16),
+  timezone: 'UTC',
+  startsAt: new Date(startsAt),
+  endsAt: new Date(endsAt),
+  roomId: roomId ? roomId.toString() : null,
+  capacity: 30,
+  status: 'published'
+});
+
+let events;
+
+// Cached entries hold expiry timers that would keep the test process alive
+after(() => cache.flush());
+
+beforeEach(async () => {
+  await cache.flush();
+  events = new MemoryCollection([
+    bookedEvent('Career Fair', hall._id, '2030-01-07T10:00:00Z', '2030-01-07T14:00:00Z'),
+    bookedEvent('Coding Club', lab._id, '2030-01-07T12:00:00Z', '2030-01-07T13:00:00Z')
+  ]);
+  eventService.eventsCollection = events;
+  venueService.eventsCollection = events;
+  venueService.venuesCollection = new MemoryCollection([{ _id: new ObjectId(), name: 'Science Block', rooms: [hall, lab] }]);
+});
+
+test('finds events holding the room at an overlapping time', async () => {
+  const [careerFair] = events.docs;
+  const overlapping = { roomId: hall._id.toString(), startsAt: new Date('2030-01-07T13:00:00Z'), endsAt: new Date('2030-01-07T15:00:00Z') };
+  const afterwards = { ...overlapping, startsAt: new Date('2030-01-07T14:00:00Z') };
+
+  assert.deepStrictEqual((await venueService.findConflicts(overlapping)).map(event => event.title), ['Career Fair']);
+  assert.deepStrictEqual(await venueService.findConflicts(afterwards), []);
+  assert.deepStrictEqual(await venueService.findConflicts(overlapping, careerFair._id.toString()), []);
+});
+
+test('finds conflicts for an event whose times were read back from the cache as strings', async () => {
+  const cached = JSON.parse(JSON.stringify({ ...events.docs[1], roomId: hall._id.toString() }));
+
+  assert.deepStrictEqual((await venueService.findConflicts(cached)).map(event => event.title), ['Career Fair']);
+});
+
+test('moving a cached event into a booked room is rejected', async () => {
+  const codingClub = events.docs[1];
+  const eventId = codingClub._id.toString();
+
+  // Ownership checks load the event through the cache before the edit
+  await eventService.getEventById(eventId);
+
+  await assert.rejects(
+    eventService.updateEvent(eventId, { roomId: hall._id.toString() }, {}),
+    { statusCode: 409, message: /Main Hall is already booked/ }
+  );
+  assert.strictEqual(codingClub.roomId, lab._id.toString());
+});
@@ -82,6 +82,21 @@ class InMemoryCache {
     }
   }
 
+  delByPrefix(prefix) {
+    try {
+      let count = 0;
+      for (const key of Array.from(this.cache.keys())) {
+        if (key.startsWith(prefix) && this.del(key)) {
+          count++;
+        }
+      }
+      return count;
+    } catch (error) {
+      logger.error('Error deleting cache values by prefix:', error);
+      return 0;
+    }
+  }
+
   flush() {
     try {
       // Clear all timers
@@ -180,6 +195,21 @@ class CacheManager {
     }
   }
 
+  async delByPrefix(prefix) {
+    try {
+      if (!this.isConnected) {
+        logger.warn('Cache not connected, skipping cache delete');
+        return 0;
+      }
+
+      const result = this.client.delByPrefix(prefix);
+      return result;
+    } catch (error) {
+      logger.error('Error deleting cache values by prefix:', error);
+      return 0;
+    }
+  }
+
   async flush() {
     try {
       if (!this.isConnected) {
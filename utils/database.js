@@ -60,6 +60,19 @@ class DatabaseManager {
       this.collections.feedback = this.db.collection('feedback');
       this.collections.notifications = this.db.collection('notifications');
       this.collections.users = this.db.collection('users');
+      this.collections.password_resets = this.db.collection('password_resets');
+      this.collections.email_verifications = this.db.collection('email_verifications');
+      this.collections.sessions = this.db.collection('sessions');
+      this.collections.organizer_applications = this.db.collection('organizer_applications');
+      this.collections.oidc_login_states = this.db.collection('oidc_login_states');
+      this.collections.api_keys = this.db.collection('api_keys');
+      this.collections.audit_log = this.db.collection('audit_log');
+      this.collections.erasure_requests = this.db.collection('erasure_requests');
+      this.collections.categories = this.db.collection('categories');
+      this.collections.event_series = this.db.collection('event_series');
+      this.collections.venues = this.db.collection('venues');
+      this.collections.event_sessions = this.db.collection('event_sessions');
+      this.collections.event_templates = this.db.collection('event_templates');
       
       // Create indexes for frequently queried fields
       await this.createIndexes();
@@ -97,9 +110,65 @@ class DatabaseManager {
       await this.collections.users.createIndex({ email: 1 }, { unique: true });
       await this.collections.events.createIndex({ date: 1 });
       await this.collections.events.createIndex({ organizer: 1 });
+      await this.collections.events.createIndex({ status: 1, date: 1 });
+      await this.collections.events.createIndex({ category: 1 });
+      await this.collections.events.createIndex({ tags: 1 });
+      await this.collections.events.createIndex({ seriesId: 1, date: 1 });
+      await this.collections.events.createIndex({ roomId: 1, startsAt: 1 });
+      await this.collections.events.createIndex({ startsAt: 1 });
       await this.collections.registrations.createIndex({ studentEmail: 1 });
+      // One registration per person per event. Duplicates left by earlier races stop it from being
+      // built; that shouldn't keep the other indexes from being created.
+      try {
+        await this.collections.registrations.createIndex({ eventId: 1, studentEmail: 1 }, { unique: true });
+      } catch (error) {
+        logger.error('Error creating the unique registration index; remove duplicate registrations and restart:', error);
+      }
       await this.collections.registrations.createIndex({ eventId: 1 });
+      // Waitlist order and expiring waitlist offers
+      await this.collections.registrations.createIndex({ eventId: 1, status: 1, registeredAt: 1 });
+      await this.collections.registrations.createIndex(
+        { offerExpiresAt: 1 },
+        { partialFilterExpression: { status: 'offered' } }
+      );
       await this.collections.feedback.createIndex({ eventId: 1 });
+      await this.collections.password_resets.createIndex({ tokenHash: 1 }, { unique: true });
+      await this.collections.password_resets.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      await this.collections.email_verifications.createIndex({ tokenHash: 1 }, { unique: true });
+      await this.collections.email_verifications.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      await this.collections.sessions.createIndex({ refreshTokenHash: 1 }, { unique: true });
+      await this.collections.sessions.createIndex({ previousRefreshTokenHash: 1 });
+      await this.collections.sessions.createIndex({ userId: 1 });
+      await this.collections.sessions.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      // At most one pending application per user
+      await this.collections.organizer_applications.createIndex(
+        { userId: 1 },
+        { unique: true, partialFilterExpression: { status: 'pending' } }
+      );
+      await this.collections.organizer_applications.createIndex({ status: 1, createdAt: -1 });
+      await this.collections.users.createIndex(
+        { 'oidc.issuer': 1, 'oidc.subject': 1 },
+        { unique: true, partialFilterExpression: { 'oidc.subject': { $exists: true } } }
+      );
+      await this.collections.oidc_login_states.createIndex({ stateHash: 1 }, { unique: true });
+      await this.collections.oidc_login_states.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      await this.collections.api_keys.createIndex({ keyHash: 1 }, { unique: true });
+      await this.collections.api_keys.createIndex({ userId: 1, createdAt: -1 });
+      await this.collections.audit_log.createIndex({ createdAt: -1 });
+      await this.collections.audit_log.createIndex({ action: 1, createdAt: -1 });
+      await this.collections.audit_log.createIndex({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+      await this.collections.audit_log.createIndex({ 'actor.email': 1, createdAt: -1 });
+      // At most one pending erasure request per user
+      await this.collections.erasure_requests.createIndex(
+        { userId: 1 },
+        { unique: true, partialFilterExpression: { status: 'pending' } }
+      );
+      await this.collections.erasure_requests.createIndex({ status: 1, createdAt: -1 });
+      await this.collections.categories.createIndex({ slug: 1 }, { unique: true });
+      await this.collections.venues.createIndex({ 'rooms._id': 1 });
+      await this.collections.event_sessions.createIndex({ eventId: 1, startsAt: 1 });
+      await this.collections.event_templates.createIndex({ createdBy: 1, name: 1 });
+      await this.collections.registrations.createIndex({ eventId: 1, sessionIds: 1 });
       
       logger.info('Database indexes created successfully');
     } catch (error) {
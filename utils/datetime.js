@@ -0,0 +1,211 @@
+const { AppError } = require('./errorHandler');
+const { shiftDate } = require('./recurrence');
+
+// Events are entered as a calendar date and wall-clock time (event.date, event.time,
+// event.endTime) in the event's IANA timezone. startsAt and endsAt are the matching instants,
+// which every comparison uses. Dates and times are shown in the campus timezone, so the
+// server's own timezone never matters.
+
+// Events without an end time are assumed to take this long
+const DEFAULT_DURATION_MINUTES = 120;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+// A datetime-local form value, and an ISO 8601 timestamp with its offset
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})$/;
+const ISO_DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+const CAMPUS_TIMEZONE = isValidTimeZone(process.env.CAMPUS_TIMEZONE) ? process.env.CAMPUS_TIMEZONE : 'UTC';
+
+const formatters = new Map();
+function formatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function wallClock(instant, timeZone) {
+  const parts = {};
+  formatter(timeZone).formatToParts(instant).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return parts;
+}
+
+// Minutes the timezone is ahead of UTC at an instant
+function offsetMinutes(instant, timeZone) {
+  const parts = wallClock(instant, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+}
+
+// The instant of a YYYY-MM-DD date and HH:MM time in a timezone, or null if either is invalid.
+// Times skipped by a daylight saving change move forward by the length of the gap, so 02:30 on
+// the night clocks go from 02:00 to 03:00 becomes 03:30.
+function toInstant(date, time, timeZone = CAMPUS_TIMEZONE) {
+  const timeMatch = TIME_PATTERN.exec(time || '');
+  if (!DATE_PATTERN.test(date || '') || !timeMatch) {
+    return null;
+  }
+
+  const [year, month, day] = date.split('-').map(Number);
+  const wall = Date.UTC(year, month - 1, day, Number(timeMatch[1]), Number(timeMatch[2]));
+  if (new Date(wall).toISOString().slice(0, 10) !== date) {
+    return null;
+  }
+
+  const firstOffset = offsetMinutes(new Date(wall), timeZone);
+  const offset = offsetMinutes(new Date(wall - firstOffset * 60000), timeZone);
+  if (offsetMinutes(new Date(wall - offset * 60000), timeZone) === offset) {
+    return new Date(wall - offset * 60000);
+  }
+
+  // The time doesn't exist; the smaller offset is the one from before the change
+  return new Date(wall - Math.min(firstOffset, offset) * 60000);
+}
+
+// The instant of a form's YYYY-MM-DDTHH:MM in a timezone, or of an ISO 8601 timestamp with
+// an offset. Returns null if the value is neither.
+function parseDateTime(value, timeZone = CAMPUS_TIMEZONE) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value;
+  }
+
+  const local = LOCAL_DATE_TIME_PATTERN.exec(value || '');
+  if (local) {
+    return toInstant(local[1], local[2], timeZone);
+  }
+
+  if (!ISO_DATE_TIME_PATTERN.test(value || '')) {
+    return null;
+  }
+  const instant = new Date(value);
+  return Number.isNaN(instant.getTime()) ? null : instant;
+}
+
+// { date: 'YYYY-MM-DD', time: 'HH:MM' } of an instant in a timezone
+function localParts(instant, timeZone = CAMPUS_TIMEZONE) {
+  const parts = wallClock(new Date(instant), timeZone);
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+
+// An instant as YYYY-MM-DDTHH:MM in a timezone, for datetime-local inputs
+function dateTimeInputValue(instant, timeZone = CAMPUS_TIMEZONE) {
+  if (!instant) {
+    return '';
+  }
+  const { date, time } = localParts(instant, timeZone);
+  return `${date}T${time}`;
+}
+
+// Today's date in a timezone
+function today(timeZone = CAMPUS_TIMEZONE) {
+  return localParts(new Date(), timeZone).date;
+}
+
+// Short name of the timezone at an instant, e.g. "EAT" or "GMT+3"
+function zoneName(instant, timeZone = CAMPUS_TIMEZONE) {
+  const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+    .formatToParts(new Date(instant))
+    .find(candidate => candidate.type === 'timeZoneName');
+  return part ? part.value : timeZone;
+}
+
+// timezone, startsAt and endsAt for an event's date, time, endTime and timezone. An end time
+// earlier than the start time is on the next day, e.g. 22:00 to 01:00.
+// Throws 400 if they don't describe a valid time.
+function eventInstants(event) {
+  const timezone = event.timezone || CAMPUS_TIMEZONE;
+  if (!isValidTimeZone(timezone)) {
+    throw new AppError('Timezone must be an IANA timezone such as Africa/Kampala', 400);
+  }
+
+  const startsAt = toInstant(event.date, event.time, timezone);
+  if (!startsAt) {
+    throw new AppError('Date and time must be a valid date (YYYY-MM-DD) and time (HH:MM)', 400);
+  }
+
+  const endDate = event.endTime && event.endTime < event.time ? shiftDate(event.date, 1) : event.date;
+  const endsAt = event.endTime
+    ? toInstant(endDate, event.endTime, timezone)
+    : new Date(startsAt.getTime() + DEFAULT_DURATION_MINUTES * 60000);
+  if (!endsAt || endsAt <= startsAt) {
+    throw new AppError('End time must be after the start time', 400);
+  }
+
+  return { timezone, startsAt, endsAt };
+}
+
+// An event's date in the campus timezone, falling back to the stored date for events
+// that have no startsAt
+function formatEventDate(event) {
+  return event.startsAt ? localParts(event.startsAt).date : event.date;
+}
+
+// An event's time (and end time, if it has one) in the campus timezone, e.g. "18:00-19:30 EAT"
+function formatEventTime(event) {
+  if (!event.startsAt) {
+    return event.time;
+  }
+
+  const start = localParts(event.startsAt).time;
+  const end = event.endTime && event.endsAt ? `-${localParts(event.endsAt).time}` : '';
+  return `${start}${end} ${zoneName(event.startsAt)}`;
+}
+
+// An event's date written out, e.g. "Monday, January 7, 2030"
+function formatEventLongDate(event) {
+  const instant = event.startsAt ? new Date(event.startsAt) : new Date(`${event.date}T12:00:00Z`);
+  return instant.toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: event.startsAt ? CAMPUS_TIMEZONE : 'UTC'
+  });
+}
+
+// A timestamp in the campus timezone, e.g. "2030-01-07 18:00 EAT"
+function formatDateTime(instant) {
+  const { date, time } = localParts(instant);
+  return `${date} ${time} ${zoneName(instant)}`;
+}
+
+module.exports = {
+  CAMPUS_TIMEZONE,
+  DEFAULT_DURATION_MINUTES,
+  isValidTimeZone,
+  toInstant,
+  parseDateTime,
+  localParts,
+  dateTimeInputValue,
+  today,
+  zoneName,
+  eventInstants,
+  formatEventDate,
+  formatEventTime,
+  formatEventLongDate,
+  formatDateTime
+};
@@ -1,5 +1,7 @@
 const nodemailer = require('nodemailer');
 const winston = require('winston');
+const database = require('./database');
+const { formatEventDate, formatEventTime, formatEventLongDate, formatDateTime } = require('./datetime');
 
 // Create a logger instance
 const logger = winston.createLogger({
@@ -83,8 +85,31 @@ async function sendEmailNotification(to, subject, htmlContent) {
   }
 }
 
-// Send event update notification to all registered students
-async function sendEventUpdateNotification(event, students, updateType) {
+// Drop recipients whose accounts have turned off event email notifications.
+// Registrants without an account, and any lookup failure, fall back to sending.
+async function filterOptedOutRecipients(emails) {
+  try {
+    const usersCollection = database.getCollection('users');
+    if (!usersCollection || emails.length === 0) {
+      return emails;
+    }
+
+    const optedOut = await usersCollection.find(
+      { email: { $in: emails }, 'preferences.emailNotifications': false },
+      { projection: { email: 1 } }
+    ).toArray();
+
+    const optedOutEmails = new Set(optedOut.map(user => user.email));
+    return emails.filter(email => !optedOutEmails.has(email));
+  } catch (error) {
+    logger.error('Error checking email notification preferences:', error);
+    return emails;
+  }
+}
+
+// Send event update notification to all registered students.
+// changes lists what was edited as [{ field, from, to }] so the email can show both values.
+async function sendEventUpdateNotification(event, students, updateType, changes = []) {
   try {
     if (!students || students.length === 0) {
       logger.info('No students to notify for event update');
@@ -100,10 +125,21 @@ async function sendEventUpdateNotification(event, students, updateType) {
         htmlContent = `
           <h2>Event Updated</h2>
           <p>The event "${event.title}" has been updated with new information:</p>
+          ${changes.length > 0 ? `
+          <table cellpadding="6" style="border-collapse: collapse;">
+            <tr><th align="left"></th><th align="left">Before</th><th align="left">Now</th></tr>
+            ${changes.map(change => `
+            <tr>
+              <td><strong>${change.field.charAt(0).toUpperCase() + change.field.slice(1)}</strong></td>
+              <td style="color: #6c757d; text-decoration: line-through;">${change.from || '-'}</td>
+              <td>${change.to || '-'}</td>
+            </tr>`).join('')}
+          </table>
+          <p>The event details are now:</p>` : ''}
           <ul>
             <li><strong>Title:</strong> ${event.title}</li>
-            <li><strong>Date:</strong> ${event.date}</li>
-            <li><strong>Time:</strong> ${event.time}</li>
+            <li><strong>Date:</strong> ${formatEventDate(event)}</li>
+            <li><strong>Time:</strong> ${formatEventTime(event)}</li>
             <li><strong>Location:</strong> ${event.location}</li>
           </ul>
           <p>Please check the event page for more details.</p>
@@ -130,10 +166,11 @@ async function sendEventUpdateNotification(event, students, updateType) {
         `;
     }
 
-    // Send email to each student
-    const emailPromises = students.map(student => {
+    // Send email to each student who still wants event notifications
+    const recipients = await filterOptedOutRecipients(students.map(student => student.email));
+    const emailPromises = recipients.map(email => {
       return sendEmailNotification(
-        student.email,
+        email,
         subject,
         htmlContent
       );
@@ -141,7 +178,7 @@ async function sendEventUpdateNotification(event, students, updateType) {
 
     // Wait for all emails to be sent
     await Promise.all(emailPromises);
-    logger.info(`Event ${updateType} notifications sent to ${students.length} students`);
+    logger.info(`Event ${updateType} notifications sent to ${recipients.length} of ${students.length} students`);
   } catch (error) {
     logger.error(`Error sending event ${updateType} notifications:`, error);
     throw error;
@@ -149,18 +186,24 @@ async function sendEventUpdateNotification(event, students, updateType) {
 }
 
 // Send registration confirmation email
-async function sendRegistrationConfirmation(studentEmail, event) {
+// sessions are the agenda sessions the student has a place in, if any
+async function sendRegistrationConfirmation(studentEmail, event, sessions = []) {
   try {
     const subject = `Registration Confirmed: ${event.title}`;
+    const sessionList = sessions.length > 0 ? `
+      <p>Your sessions:</p>
+      <ul>
+        ${sessions.map(session => `<li>${formatEventDate(session)} ${formatEventTime(session)}: <strong>${session.title}</strong> (${session.location || event.location})</li>`).join('')}
+      </ul>` : '';
     const htmlContent = `
       <h2>Registration Confirmed</h2>
       <p>Thank you for registering for the event "${event.title}".</p>
       <ul>
         <li><strong>Event:</strong> ${event.title}</li>
-        <li><strong>Date:</strong> ${event.date}</li>
-        <li><strong>Time:</strong> ${event.time}</li>
+        <li><strong>Date:</strong> ${formatEventDate(event)}</li>
+        <li><strong>Time:</strong> ${formatEventTime(event)}</li>
         <li><strong>Location:</strong> ${event.location}</li>
-      </ul>
+      </ul>${sessionList}
       <p>We look forward to seeing you at the event!</p>
     `;
 
@@ -172,6 +215,86 @@ async function sendRegistrationConfirmation(studentEmail, event) {
   }
 }
 
+// Tell a student the event is full and they have been added to the waitlist
+async function sendWaitlistConfirmation(studentEmail, event, position) {
+  try {
+    const subject = `You're on the waitlist: ${event.title}`;
+    const htmlContent = `
+      <h2>You're on the Waitlist</h2>
+      <p>The event "${event.title}" is full, so we have added you to its waitlist. You are number ${position} in line.</p>
+      <ul>
+        <li><strong>Event:</strong> ${event.title}</li>
+        <li><strong>Date:</strong> ${formatEventDate(event)}</li>
+        <li><strong>Time:</strong> ${formatEventTime(event)}</li>
+        <li><strong>Location:</strong> ${event.location}</li>
+      </ul>
+      <p>If a place becomes available we will email you, and you will have a limited time to confirm it.</p>
+      <p>Best regards,<br>Campus Event Hub Team</p>
+    `;
+
+    await sendEmailNotification(studentEmail, subject, htmlContent);
+    logger.info('Waitlist confirmation email sent', { studentEmail, eventId: event._id });
+  } catch (error) {
+    logger.error('Error sending waitlist confirmation email:', error);
+    throw error;
+  }
+}
+
+// Offer a freed place to the next student on the waitlist
+async function sendWaitlistOfferEmail(studentEmail, event, expiresAt, confirmUrl) {
+  try {
+    const subject = `A place is available: ${event.title}`;
+    const htmlContent = `
+      <h2>A Place Is Available</h2>
+      <p>Good news! A place has opened up at the event "${event.title}" and it is being held for you.</p>
+      <ul>
+        <li><strong>Event:</strong> ${event.title}</li>
+        <li><strong>Date:</strong> ${formatEventDate(event)}</li>
+        <li><strong>Time:</strong> ${formatEventTime(event)}</li>
+        <li><strong>Location:</strong> ${event.location}</li>
+      </ul>
+      <p><a href="${confirmUrl}">Confirm your place</a> before ${formatDateTime(expiresAt)}. After that it will be offered to the next person on the waitlist.</p>
+      <p>Best regards,<br>Campus Event Hub Team</p>
+    `;
+
+    await sendEmailNotification(studentEmail, subject, htmlContent);
+    logger.info('Waitlist offer email sent', { studentEmail, eventId: event._id });
+  } catch (error) {
+    logger.error('Error sending waitlist offer email:', error);
+    throw error;
+  }
+}
+
+// Confirm a registration for every upcoming occurrence of a series in one email
+async function sendSeriesRegistrationConfirmation(studentEmail, series, registrations, skipped = []) {
+  try {
+    const subject = `Registration Confirmed: ${series.title} (${registrations.length} sessions)`;
+    const rows = registrations.map(registration => `
+        <li>${formatEventDate(registration.event)} at ${formatEventTime(registration.event)}, ${registration.event.location}${registration.status === 'waitlisted' ? ' <strong>(waitlisted)</strong>' : ''}</li>`).join('');
+    const skippedRows = skipped.map(({ event, reason }) => `
+        <li>${formatEventDate(event)} at ${formatEventTime(event)}: ${reason}</li>`).join('');
+    const htmlContent = `
+      <h2>Series Registration Confirmed</h2>
+      <p>Thank you for registering for the event series "${series.title}" (${series.description.toLowerCase()}).</p>
+      <p>You are registered for these dates:</p>
+      <ul>${rows}
+      </ul>
+      <p>Where a date is full you are on its waitlist, and we will email you if a place becomes available. You can cancel individual dates from your registrations page.</p>${skippedRows ? `
+      <p>You are <strong>not</strong> registered for these dates, because registration for them isn't open:</p>
+      <ul>${skippedRows}
+      </ul>
+      <p>You can register for them individually once their registration opens.</p>` : ''}
+      <p>Best regards,<br>Campus Event Hub Team</p>
+    `;
+
+    await sendEmailNotification(studentEmail, subject, htmlContent);
+    logger.info('Series registration confirmation email sent', { studentEmail, seriesId: series._id });
+  } catch (error) {
+    logger.error('Error sending series registration confirmation email:', error);
+    throw error;
+  }
+}
+
 // Send event reminder email to all registered students
 async function sendEventReminder(event, students) {
   try {
@@ -181,13 +304,7 @@ async function sendEventReminder(event, students) {
     }
 
     const subject = `Reminder: ${event.title} is coming up soon!`;
-    const eventDate = new Date(`${event.date}T${event.time}`);
-    const formattedDate = eventDate.toLocaleDateString('en-US', { 
-      weekday: 'long', 
-      year: 'numeric', 
-      month: 'long', 
-      day: 'numeric' 
-    });
+    const formattedDate = formatEventLongDate(event);
     
     const htmlContent = `
       <h2>Event Reminder</h2>
@@ -197,7 +314,7 @@ async function sendEventReminder(event, students) {
         <ul>
           <li><strong>Event:</strong> ${event.title}</li>
           <li><strong>Date:</strong> ${formattedDate}</li>
-          <li><strong>Time:</strong> ${event.time}</li>
+          <li><strong>Time:</strong> ${formatEventTime(event)}</li>
           <li><strong>Location:</strong> ${event.location}</li>
         </ul>
       </div>
@@ -205,10 +322,11 @@ async function sendEventReminder(event, students) {
       <p>Best regards,<br>Campus Event Hub Team</p>
     `;
 
-    // Send email to each student
-    const emailPromises = students.map(student => {
+    // Send email to each student who still wants event notifications
+    const recipients = await filterOptedOutRecipients(students.map(student => student.studentEmail || student.email));
+    const emailPromises = recipients.map(email => {
       return sendEmailNotification(
-        student.studentEmail || student.email,
+        email,
         subject,
         htmlContent
       );
@@ -216,7 +334,7 @@ async function sendEventReminder(event, students) {
 
     // Wait for all emails to be sent
     await Promise.all(emailPromises);
-    logger.info(`Event reminder emails sent to ${students.length} students for event ${event.title}`);
+    logger.info(`Event reminder emails sent to ${recipients.length} of ${students.length} students for event ${event.title}`);
   } catch (error) {
     logger.error('Error sending event reminder emails:', error);
     throw error;
@@ -232,13 +350,7 @@ async function sendUpcomingEventNotification(event, students) {
     }
 
     const subject = `Upcoming Event: ${event.title}`;
-    const eventDate = new Date(`${event.date}T${event.time}`);
-    const formattedDate = eventDate.toLocaleDateString('en-US', { 
-      weekday: 'long', 
-      year: 'numeric', 
-      month: 'long', 
-      day: 'numeric' 
-    });
+    const formattedDate = formatEventLongDate(event);
     
     const htmlContent = `
       <h2>Upcoming Event Notification</h2>
@@ -248,7 +360,7 @@ async function sendUpcomingEventNotification(event, students) {
         <ul>
           <li><strong>Event:</strong> ${event.title}</li>
           <li><strong>Date:</strong> ${formattedDate}</li>
-          <li><strong>Time:</strong> ${event.time}</li>
+          <li><strong>Time:</strong> ${formatEventTime(event)}</li>
           <li><strong>Location:</strong> ${event.location}</li>
         </ul>
       </div>
@@ -256,10 +368,11 @@ async function sendUpcomingEventNotification(event, students) {
       <p>Best regards,<br>Campus Event Hub Team</p>
     `;
 
-    // Send email to each student
-    const emailPromises = students.map(student => {
+    // Send email to each student who still wants event notifications
+    const recipients = await filterOptedOutRecipients(students.map(student => student.studentEmail || student.email));
+    const emailPromises = recipients.map(email => {
       return sendEmailNotification(
-        student.studentEmail || student.email,
+        email,
         subject,
         htmlContent
       );
@@ -267,18 +380,112 @@ async function sendUpcomingEventNotification(event, students) {
 
     // Wait for all emails to be sent
     await Promise.all(emailPromises);
-    logger.info(`Upcoming event notifications sent to ${students.length} students for event ${event.title}`);
+    logger.info(`Upcoming event notifications sent to ${recipients.length} of ${students.length} students for event ${event.title}`);
   } catch (error) {
     logger.error('Error sending upcoming event notifications:', error);
     throw error;
   }
 }
 
+// Send password reset link
+async function sendPasswordResetEmail(email, resetUrl, expiresInMinutes) {
+  try {
+    const subject = 'Reset your Campus Event Hub password';
+    const htmlContent = `
+      <h2>Password Reset Request</h2>
+      <p>We received a request to reset the password for your Campus Event Hub account.</p>
+      <p><a href="${resetUrl}">Click here to choose a new password</a></p>
+      <p>This link can only be used once and expires in ${expiresInMinutes} minutes.</p>
+      <p>If you didn't request a password reset, you can safely ignore this email.</p>
+      <p>Best regards,<br>Campus Event Hub Team</p>
+    `;
+
+    await sendEmailNotification(email, subject, htmlContent);
+    logger.info('Password reset email sent', { email });
+  } catch (error) {
+    logger.error('Error sending password reset email:', error);
+    throw error;
+  }
+}
+
+// Send email address verification link
+async function sendVerificationEmail(email, name, verifyUrl) {
+  try {
+    const subject = 'Verify your Campus Event Hub email address';
+    const htmlContent = `
+      <h2>Welcome to Campus Event Hub${name ? `, ${name}` : ''}!</h2>
+      <p>Please confirm that this is your email address to finish setting up your account.</p>
+      <p><a href="${verifyUrl}">Click here to verify your email address</a></p>
+      <p>Until you verify, you won't be able to register for or create events.</p>
+      <p>If you didn't create an account, you can safely ignore this email.</p>
+      <p>Best regards,<br>Campus Event Hub Team</p>
+    `;
+
+    await sendEmailNotification(email, subject, htmlContent);
+    logger.info('Verification email sent', { email });
+  } catch (error) {
+    logger.error('Error sending verification email:', error);
+    throw error;
+  }
+}
+
+// Warn the account owner that their account was locked after failed logins
+async function sendAccountLockedEmail(email, lockedUntil, ip) {
+  try {
+    const subject = 'Your Campus Event Hub account has been temporarily locked';
+    const htmlContent = `
+      <h2>Account Temporarily Locked</h2>
+      <p>We locked your account after several failed login attempts${ip ? ` from IP address ${ip}` : ''}.</p>
+      <p>You can try again after ${formatDateTime(lockedUntil)}.</p>
+      <p>If this wasn't you, we recommend resetting your password from the login page.</p>
+      <p>Best regards,<br>Campus Event Hub Team</p>
+    `;
+
+    await sendEmailNotification(email, subject, htmlContent);
+    logger.info('Account locked email sent', { email });
+  } catch (error) {
+    logger.error('Error sending account locked email:', error);
+    throw error;
+  }
+}
+
+// Tell an applicant whether their organizer application was approved or rejected
+async function sendOrganizerApplicationDecisionEmail(email, name, approved, note) {
+  try {
+    const subject = approved
+      ? 'Your Campus Event Hub organizer application was approved'
+      : 'Your Campus Event Hub organizer application was not approved';
+    const htmlContent = `
+      <h2>Organizer Application ${approved ? 'Approved' : 'Not Approved'}</h2>
+      <p>Dear ${name || 'applicant'},</p>
+      ${approved
+        ? '<p>Good news! Your application to become an event organizer has been approved. You can now create and manage events from the Organizer page.</p>'
+        : '<p>Unfortunately, your application to become an event organizer has not been approved at this time.</p>'}
+      ${note ? `<p><strong>Note from the reviewer:</strong> ${note}</p>` : ''}
+      ${approved ? '' : '<p>You are welcome to submit a new application with more details.</p>'}
+      <p>Best regards,<br>Campus Event Hub Team</p>
+    `;
+
+    await sendEmailNotification(email, subject, htmlContent);
+    logger.info('Organizer application decision email sent', { email, approved });
+  } catch (error) {
+    logger.error('Error sending organizer application decision email:', error);
+    throw error;
+  }
+}
+
 module.exports = {
   initializeEmailService,
   sendEmailNotification,
   sendEventUpdateNotification,
   sendRegistrationConfirmation,
+  sendWaitlistConfirmation,
+  sendWaitlistOfferEmail,
+  sendSeriesRegistrationConfirmation,
   sendEventReminder,
-  sendUpcomingEventNotification
+  sendUpcomingEventNotification,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendAccountLockedEmail,
+  sendOrganizerApplicationDecisionEmail
 };
\ No newline at end of file
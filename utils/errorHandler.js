@@ -63,6 +63,32 @@ class NotFoundError extends AppError {
   }
 }
 
+class TooManyRequestsError extends AppError {
+  constructor(message, code = 'TOO_MANY_REQUESTS', retryAfter = null) {
+    super(message, 429);
+    this.name = 'TooManyRequestsError';
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+class AccountLockedError extends AppError {
+  constructor(message, retryAfter = null) {
+    super(message, 423);
+    this.name = 'AccountLockedError';
+    this.code = 'ACCOUNT_LOCKED';
+    this.retryAfter = retryAfter;
+  }
+}
+
+class AccountSuspendedError extends AppError {
+  constructor(message) {
+    super(message, 403);
+    this.name = 'AccountSuspendedError';
+    this.code = 'ACCOUNT_SUSPENDED';
+  }
+}
+
 class DatabaseError extends AppError {
   constructor(message) {
     super(message, 500);
@@ -96,6 +122,16 @@ const handleErrors = (err, req, res, next) => {
   if (err instanceof AppError) {
     errorResponse.message = err.message;
     statusCode = err.statusCode;
+    
+    // Machine-readable code so clients can tell similar errors apart
+    if (typeof err.code === 'string') {
+      errorResponse.code = err.code;
+    }
+    
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+      errorResponse.retryAfter = err.retryAfter;
+    }
   } else if (err.name === 'ValidationError') {
     errorResponse.message = err.message;
     statusCode = 400;
@@ -141,6 +177,9 @@ module.exports = {
   AuthenticationError,
   AuthorizationError,
   NotFoundError,
+  TooManyRequestsError,
+  AccountLockedError,
+  AccountSuspendedError,
   DatabaseError,
   handleErrors,
   catchAsync,
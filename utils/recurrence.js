@@ -0,0 +1,221 @@
+const { AppError } = require('./errorHandler');
+
+// Recurrence rules use a subset of iCalendar RRULE (RFC 5545):
+//   FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL=n, BYDAY=MO,WE (weekly only), and UNTIL=YYYYMMDD or COUNT=n.
+// Dates are calendar dates (YYYY-MM-DD) like event.date, so all arithmetic is done in UTC
+// to keep daylight saving changes from shifting them.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = { SU: 'Sunday', MO: 'Monday', TU: 'Tuesday', WE: 'Wednesday', TH: 'Thursday', FR: 'Friday', SA: 'Saturday' };
+// Upper bound on the occurrences one rule may create
+const MAX_OCCURRENCES = 100;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function toDate(value) {
+  if (!DATE_PATTERN.test(value)) {
+    return null;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return isNaN(date) || date.toISOString().slice(0, 10) !== value ? null : date;
+}
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+}
+
+// Whole days from one YYYY-MM-DD date to another, or NaN if either is not a valid date
+function daysBetween(from, to) {
+  const start = toDate(from);
+  const end = toDate(to);
+  return start && end ? Math.round((end - start) / 86400000) : NaN;
+}
+
+function shiftDate(value, days) {
+  return formatDate(addDays(toDate(value), days));
+}
+
+// Move a date and time by whole days: a form's YYYY-MM-DDTHH:MM keeps its clock time, an
+// instant moves by 24 hours a day. Anything else is returned as it is.
+function shiftDateTime(value, days) {
+  if (typeof value === 'string' && toDate(value.slice(0, 10)) && /^T\d{2}:\d{2}$/.test(value.slice(10))) {
+    return `${shiftDate(value.slice(0, 10), days)}${value.slice(10)}`;
+  }
+  const instant = new Date(value);
+  return value && !isNaN(instant) ? new Date(instant.getTime() + days * 86400000) : value;
+}
+
+// Parse an RRULE string into { freq, interval, byDay, until, count }
+function parseRule(rrule) {
+  if (typeof rrule !== 'string' || !rrule.trim()) {
+    throw new AppError('A recurrence rule is required', 400);
+  }
+
+  const parts = {};
+  rrule.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+    const [key, value] = part.split('=');
+    parts[key.trim().toUpperCase()] = (value || '').trim().toUpperCase();
+  });
+
+  const unsupported = Object.keys(parts).filter(key => !['FREQ', 'INTERVAL', 'BYDAY', 'UNTIL', 'COUNT'].includes(key));
+  if (unsupported.length > 0) {
+    throw new AppError(`Unsupported recurrence rule parts: ${unsupported.join(', ')}`, 400);
+  }
+
+  if (!FREQUENCIES.includes(parts.FREQ)) {
+    throw new AppError('Recurrence frequency must be DAILY, WEEKLY or MONTHLY', 400);
+  }
+
+  const interval = parts.INTERVAL === undefined ? 1 : Number(parts.INTERVAL);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 99) {
+    throw new AppError('Recurrence interval must be a whole number from 1 to 99', 400);
+  }
+
+  let byDay = [];
+  if (parts.BYDAY) {
+    if (parts.FREQ !== 'WEEKLY') {
+      throw new AppError('Weekdays can only be chosen for weekly recurrence', 400);
+    }
+    byDay = [...new Set(parts.BYDAY.split(','))];
+    if (byDay.some(day => !WEEKDAYS.includes(day))) {
+      throw new AppError('Recurrence weekdays must be MO, TU, WE, TH, FR, SA or SU', 400);
+    }
+    byDay.sort((a, b) => WEEKDAYS.indexOf(a) - WEEKDAYS.indexOf(b));
+  }
+
+  if ((parts.UNTIL === undefined) === (parts.COUNT === undefined)) {
+    throw new AppError('A recurrence rule needs either an end date (UNTIL) or a number of occurrences (COUNT)', 400);
+  }
+
+  let until = null;
+  if (parts.UNTIL !== undefined) {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(parts.UNTIL);
+    until = match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+    if (!until || !toDate(until)) {
+      throw new AppError('Recurrence end date must be a valid date (UNTIL=YYYYMMDD)', 400);
+    }
+  }
+
+  let count = null;
+  if (parts.COUNT !== undefined) {
+    count = Number(parts.COUNT);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES) {
+      throw new AppError(`Number of occurrences must be from 1 to ${MAX_OCCURRENCES}`, 400);
+    }
+  }
+
+  return { freq: parts.FREQ, interval, byDay, until, count };
+}
+
+// Canonical RRULE string for a parsed rule
+function formatRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay && rule.byDay.length > 0) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(';');
+}
+
+// Exception dates from a comma-separated string or an array of YYYY-MM-DD dates
+function parseExceptions(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  const dates = [...new Set([].concat(value).flatMap(date => String(date).split(',')).map(date => date.trim()).filter(Boolean))];
+  if (dates.some(date => !toDate(date))) {
+    throw new AppError('Exception dates must be valid dates in YYYY-MM-DD format', 400);
+  }
+
+  return dates.sort();
+}
+
+// Occurrence dates of a rule from startDate on, without the exception dates.
+// COUNT includes excluded dates, as in RFC 5545.
+function expandRule(rule, startDate, exceptions = []) {
+  const start = toDate(startDate);
+  if (!start) {
+    throw new AppError('The first occurrence needs a valid date', 400);
+  }
+
+  if (rule.until && rule.until < startDate) {
+    throw new AppError('The recurrence end date is before the first occurrence', 400);
+  }
+
+  const candidates = [];
+  const limit = rule.count || Infinity;
+  const isDone = (date) => candidates.length >= limit || (rule.until && formatDate(date) > rule.until);
+  const tooMany = () => candidates.length > MAX_OCCURRENCES;
+
+  if (rule.freq === 'DAILY') {
+    for (let date = start; !isDone(date) && !tooMany(); date = addDays(date, rule.interval)) {
+      candidates.push(formatDate(date));
+    }
+  } else if (rule.freq === 'WEEKLY') {
+    const days = rule.byDay.length > 0 ? rule.byDay.map(day => WEEKDAYS.indexOf(day)) : [start.getUTCDay()];
+    // Weeks start on Monday, as RRULE's default WKST
+    const weekStart = addDays(start, -((start.getUTCDay() + 6) % 7));
+    let done = false;
+    for (let week = weekStart; !done && !tooMany(); week = addDays(week, 7 * rule.interval)) {
+      for (const offset of days.map(day => (day + 6) % 7).sort((a, b) => a - b)) {
+        const date = addDays(week, offset);
+        if (date < start) continue;
+        if (isDone(date)) {
+          done = true;
+          break;
+        }
+        candidates.push(formatDate(date));
+      }
+    }
+  } else {
+    // Monthly on the same day of the month; months without that day are skipped
+    const day = start.getUTCDate();
+    for (let month = 0; !tooMany(); month += rule.interval) {
+      const date = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + month, day));
+      if (date.getUTCDate() !== day) continue;
+      if (isDone(date)) break;
+      candidates.push(formatDate(date));
+    }
+  }
+
+  if (tooMany()) {
+    throw new AppError(`A series can have at most ${MAX_OCCURRENCES} occurrences`, 400);
+  }
+
+  const dates = candidates.filter(date => !exceptions.includes(date));
+  if (dates.length === 0) {
+    throw new AppError('The recurrence rule does not produce any occurrences', 400);
+  }
+
+  return dates;
+}
+
+// Short human-readable description, e.g. "Every 2 weeks on Monday, Wednesday, 10 times"
+function describeRule(rule) {
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' }[rule.freq];
+  let text = rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : `Every ${unit}`;
+  if (rule.byDay && rule.byDay.length > 0) {
+    text += ` on ${rule.byDay.map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+  }
+  text += rule.count ? `, ${rule.count} time${rule.count === 1 ? '' : 's'}` : ` until ${rule.until}`;
+  return text;
+}
+
+module.exports = {
+  WEEKDAYS,
+  MAX_OCCURRENCES,
+  parseRule,
+  formatRule,
+  parseExceptions,
+  expandRule,
+  describeRule,
+  daysBetween,
+  shiftDate,
+  shiftDateTime
+};
@@ -0,0 +1,152 @@
+const { AppError } = require('./errorHandler');
+
+// Extra questions organizers can add to an event's registration form. Each question is
+// { id, label, type, required, options } and each registration keeps its answers by question id:
+// a string for text and choice, an array of strings for multi-choice and true/false for checkbox.
+
+// Question types with their labels
+const QUESTION_TYPES = {
+  text: 'Short answer',
+  choice: 'One choice',
+  'multi-choice': 'Several choices',
+  checkbox: 'Checkbox (e.g. consent)'
+};
+const CHOICE_TYPES = ['choice', 'multi-choice'];
+const MAX_QUESTIONS = 20;
+const MAX_OPTIONS = 20;
+const MAX_ANSWER_LENGTH = 1000;
+const ID_PATTERN = /^[a-z0-9-]{1,60}$/;
+
+// A readable id for a new question, e.g. "dietary-requirements". Ids only depend on the
+// labels, so the occurrences of a series created together share them.
+function questionId(label, taken) {
+  const base = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50) || 'question';
+  let id = base;
+  for (let n = 2; taken.has(id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+}
+
+// Questions from an API body (an array) or the edit form (the same array as JSON). Questions
+// that keep their id keep the answers already given to them.
+function parseQuestions(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  let questions = value;
+  if (typeof value === 'string') {
+    try {
+      questions = JSON.parse(value);
+    } catch (error) {
+      throw new AppError('Registration questions must be a JSON array', 400);
+    }
+  }
+  if (!Array.isArray(questions)) {
+    throw new AppError('Registration questions must be an array', 400);
+  }
+  if (questions.length > MAX_QUESTIONS) {
+    throw new AppError(`An event can have at most ${MAX_QUESTIONS} registration questions`, 400);
+  }
+
+  const taken = new Set(questions.map(question => question && question.id).filter(id => ID_PATTERN.test(id || '')));
+  const seen = new Set();
+
+  return questions.map((question, index) => {
+    const label = typeof question?.label === 'string' ? question.label.trim() : '';
+    if (!label || label.length > 200) {
+      throw new AppError(`Question ${index + 1} needs a label of at most 200 characters`, 400);
+    }
+
+    if (!QUESTION_TYPES[question.type]) {
+      throw new AppError(`"${label}" has an unknown type. Use one of: ${Object.keys(QUESTION_TYPES).join(', ')}`, 400);
+    }
+
+    let id = ID_PATTERN.test(question.id || '') && !seen.has(question.id) ? question.id : null;
+    if (!id) {
+      id = questionId(label, taken);
+      taken.add(id);
+    }
+    seen.add(id);
+
+    const parsed = { id, label, type: question.type, required: question.required === true || question.required === 'true' };
+
+    if (CHOICE_TYPES.includes(question.type)) {
+      const options = [...new Set([].concat(question.options || [])
+        .flatMap(option => String(option).split('\n'))
+        .map(option => option.trim())
+        .filter(Boolean))];
+      if (options.length < 2 || options.length > MAX_OPTIONS) {
+        throw new AppError(`"${label}" needs between 2 and ${MAX_OPTIONS} options`, 400);
+      }
+      if (options.some(option => option.length > 100)) {
+        throw new AppError(`The options of "${label}" must be at most 100 characters`, 400);
+      }
+      parsed.options = options;
+    }
+
+    return parsed;
+  });
+}
+
+// Check a registration's answers against the event's questions. answers is an object keyed by
+// question id, as the registration form sends it. Answers to unknown questions are dropped.
+function parseAnswers(questions = [], answers = {}) {
+  const given = answers && typeof answers === 'object' ? answers : {};
+  const parsed = {};
+
+  questions.forEach(question => {
+    const raw = given[question.id];
+    let answer;
+
+    if (question.type === 'checkbox') {
+      answer = [].concat(raw ?? []).some(value => value === true || ['true', 'on', 'yes', '1'].includes(String(value)));
+      if (question.required && !answer) {
+        throw new AppError(`Please tick "${question.label}"`, 400);
+      }
+    } else if (question.type === 'multi-choice') {
+      answer = [...new Set([].concat(raw ?? []).map(String).filter(Boolean))];
+      if (answer.some(value => !question.options.includes(value))) {
+        throw new AppError(`"${question.label}" has an answer that isn't one of its options`, 400);
+      }
+      if (question.required && answer.length === 0) {
+        throw new AppError(`"${question.label}" is required`, 400);
+      }
+    } else {
+      answer = typeof raw === 'string' ? raw.trim() : '';
+      if (question.required && !answer) {
+        throw new AppError(`"${question.label}" is required`, 400);
+      }
+      if (question.type === 'choice' && answer && !question.options.includes(answer)) {
+        throw new AppError(`"${question.label}" must be one of its options`, 400);
+      }
+      if (answer.length > MAX_ANSWER_LENGTH) {
+        throw new AppError(`The answer to "${question.label}" must be at most ${MAX_ANSWER_LENGTH} characters`, 400);
+      }
+    }
+
+    parsed[question.id] = answer;
+  });
+
+  return parsed;
+}
+
+// An answer as text for pages and exports
+function formatAnswer(question, answers) {
+  const answer = answers ? answers[question.id] : undefined;
+  if (answer === undefined || answer === null) {
+    return '';
+  }
+  if (question.type === 'checkbox') {
+    return answer ? 'Yes' : 'No';
+  }
+  return Array.isArray(answer) ? answer.join(', ') : String(answer);
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  parseQuestions,
+  parseAnswers,
+  formatAnswer
+};